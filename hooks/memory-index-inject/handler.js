@@ -5,14 +5,78 @@
  * instead of letting agents load their entire memory pool.
  *
  * Fires on: agent:bootstrap
- * Effect: Adds INDEX.md content as a bootstrap file with load-on-demand instructions
+ * Effect: Adds INDEX.md content as a bootstrap file with load-on-demand instructions.
+ * Regenerates INDEX.md / INDEX.json in-process when the index is missing or
+ * older than the newest memory file, and brings the memory-search index up
+ * to date at the same time.
+ *
+ * Everything injected is packed into a per-agent token budget
+ * (memoryInfra.inject.tokenBudget): the instruction block always, then
+ * ACTIVE_CONTEXT sections by priority, then INDEX rows by recency, then
+ * subscribed team-memory entries (with source agent and date), then open
+ * GOTCHA/TODO observations while room remains — resolved, superseded and
+ * expired ones are left out (see scripts/lib/observation-lifecycle.js).
+ * What was injected is recorded in the audit log.
  */
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { appendAuditEvent, auditFile } from "../../scripts/lib/audit-log.js";
+import { agentIdFromSessionKey, settingsFor } from "../../scripts/lib/config.js";
+import { buildMemoryIndex, isIndexStale } from "../../scripts/lib/memory-index.js";
+import { resolveLifecycleSettings } from "../../scripts/lib/observation-lifecycle.js";
+import { updateSearchIndex } from "../../scripts/lib/memory-search.js";
+import {
+  entryProvenance,
+  loadSharedEntries,
+  resolveSharedSettings,
+  selectSubscribed,
+} from "../../scripts/lib/shared-memory.js";
+import {
+  collectObservations,
+  estimateTextTokens,
+  packActiveContext,
+  packIndex,
+  packObservations,
+} from "../../scripts/lib/bootstrap-pack.js";
+
+// Handoffs written by session-rotation-monitor within this window are
+// pointed out in the instruction block
+const HANDOFF_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const MAX_HANDOFFS = 3;
+
+/**
+ * Recent rotation handoff files (memory/*-handoff-*.md), newest first.
+ * Returns [{ file, sessionKey, previous, next }] read from their headers.
+ */
+async function findRecentHandoffs(memoryDir) {
+  const handoffs = [];
+  for (const f of await fs.readdir(memoryDir)) {
+    if (!/-handoff-.+\.md$/.test(f)) continue;
+    try {
+      const filePath = path.join(memoryDir, f);
+      const stat = await fs.stat(filePath);
+      if (Date.now() - stat.mtimeMs > HANDOFF_MAX_AGE_MS) continue;
+      const head = (await fs.readFile(filePath, "utf-8")).split("\n").slice(0, 10).join("\n");
+      handoffs.push({
+        file: f,
+        mtimeMs: stat.mtimeMs,
+        sessionKey: head.match(/^> Session key: (.+)$/m)?.[1] || "unknown",
+        previous: head.match(/^> Previous session: (.+)$/m)?.[1] || "unknown",
+        next: head.match(/^> Next session: (.+)$/m)?.[1] || "unknown",
+      });
+    } catch {
+      // Unreadable handoff — skip it
+    }
+  }
+  return handoffs.sort((a, b) => b.mtimeMs - a.mtimeMs).slice(0, MAX_HANDOFFS);
+}
 
-// Minimum total memory size (bytes) to trigger index injection
-const MEMORY_THRESHOLD_BYTES = 50 * 1024; // 50KB
+function describeList(items, max = 8) {
+  if (items.length === 0) return "none";
+  const shown = items.slice(0, max).join(", ");
+  return items.length > max ? `${shown} (+${items.length - max} more)` : shown;
+}
 
 const memoryIndexInject = async (event) => {
   // Only fire on agent:bootstrap
@@ -29,14 +93,9 @@ const memoryIndexInject = async (event) => {
   const memoryDir = path.join(workspaceDir, "memory");
   const indexPath = path.join(memoryDir, "INDEX.md");
 
-  // Check if INDEX.md exists
-  try {
-    await fs.access(indexPath);
-  } catch {
-    // No INDEX.md — skip (generate-memory-index.sh hasn't run yet)
-    console.log("[memory-index-inject] No INDEX.md found, skipping");
-    return;
-  }
+  // memoryInfra.inject, with per-agent overrides (scripts/lib/config.js)
+  const agentId = context.agentId || agentIdFromSessionKey(event.sessionKey);
+  const settings = settingsFor(context.cfg, "inject", agentId);
 
   // Check total memory size to decide if progressive disclosure is worthwhile
   let totalMemoryBytes = 0;
@@ -52,14 +111,31 @@ const memoryIndexInject = async (event) => {
     return;
   }
 
-  if (totalMemoryBytes < MEMORY_THRESHOLD_BYTES) {
+  if (totalMemoryBytes < settings.memoryThresholdBytes) {
     console.log(
-      `[memory-index-inject] Memory pool ${totalMemoryBytes}B < ${MEMORY_THRESHOLD_BYTES}B threshold, skipping`
+      `[memory-index-inject] Memory pool ${totalMemoryBytes}B < ${settings.memoryThresholdBytes}B threshold, skipping`
     );
     return;
   }
 
-  // Read INDEX.md
+  // Regenerate the index if it's missing or behind the memory files
+  try {
+    if (await isIndexStale(memoryDir)) {
+      const { scan } = await buildMemoryIndex(workspaceDir);
+      console.log(
+        `[memory-index-inject] Regenerated INDEX.md + INDEX.json (${scan.totals.files} files)`
+      );
+      // Keep the local search index warm for memory-search
+      const { changed, removed } = await updateSearchIndex(workspaceDir);
+      console.log(
+        `[memory-index-inject] Search index updated (${changed.length} changed, ${removed.length} removed)`
+      );
+    }
+  } catch (err) {
+    console.error("[memory-index-inject] Index regeneration failed:", err.message);
+  }
+
+  // Read INDEX.md (and the JSON sidecar, used to trim rows)
   let indexContent;
   try {
     indexContent = await fs.readFile(indexPath, "utf-8");
@@ -67,6 +143,12 @@ const memoryIndexInject = async (event) => {
     console.error("[memory-index-inject] Failed to read INDEX.md");
     return;
   }
+  let indexJson = null;
+  try {
+    indexJson = JSON.parse(await fs.readFile(path.join(memoryDir, "INDEX.json"), "utf-8"));
+  } catch {
+    // Sidecar is optional (e.g. index built by the shell script)
+  }
 
   // Read ACTIVE_CONTEXT.md (always inject alongside index)
   let activeContextContent = null;
@@ -77,6 +159,26 @@ const memoryIndexInject = async (event) => {
     // ACTIVE_CONTEXT.md is optional
   }
 
+  const budget = settings.tokenBudget;
+
+  // Sessions rotated recently leave a handoff with their full request list
+  let handoffNote = "";
+  try {
+    const handoffs = await findRecentHandoffs(memoryDir);
+    if (handoffs.length > 0) {
+      handoffNote = [
+        "",
+        "**Recently rotated sessions** — read the handoff before asking the user to repeat themselves:",
+        ...handoffs.map(
+          (h) => `- \`${h.file}\` — ${h.sessionKey} (session ${h.previous} → ${h.next})`
+        ),
+        "",
+      ].join("\n");
+    }
+  } catch {
+    // No handoffs to point at
+  }
+
   // Build the progressive disclosure instruction
   const instruction = `## Progressive Memory Disclosure
 
@@ -85,10 +187,11 @@ To avoid wasting context on irrelevant memory, you've been given a compact INDEX
 
 **How to use:**
 1. ACTIVE_CONTEXT.md is loaded below — it contains your current working state
-2. The INDEX shows all available memory files with categories, sizes, and observation markers
+2. The INDEX shows available memory files with categories, sizes, and observation markers
 3. Use \`memory_search\` to find relevant files by topic
 4. Use \`memory_get\` to load specific sections of specific files
 5. **Don't load everything** — only pull what's relevant to the current task
+${handoffNote}
 
 **Observation markers in memory files:**
 - 🔴 [GOTCHA] — Traps, footguns, unexpected behavior
@@ -99,26 +202,115 @@ To avoid wasting context on irrelevant memory, you've been given a compact INDEX
 - 🟢 [FACT] — Verified reference data
 - 🟣 [PREFERENCE] — User preference
 - ⚪ [TODO] — Action items
+
+Observations carry an id (\`[TODO:3f9c0a]\`). When one no longer holds, append a line closing it
+instead of editing the original: \`⚪ [TODO:3f9c0a DONE]\` (or RESOLVED, SUPERSEDED, EXPIRED).
 `;
 
+  // Pack in priority order: instruction (always), ACTIVE_CONTEXT, INDEX,
+  // observations. Each stage gets whatever the previous ones left.
+  let remaining = budget - estimateTextTokens(instruction + "---\n\n");
+
+  let activeContext = null;
+  if (activeContextContent) {
+    const share = settings.activeContextShare;
+    activeContext = packActiveContext(activeContextContent, Math.floor(Math.max(0, remaining) * share));
+    remaining -= activeContext.tokens;
+  }
+
+  const index = packIndex({ indexMarkdown: indexContent, indexJson }, Math.max(0, remaining));
+  remaining -= index.tokens;
+
+  let shared = null;
+  const sharedSettings = resolveSharedSettings(context.cfg, agentId);
+  if (sharedSettings.enabled) {
+    try {
+      const entries = selectSubscribed(await loadSharedEntries(), agentId, sharedSettings.subscribe);
+      const items = entries.map((e) => ({
+        type: e.type,
+        text: e.text,
+        source: `_${entryProvenance(e)}_`,
+      }));
+      shared = packObservations(
+        items,
+        Math.max(0, remaining),
+        "## Team Memory\n_Shared by other agents (source agent, date):_\n"
+      );
+      remaining -= shared.tokens;
+    } catch (err) {
+      console.error("[memory-index-inject] Shared memory load failed:", err.message);
+    }
+  }
+
+  let observations = null;
+  if (settings.includeObservations) {
+    try {
+      const { expireDays } = resolveLifecycleSettings(context.cfg, agentId);
+      const found = await collectObservations(memoryDir, settings.observationTypes, { expireDays });
+      observations = packObservations(found, Math.max(0, remaining));
+      remaining -= observations.tokens;
+    } catch (err) {
+      console.error("[memory-index-inject] Observation scan failed:", err.message);
+    }
+  }
+
   // Inject as bootstrap files
-  const combinedContent = [instruction, "---", "", indexContent].join("\n");
+  const combinedContent = [instruction, "---", "", index.text, shared?.text || "", observations?.text || ""]
+    .join("\n")
+    .trimEnd() + "\n";
 
   context.bootstrapFiles.push({
     name: "MEMORY_INDEX.md",
     content: combinedContent,
   });
 
-  if (activeContextContent) {
+  if (activeContext?.text) {
     context.bootstrapFiles.push({
       name: "ACTIVE_CONTEXT.md",
-      content: activeContextContent,
+      content: activeContext.text,
     });
   }
 
   console.log(
-    `[memory-index-inject] Injected INDEX (${indexContent.length} chars) + ACTIVE_CONTEXT for ${workspaceDir}`
+    `[memory-index-inject] Injected ~${budget - Math.max(0, remaining)}/${budget} tokens for agent ${agentId} (${workspaceDir})`
   );
+  if (activeContext) {
+    console.log(
+      `[memory-index-inject] ACTIVE_CONTEXT: included ${describeList(activeContext.included)}; truncated ${describeList(activeContext.truncated)}; dropped ${describeList(activeContext.dropped)}`
+    );
+  }
+  console.log(
+    `[memory-index-inject] INDEX: included ${describeList(index.included)}; dropped ${describeList(index.dropped)}`
+  );
+  if (shared) {
+    console.log(
+      `[memory-index-inject] Team memory: included ${shared.included}, dropped ${shared.dropped}`
+    );
+  }
+  if (observations) {
+    console.log(
+      `[memory-index-inject] Observations (${settings.observationTypes.join("/")}): included ${observations.included}, dropped ${observations.dropped}`
+    );
+  }
+
+  const audited = await appendAuditEvent({
+    source: "memory-index-inject",
+    action: "inject",
+    agent: agentId,
+    sessionKey: event.sessionKey,
+    sessionId: context.sessionId,
+    injectedTokens: budget - Math.max(0, remaining),
+    budget,
+    memoryBytes: totalMemoryBytes,
+    activeContext: activeContext
+      ? { included: activeContext.included, truncated: activeContext.truncated, dropped: activeContext.dropped }
+      : undefined,
+    index: { included: index.included, dropped: index.dropped },
+    shared: shared ? { included: shared.included, dropped: shared.dropped } : undefined,
+    observations: observations ? { included: observations.included, dropped: observations.dropped } : undefined,
+    files: [await auditFile(indexPath), ...(activeContextContent ? [await auditFile(activeContextPath)] : [])],
+  });
+  if (!audited) console.error("[memory-index-inject] Failed to write audit event");
 };
 
 export default memoryIndexInject;
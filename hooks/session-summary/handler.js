@@ -5,83 +5,51 @@
  * Fires on: command:new
  *
  * Produces a categorized summary with [DECISION], [GOTCHA], [SOLUTION], etc.
- * markers that are searchable across the memory corpus.
+ * markers that are searchable across the memory corpus. Completed checklist
+ * items ("- [x] ...") that match an open TODO from an earlier session close
+ * it with a "[TODO:<id> DONE]" line (see scripts/lib/observation-lifecycle.js).
  */
 
 import fs from "node:fs/promises";
 import path from "node:path";
-import os from "node:os";
-import { fileURLToPath } from "node:url";
+import { appendAuditEvent, auditFile } from "../../scripts/lib/audit-log.js";
+import { agentIdFromSessionKey, resolveWorkspace, settingsFor } from "../../scripts/lib/config.js";
+import { loadRedactionRules, redactText } from "../../scripts/lib/redact.js";
+import { resolveTranscriptSettings } from "../../scripts/lib/transcript.js";
+import { buildStructuredTemplate, summarizeSession } from "../../scripts/lib/session-summary.js";
+import { loadLLMHelpers } from "../../scripts/lib/llm-summary.js";
+import {
+  appendFileSafe,
+  ensurePrivateDir,
+  withFileLock,
+  writeFileAtomic,
+} from "../../scripts/lib/safe-write.js";
+import { classifyObservations, parseObservationLines } from "../../scripts/lib/observations.js";
+import {
+  loadObservationLedger,
+  matchOpenTodo,
+  resolveLifecycleSettings,
+} from "../../scripts/lib/observation-lifecycle.js";
+import {
+  findPublishable,
+  promoteObservations,
+  resolveSharedSettings,
+} from "../../scripts/lib/shared-memory.js";
 
 /**
- * Inline: extract agent ID from a session key like "agent:desmond:slack:dm:..."
+ * Read recent messages from session file, redacting secrets and PII.
+ * Returns { content, messages, redactions } (see summarizeSession) or null
+ * if the file can't be read. `format` selects the transcript adapter
+ * (scripts/lib/transcript.js).
  */
-function resolveAgentIdFromSessionKey(sessionKey) {
-  if (!sessionKey) return "main";
-  const parts = sessionKey.split(":");
-  // session keys are "agent:{agentId}:..."
-  if (parts[0] === "agent" && parts.length >= 2 && parts[1]) {
-    return parts[1].toLowerCase();
-  }
-  return "main";
-}
-
-/**
- * Inline: resolve workspace directory for an agent from config
- */
-function resolveAgentWorkspaceDir(cfg, agentId) {
-  const id = (agentId || "main").trim().toLowerCase();
-
-  // Check agent-specific config
-  const agents = cfg?.agents?.list || [];
-  const agentConfig = agents.find((a) => a.id === id || a.name?.toLowerCase() === id);
-  if (agentConfig?.workspace) {
-    return agentConfig.workspace.replace(/^~/, os.homedir());
-  }
-
-  // Check defaults
-  if (id === "main") {
-    const fallback = cfg?.agents?.defaults?.workspace;
-    if (fallback) return fallback.replace(/^~/, os.homedir());
-    return path.join(os.homedir(), "clawd");
-  }
-
-  return path.join(os.homedir(), `clawd-${id}`);
-}
-
-/**
- * Read recent messages from session file
- */
-async function getSessionContent(sessionFilePath, maxLines = 50) {
+async function getSessionContent(sessionFilePath, maxLines = 50, rules = [], format = "auto") {
+  let content;
   try {
-    const content = await fs.readFile(sessionFilePath, "utf-8");
-    const lines = content.trim().split("\n");
-    const recentLines = lines.slice(-maxLines);
-
-    const messages = [];
-    for (const line of recentLines) {
-      try {
-        const entry = JSON.parse(line);
-        if (entry.type === "message" && entry.message) {
-          const msg = entry.message;
-          const role = msg.role;
-          if ((role === "user" || role === "assistant") && msg.content) {
-            const text = Array.isArray(msg.content)
-              ? msg.content.find((c) => c.type === "text")?.text
-              : msg.content;
-            if (text && !text.startsWith("/")) {
-              messages.push(`${role}: ${text.slice(0, 500)}`);
-            }
-          }
-        }
-      } catch {
-        // Skip invalid JSON lines
-      }
-    }
-    return messages.join("\n\n");
+    content = await fs.readFile(sessionFilePath, "utf-8");
   } catch {
     return null;
   }
+  return summarizeSession(content.trim().split("\n").slice(-maxLines), rules, format);
 }
 
 /**
@@ -89,10 +57,7 @@ async function getSessionContent(sessionFilePath, maxLines = 50) {
  */
 async function generateStructuredSummary({ sessionContent, cfg }) {
   try {
-    const __filename = fileURLToPath(import.meta.url);
-    const clawdbotRoot = path.resolve(path.dirname(__filename), "../..");
-    const slugGenPath = path.join(clawdbotRoot, "llm-slug-generator.js");
-    const { generateSlugViaLLM } = await import(slugGenPath);
+    const { generateSlugViaLLM } = await loadLLMHelpers();
 
     const slug = await generateSlugViaLLM({ sessionContent, cfg });
     return slug || null;
@@ -103,50 +68,50 @@ async function generateStructuredSummary({ sessionContent, cfg }) {
 }
 
 /**
- * Build a structured template from session content.
- * Extracts what it can and leaves observation markers for manual refinement.
+ * Extract tagged observations. Rule-based by default; with
+ * memoryInfra.observations.mode = "llm" the platform's LLM helper is tried
+ * first (when it provides generateObservationsViaLLM) and its marker lines
+ * are used if it returns any. Any failure falls back to the rules.
  */
-function buildStructuredTemplate(sessionContent) {
-  const todoMatches = sessionContent.match(/- \[ \].+/g) || [];
-  const completedMatches = sessionContent.match(/- \[x\].+/gi) || [];
-
-  const parts = [
-    "## Session Conversation",
-    "",
-    sessionContent,
-    "",
-    "---",
-    "",
-    "## Observations",
-    "_Tag key observations from this session below:_",
-    "",
-  ];
-
-  if (completedMatches.length > 0) {
-    parts.push("### Completed");
-    completedMatches.forEach((m) => parts.push(m));
-    parts.push("");
-  }
-
-  if (todoMatches.length > 0) {
-    parts.push("### Pending");
-    todoMatches.forEach((m) =>
-      parts.push(`⚪ [TODO] ${m.replace(/^- \[ \] /, "")}`)
-    );
-    parts.push("");
+async function extractObservations({ session, cfg, agentId }) {
+  if (settingsFor(cfg, "observations", agentId).mode === "llm") {
+    try {
+      const { generateObservationsViaLLM } = await loadLLMHelpers();
+      if (typeof generateObservationsViaLLM === "function") {
+        const output = await generateObservationsViaLLM({
+          sessionContent: session.content,
+          cfg,
+        });
+        const observations = parseObservationLines(output);
+        if (observations.length > 0) return observations;
+      }
+      console.log("[session-summary] LLM observations unavailable, using rules");
+    } catch (err) {
+      console.error("[session-summary] LLM observation extraction failed:", err);
+    }
   }
+  return classifyObservations(session.messages);
+}
 
-  parts.push(
-    "<!-- Add observations as you review:",
-    "🟤 [DECISION] ...",
-    "🔴 [GOTCHA] ...",
-    "🟡 [SOLUTION] ...",
-    "🔵 [PATTERN] ...",
-    "🟢 [FACT] ...",
-    "-->"
+/**
+ * Open TODOs from earlier sessions that this session's completed items
+ * ("- [x] ...") finish. Returns [{ item, completed }].
+ */
+async function findClosedTodos(sessionContent, memoryDir, expireDays) {
+  const completedMatches = sessionContent.match(/- \[x\].+/gi) || [];
+  if (completedMatches.length === 0) return [];
+  const open = (await loadObservationLedger(memoryDir, { expireDays })).filter(
+    (item) => item.type === "TODO" && !item.status
   );
-
-  return parts.join("\n");
+  const closed = [];
+  for (const m of completedMatches) {
+    const completed = m.replace(/^- \[x\] /i, "");
+    const item = matchOpenTodo(completed, open);
+    if (!item) continue;
+    item.status = "DONE";
+    closed.push({ item, completed });
+  }
+  return closed;
 }
 
 const sessionSummaryHandler = async (event) => {
@@ -159,32 +124,44 @@ const sessionSummaryHandler = async (event) => {
 
     const context = event.context || {};
     const cfg = context.cfg;
-    const agentId = resolveAgentIdFromSessionKey(event.sessionKey);
-    const workspaceDir = cfg
-      ? resolveAgentWorkspaceDir(cfg, agentId)
-      : path.join(os.homedir(), "clawd");
+    const agentId = agentIdFromSessionKey(event.sessionKey);
+    const workspaceDir = resolveWorkspace(cfg, agentId);
 
     const memoryDir = path.join(workspaceDir, "memory");
-    await fs.mkdir(memoryDir, { recursive: true });
-    await fs.chmod(memoryDir, 0o700);
+    await ensurePrivateDir(memoryDir);
 
     // Get session content
     const sessionEntry = (context.previousSessionEntry ||
       context.sessionEntry ||
       {});
     const sessionFile = sessionEntry.sessionFile;
+    const sessionId = sessionEntry.sessionId || path.basename(sessionFile || "", ".jsonl");
 
     if (!sessionFile) {
       console.log("[session-summary] No session file available, skipping");
       return;
     }
 
-    const sessionContent = await getSessionContent(sessionFile, 80);
+    const rules = loadRedactionRules(cfg);
+    const { format } = resolveTranscriptSettings(cfg, agentId);
+    const session = await getSessionContent(sessionFile, 80, rules, format);
+    const sessionContent = session?.content;
     if (!sessionContent || sessionContent.length < 50) {
       console.log("[session-summary] Session content too short, skipping");
       return;
     }
 
+    const observations = await extractObservations({ session, cfg, agentId });
+
+    // Best effort: a summary is still written if the ledger can't be read
+    let closedTodos = [];
+    try {
+      const { expireDays } = resolveLifecycleSettings(cfg, agentId);
+      closedTodos = await findClosedTodos(sessionContent, memoryDir, expireDays);
+    } catch (err) {
+      console.error("[session-summary] Open TODO lookup failed:", err.message);
+    }
+
     // Generate date and slug
     const now = new Date(event.timestamp);
     const dateStr = now.toISOString().split("T")[0];
@@ -207,39 +184,84 @@ const sessionSummaryHandler = async (event) => {
     const filename = `${dateStr}-${slug}.md`;
     const memoryFilePath = path.join(memoryDir, filename);
 
-    // Check if file already exists (session-memory hook may have created it)
-    try {
-      await fs.access(memoryFilePath);
-      console.log(
-        "[session-summary] File already exists (from session-memory hook), appending structure"
-      );
-
-      const existing = await fs.readFile(memoryFilePath, "utf-8");
-      const structured = buildStructuredTemplate(sessionContent);
-      await fs.writeFile(
-        memoryFilePath,
-        existing + "\n\n" + structured,
-        "utf-8"
-      );
-      await fs.chmod(memoryFilePath, 0o600);
-    } catch {
-      // File doesn't exist, create full structured summary
-      const timeStr = now.toISOString().split("T")[1].split(".")[0];
-      const header = [
-        `# Session: ${dateStr} ${timeStr} UTC — ${slug.replace(/-/g, " ")}`,
-        "",
-        `- **Session Key**: ${event.sessionKey}`,
-        `- **Agent**: ${agentId}`,
-        `- **Source**: ${context.commandSource || "unknown"}`,
-        "",
-      ].join("\n");
-
-      const structured = buildStructuredTemplate(sessionContent);
-      await fs.writeFile(memoryFilePath, header + structured, "utf-8");
-      await fs.chmod(memoryFilePath, 0o600);
-    }
+    // The session-memory hook may be writing the same file; lock it so the
+    // exists-check and the write can't interleave with another writer
+    const structured = redactText(buildStructuredTemplate(sessionContent, observations, closedTodos), rules);
+    await withFileLock(memoryFilePath, async () => {
+      let exists = true;
+      try {
+        await fs.access(memoryFilePath);
+      } catch {
+        exists = false;
+      }
+
+      if (exists) {
+        console.log(
+          "[session-summary] File already exists (from session-memory hook), appending structure"
+        );
+        const redactions = session.redactions + structured.count;
+        await appendFileSafe(
+          memoryFilePath,
+          "\n\n" + `> Redactions: ${redactions}\n\n` + structured.text
+        );
+      } else {
+        // Create the full structured summary
+        const timeStr = now.toISOString().split("T")[1].split(".")[0];
+        const header = [
+          `# Session: ${dateStr} ${timeStr} UTC — ${slug.replace(/-/g, " ")}`,
+          "",
+          `- **Session Key**: ${event.sessionKey}`,
+          `- **Session ID**: ${sessionId}`,
+          `- **Agent**: ${agentId}`,
+          `- **Source**: ${context.commandSource || "unknown"}`,
+          `- **Redactions**: ${session.redactions + structured.count}`,
+          "",
+        ].join("\n");
+
+        await writeFileAtomic(memoryFilePath, header + structured.text);
+      }
+    });
 
     console.log(`[session-summary] Structured summary written: ${filename}`);
+    if (closedTodos.length > 0) {
+      console.log(`[session-summary] Closed ${closedTodos.length} earlier TODOs`);
+    }
+
+    // Promote observations selected by this agent's publish rules into the
+    // shared team memory pool
+    const shared = resolveSharedSettings(cfg, agentId);
+    let promoted = 0;
+    if (shared.enabled) {
+      try {
+        const written = await fs.readFile(memoryFilePath, "utf-8");
+        const added = await promoteObservations(
+          agentId,
+          findPublishable(written, shared.publish, dateStr),
+          { sourceFile: filename }
+        );
+        promoted = added.length;
+        if (added.length > 0) {
+          console.log(`[session-summary] Promoted ${added.length} observations to shared memory`);
+        }
+      } catch (err) {
+        console.error("[session-summary] Shared memory promotion failed:", err.message);
+      }
+    }
+
+    const audited = await appendAuditEvent({
+      source: "session-summary",
+      action: "summary",
+      agent: agentId,
+      sessionKey: event.sessionKey,
+      sessionId,
+      tokens: sessionEntry.totalTokens,
+      messages: session.messages.length,
+      observations: observations.length,
+      closedTodos: closedTodos.map(({ item }) => item.id),
+      sharedPromoted: promoted,
+      files: [await auditFile(memoryFilePath)],
+    });
+    if (!audited) console.error("[session-summary] Failed to write audit event");
   } catch (err) {
     console.error(
       "[session-summary] Error:",
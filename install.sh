@@ -2,14 +2,15 @@
 set -euo pipefail
 
 # install.sh — Install clawdbot-memory-infra
-# Usage: ./install.sh [--dry-run] [--no-launchd] [--no-hooks] [--force]
+# Usage: ./install.sh [--dry-run] [--no-launchd] [--no-systemd] [--no-hooks] [--force]
 #
-# Installs scripts, hooks, and launchd agents for the clawdbot memory
-# infrastructure. Safe to re-run — prompts before overwriting unless --force.
+# Installs scripts, hooks, and launchd agents (macOS) or the memory daemon's
+# systemd user service (Linux) for the clawdbot memory infrastructure. Safe to re-run — prompts before overwriting unless --force.
 
 SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
 DRY_RUN=false
 NO_LAUNCHD=false
+NO_SYSTEMD=false
 NO_HOOKS=false
 FORCE=false
 CLAWDBOT_HOME="${CLAWDBOT_HOME:-$HOME/.clawdbot}"
@@ -21,6 +22,8 @@ HOOKS_INSTALLED=0
 HOOKS_SKIPPED=0
 LAUNCHD_INSTALLED=0
 LAUNCHD_SKIPPED=0
+SYSTEMD_INSTALLED=0
+SYSTEMD_SKIPPED=0
 WARNINGS=()
 
 # Parse args
@@ -28,14 +31,16 @@ for arg in "$@"; do
   case "$arg" in
     --dry-run)    DRY_RUN=true ;;
     --no-launchd) NO_LAUNCHD=true ;;
+    --no-systemd) NO_SYSTEMD=true ;;
     --no-hooks)   NO_HOOKS=true ;;
     --force)      FORCE=true ;;
     -h|--help)
-      echo "Usage: ./install.sh [--dry-run] [--no-launchd] [--no-hooks] [--force]"
+      echo "Usage: ./install.sh [--dry-run] [--no-launchd] [--no-systemd] [--no-hooks] [--force]"
       echo ""
       echo "Options:"
       echo "  --dry-run     Print what would happen without making changes"
       echo "  --no-launchd  Skip launchd agent installation"
+      echo "  --no-systemd  Skip the memory daemon's systemd user service (Linux)"
       echo "  --no-hooks    Skip hook installation"
       echo "  --force       Overwrite existing files without prompting"
       exit 0
@@ -192,6 +197,47 @@ for src_script in "$SCRIPT_DIR"/scripts/*; do
   fi
 done
 
+# Shared modules imported by the scripts and hooks (scripts/lib/*.js)
+LIB_DIR="$SCRIPTS_DIR/lib"
+
+if $DRY_RUN; then
+  dry "Would create directory: $LIB_DIR"
+else
+  mkdir -p -m 700 "$LIB_DIR"
+fi
+
+for src_lib in "$SCRIPT_DIR"/scripts/lib/*; do
+  [ -f "$src_lib" ] || continue
+  basename_lib="lib/$(basename "$src_lib")"
+  target="$LIB_DIR/$(basename "$src_lib")"
+
+  if [ -f "$target" ]; then
+    if cmp -s "$src_lib" "$target"; then
+      info "$basename_lib — already up to date, skipping"
+      SCRIPTS_SKIPPED=$((SCRIPTS_SKIPPED + 1))
+      continue
+    fi
+
+    info "$basename_lib — target exists and differs"
+    if ! confirm_overwrite "$target"; then
+      info "$basename_lib — skipped"
+      SCRIPTS_SKIPPED=$((SCRIPTS_SKIPPED + 1))
+      continue
+    fi
+  fi
+
+  if $DRY_RUN; then
+    dry "Would copy: $src_lib -> $target"
+    dry "Would chmod 600: $target"
+    SCRIPTS_INSTALLED=$((SCRIPTS_INSTALLED + 1))
+  else
+    cp "$src_lib" "$target"
+    chmod 600 "$target"
+    success "Installed: $basename_lib"
+    SCRIPTS_INSTALLED=$((SCRIPTS_INSTALLED + 1))
+  fi
+done
+
 # ---------------------------------------------------------------------------
 # Step 3: Copy hooks to $CLAWDBOT_HOME/hooks/ (unless --no-hooks)
 # ---------------------------------------------------------------------------
@@ -270,7 +316,7 @@ if $NO_LAUNCHD; then
   header "LaunchD Agents (skipped — --no-launchd)"
 elif [ "$(uname)" != "Darwin" ]; then
   header "LaunchD Agents (skipped — not macOS)"
-  warn "LaunchD agents are macOS-only. On Linux, use systemd or cron instead."
+  info "On Linux, the memory daemon's systemd service replaces the checkpoint and rotation agents."
 else
   header "Installing LaunchD Agents"
 
@@ -350,6 +396,64 @@ else
   done
 fi
 
+# ---------------------------------------------------------------------------
+# Step 4b: Install the memory daemon's systemd user service (Linux only)
+# ---------------------------------------------------------------------------
+if [ "$(uname)" = "Darwin" ]; then
+  : # Scheduling is handled by the launchd agents above
+elif $NO_SYSTEMD; then
+  header "Systemd Service (skipped — --no-systemd)"
+elif ! command -v systemctl &>/dev/null; then
+  header "Systemd Service (skipped — systemctl not found)"
+  warn "Run $CLAWDBOT_HOME/scripts/memory-daemon.js under your service manager, or in the foreground"
+else
+  header "Installing Systemd User Service"
+
+  SYSTEMD_USER_DIR="$HOME/.config/systemd/user"
+  unit_name="clawdbot-memory-daemon.service"
+  template="$SCRIPT_DIR/systemd/$unit_name.template"
+  target_unit="$SYSTEMD_USER_DIR/$unit_name"
+
+  # Generate the unit by replacing __HOME__ and __NODE__ placeholders
+  generated_content=$(sed -e "s|__HOME__|$HOME|g" -e "s|__NODE__|${NODE_PATH:-/usr/bin/node}|g" "$template")
+  install_unit=true
+
+  if [ -f "$target_unit" ]; then
+    if [ "$(cat "$target_unit")" = "$generated_content" ]; then
+      info "$unit_name — already up to date, skipping"
+      install_unit=false
+    else
+      info "$unit_name — target exists and differs"
+      if ! confirm_overwrite "$target_unit"; then
+        info "$unit_name — skipped"
+        install_unit=false
+      fi
+    fi
+  fi
+
+  if ! $install_unit; then
+    SYSTEMD_SKIPPED=$((SYSTEMD_SKIPPED + 1))
+  elif $DRY_RUN; then
+    dry "Would generate: $target_unit (from $unit_name.template)"
+    dry "Would replace __HOME__ with $HOME, __NODE__ with ${NODE_PATH:-/usr/bin/node}"
+    dry "Would run: systemctl --user daemon-reload, enable $unit_name and (re)start it"
+    SYSTEMD_INSTALLED=$((SYSTEMD_INSTALLED + 1))
+  else
+    mkdir -p "$SYSTEMD_USER_DIR"
+    echo "$generated_content" > "$target_unit"
+    chmod 600 "$target_unit"
+
+    if systemctl --user daemon-reload 2>/dev/null && \
+       systemctl --user enable "$unit_name" 2>/dev/null && \
+       systemctl --user restart "$unit_name" 2>/dev/null; then
+      success "Installed and started: $unit_name"
+    else
+      warn "Installed $unit_name but failed to start — try: systemctl --user enable --now $unit_name"
+    fi
+    SYSTEMD_INSTALLED=$((SYSTEMD_INSTALLED + 1))
+  fi
+fi
+
 # ---------------------------------------------------------------------------
 # Step 5: Run validate-config.sh (if available)
 # ---------------------------------------------------------------------------
@@ -387,6 +491,7 @@ echo ""
 echo "  Scripts:       $SCRIPTS_INSTALLED installed, $SCRIPTS_SKIPPED skipped"
 echo "  Hooks:         $HOOKS_INSTALLED installed, $HOOKS_SKIPPED skipped"
 echo "  LaunchD:       $LAUNCHD_INSTALLED installed, $LAUNCHD_SKIPPED skipped"
+echo "  Systemd:       $SYSTEMD_INSTALLED installed, $SYSTEMD_SKIPPED skipped"
 echo ""
 echo "  CLAWDBOT_HOME: $CLAWDBOT_HOME"
 echo "  Scripts dir:   $CLAWDBOT_HOME/scripts/"
@@ -403,8 +508,14 @@ if [ ${#WARNINGS[@]} -gt 0 ]; then
 fi
 
 if ! $DRY_RUN; then
-  echo "To verify launchd agents are running:"
-  echo "  launchctl list | grep com.clawdbot"
+  if [ "$(uname)" = "Darwin" ]; then
+    echo "To verify launchd agents are running:"
+    echo "  launchctl list | grep com.clawdbot"
+  else
+    echo "To verify the memory daemon is running:"
+    echo "  systemctl --user status clawdbot-memory-daemon"
+    echo "  journalctl --user -u clawdbot-memory-daemon -f"
+  fi
   echo ""
   echo "To uninstall:"
   echo "  $SCRIPT_DIR/uninstall.sh"
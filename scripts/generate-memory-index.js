@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+/**
+ * generate-memory-index.js — Generate INDEX.md and INDEX.json for a workspace
+ *
+ * JavaScript counterpart of generate-memory-index.sh. Produces the same
+ * INDEX.md layout plus a machine-readable INDEX.json sidecar with per-file
+ * category, size, token estimate, headings, observation counts and
+ * last-modified time.
+ *
+ * Usage: node generate-memory-index.js [workspace] [--dry-run]
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import os from "node:os";
+import { buildMemoryIndex, formatSize } from "./lib/memory-index.js";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const workspace = process.argv.slice(2).find((a) => !a.startsWith("--")) || path.join(os.homedir(), "clawd");
+const memoryDir = path.join(workspace, "memory");
+
+try {
+  await fs.access(memoryDir);
+} catch {
+  console.error(`Error: Memory directory not found: ${memoryDir}`);
+  process.exit(1);
+}
+
+try {
+  const { scan } = await buildMemoryIndex(workspace, { dryRun: DRY_RUN });
+  const { totals } = scan;
+  console.log("");
+  console.log(DRY_RUN ? "[DRY RUN] Index not written" : `Index generated: ${path.join(memoryDir, "INDEX.md")} (+ INDEX.json)`);
+  console.log(`Files: ${totals.files} | Size: ${formatSize(totals.bytes)} | ~Tokens: ${totals.tokens}`);
+} catch (err) {
+  console.error("Error generating index:", err.message);
+  process.exit(1);
+}
@@ -8,6 +8,8 @@ set -euo pipefail
 WORKSPACE="${1:-$HOME/clawd}"
 MEMORY_DIR="$WORKSPACE/memory"
 INDEX_FILE="$MEMORY_DIR/INDEX.md"
+# Built here, then renamed over INDEX.md so readers never see a partial index
+INDEX_TMP="$MEMORY_DIR/.INDEX.md.$$.tmp"
 
 if [ ! -d "$MEMORY_DIR" ]; then
   echo "Error: Memory directory not found: $MEMORY_DIR"
@@ -19,11 +21,12 @@ CORE_FILES=$(mktemp)
 UQUAL_FILES=$(mktemp)
 RESEARCH_FILES=$(mktemp)
 SESSION_FILES=$(mktemp)
+DIGEST_FILES=$(mktemp)
 CONFIG_FILES=$(mktemp)
 PROJECT_FILES=$(mktemp)
 PLAN_FILES=$(mktemp)
 OTHER_FILES=$(mktemp)
-trap "rm -f $CORE_FILES $UQUAL_FILES $RESEARCH_FILES $SESSION_FILES $CONFIG_FILES $PROJECT_FILES $PLAN_FILES $OTHER_FILES" EXIT
+trap 'rm -f "$CORE_FILES" "$UQUAL_FILES" "$RESEARCH_FILES" "$SESSION_FILES" "$DIGEST_FILES" "$CONFIG_FILES" "$PROJECT_FILES" "$PLAN_FILES" "$OTHER_FILES" "$INDEX_TMP"' EXIT
 
 TOTAL_SIZE=0
 TOTAL_FILES=0
@@ -51,19 +54,20 @@ format_size() {
   fi
 }
 
-# Function to count observation markers in a file
+# Function to count observation markers in a file (status lines such as
+# "[TODO:3f9c0a DONE]" close an observation and are not counted)
 # count_observations sets OBS_STR and updates TOTAL_* globals
 # MUST be called directly (not in a subshell) to preserve global state
 count_observations() {
   local file=$1
-  local decisions; decisions=$(grep -c '\[DECISION\]' "$file" 2>/dev/null) || true; decisions=${decisions:-0}
-  local gotchas; gotchas=$(grep -c '\[GOTCHA\]' "$file" 2>/dev/null) || true; gotchas=${gotchas:-0}
-  local solutions; solutions=$(grep -c '\[SOLUTION\]' "$file" 2>/dev/null) || true; solutions=${solutions:-0}
-  local patterns; patterns=$(grep -c '\[PATTERN\]' "$file" 2>/dev/null) || true; patterns=${patterns:-0}
-  local tradeoffs; tradeoffs=$(grep -c '\[TRADEOFF\]' "$file" 2>/dev/null) || true; tradeoffs=${tradeoffs:-0}
-  local facts; facts=$(grep -c '\[FACT\]' "$file" 2>/dev/null) || true; facts=${facts:-0}
-  local prefs; prefs=$(grep -c '\[PREFERENCE\]' "$file" 2>/dev/null) || true; prefs=${prefs:-0}
-  local todos; todos=$(grep -c '\[TODO\]' "$file" 2>/dev/null) || true; todos=${todos:-0}
+  local decisions; decisions=$(grep -cE '\[DECISION(:[0-9a-f]+)?\]' "$file" 2>/dev/null) || true; decisions=${decisions:-0}
+  local gotchas; gotchas=$(grep -cE '\[GOTCHA(:[0-9a-f]+)?\]' "$file" 2>/dev/null) || true; gotchas=${gotchas:-0}
+  local solutions; solutions=$(grep -cE '\[SOLUTION(:[0-9a-f]+)?\]' "$file" 2>/dev/null) || true; solutions=${solutions:-0}
+  local patterns; patterns=$(grep -cE '\[PATTERN(:[0-9a-f]+)?\]' "$file" 2>/dev/null) || true; patterns=${patterns:-0}
+  local tradeoffs; tradeoffs=$(grep -cE '\[TRADEOFF(:[0-9a-f]+)?\]' "$file" 2>/dev/null) || true; tradeoffs=${tradeoffs:-0}
+  local facts; facts=$(grep -cE '\[FACT(:[0-9a-f]+)?\]' "$file" 2>/dev/null) || true; facts=${facts:-0}
+  local prefs; prefs=$(grep -cE '\[PREFERENCE(:[0-9a-f]+)?\]' "$file" 2>/dev/null) || true; prefs=${prefs:-0}
+  local todos; todos=$(grep -cE '\[TODO(:[0-9a-f]+)?\]' "$file" 2>/dev/null) || true; todos=${todos:-0}
 
   TOTAL_DECISIONS=$(( TOTAL_DECISIONS + decisions ))
   TOTAL_GOTCHAS=$(( TOTAL_GOTCHAS + gotchas ))
@@ -131,6 +135,9 @@ for file in "$MEMORY_DIR"/*.md; do
     20[0-9][0-9]-[0-9][0-9]-[0-9][0-9]*)
       echo "$line" >> "$SESSION_FILES"
       ;;
+    digest-*)
+      echo "$line" >> "$DIGEST_FILES"
+      ;;
     *-config.md|credentials-*)
       echo "$line" >> "$CONFIG_FILES"
       ;;
@@ -151,7 +158,8 @@ TOTAL_SIZE_FMT=$(format_size "$TOTAL_SIZE")
 TOTAL_TOKENS=$(estimate_tokens "$TOTAL_SIZE")
 GENERATED=$(date '+%Y-%m-%d %H:%M %Z')
 
-cat > "$INDEX_FILE" << HEADER
+( umask 077; : > "$INDEX_TMP" )
+cat > "$INDEX_TMP" << HEADER
 # Memory Index
 > **Generated**: ${GENERATED} | **Files**: ${TOTAL_FILES} | **Size**: ${TOTAL_SIZE_FMT} | **~Tokens**: ${TOTAL_TOKENS}
 > **Observations**: ${TOTAL_DECISIONS}🟤 decisions | ${TOTAL_GOTCHAS}🔴 gotchas | ${TOTAL_SOLUTIONS}🟡 solutions | ${TOTAL_PATTERNS}🔵 patterns | ${TOTAL_TODOS}⚪ todos
@@ -175,12 +183,12 @@ write_category() {
   local desc=$3
 
   if [ -s "$file" ]; then
-    echo "" >> "$INDEX_FILE"
-    echo "### ${label}" >> "$INDEX_FILE"
-    [ -n "$desc" ] && echo "_${desc}_" >> "$INDEX_FILE"
-    echo "" >> "$INDEX_FILE"
-    echo "$TABLE_HEADER" >> "$INDEX_FILE"
-    sort -t'|' -k6 -r "$file" >> "$INDEX_FILE"
+    echo "" >> "$INDEX_TMP"
+    echo "### ${label}" >> "$INDEX_TMP"
+    [ -n "$desc" ] && echo "_${desc}_" >> "$INDEX_TMP"
+    echo "" >> "$INDEX_TMP"
+    echo "$TABLE_HEADER" >> "$INDEX_TMP"
+    sort -t'|' -k6 -r "$file" >> "$INDEX_TMP"
   fi
 }
 
@@ -191,8 +199,12 @@ write_category "⚙️ Config & Credentials" "$CONFIG_FILES" "Integration config
 write_category "🔬 Research Reports" "$RESEARCH_FILES" "Deep research output from sub-agents"
 write_category "🏗️ Project Setup" "$PROJECT_FILES" "Agent setup checklists, project scaffolding"
 write_category "📅 Session Logs" "$SESSION_FILES" "Daily session notes and decisions"
+write_category "🗄️ Digests" "$DIGEST_FILES" "Observations from consolidated session logs; originals in memory/archive/"
 write_category "📁 Other" "$OTHER_FILES" "Uncategorized memory files"
 
+chmod 600 "$INDEX_TMP"
+mv -f "$INDEX_TMP" "$INDEX_FILE"
+
 echo ""
 echo "Index generated: $INDEX_FILE"
 echo "Files: $TOTAL_FILES | Size: $TOTAL_SIZE_FMT | ~Tokens: $TOTAL_TOKENS"
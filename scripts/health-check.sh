@@ -195,6 +195,36 @@ check_cron_health() {
     fi
 }
 
+# --- Check 7: Compactions that lost context ---
+# memory-checkpoint.js appends a "compaction-alert" event to the audit log
+# when a compaction leaves an empty or placeholder summary. Each alert is
+# forwarded once: the newest forwarded timestamp is kept in
+# compaction_alerts.seen and only advanced when an alert is actually sent.
+# audit.jsonl.1 is read too: an alert written just before a size rotation
+# lands there.
+COMPACTION_ALERTS_SEEN="$ALERT_STATE_DIR/compaction_alerts.seen"
+COMPACTION_ALERTS_LATEST=""
+check_compaction_alerts() {
+    local audit_log="${CLAWDBOT_HOME:-$HOME/.clawdbot}/memory-infra/audit.jsonl"
+    [[ -f "$audit_log" || -f "$audit_log.1" ]] || return 0
+
+    local seen=""
+    [[ -f "$COMPACTION_ALERTS_SEEN" ]] && seen=$(cat "$COMPACTION_ALERTS_SEEN" 2>/dev/null || true)
+
+    local line ts agent session reason file
+    while IFS= read -r line; do
+        ts=$(printf '%s' "$line" | sed -n 's/.*"ts":"\([^"]*\)".*/\1/p')
+        # ISO timestamps in UTC compare correctly as strings
+        [[ -n "$ts" && "$ts" > "$seen" ]] || continue
+        agent=$(printf '%s' "$line" | sed -n 's/.*"agent":"\([^"]*\)".*/\1/p')
+        session=$(printf '%s' "$line" | sed -n 's/.*"sessionKey":"\([^"]*\)".*/\1/p')
+        reason=$(printf '%s' "$line" | sed -n 's/.*"reason":"\([^"]*\)".*/\1/p')
+        file=$(printf '%s' "$line" | sed -n 's/.*"recoveryFile":"\([^"]*\)".*/\1/p')
+        ISSUES+=("🔴 COMPACTION LOST CONTEXT — ${agent:-?} ${session:+(${session}) }at ${ts}: ${reason:-unknown}. Recovered into ${file:-nothing}")
+        COMPACTION_ALERTS_LATEST="$ts"
+    done < <(grep -h '"action":"compaction-alert"' "$audit_log.1" "$audit_log" 2>/dev/null | tail -20)
+}
+
 # --- Run all checks ---
 check_gateway
 check_process
@@ -202,6 +232,7 @@ check_disk
 check_transcripts
 check_memory_files
 check_cron_health
+check_compaction_alerts
 
 # --- Report ---
 if [[ ${#ISSUES[@]} -eq 0 ]]; then
@@ -247,6 +278,9 @@ if should_alert "$ALERT_KEY"; then
     fi
 
     mark_alerted "$ALERT_KEY"
+    if [[ -n "$COMPACTION_ALERTS_LATEST" ]]; then
+        echo "$COMPACTION_ALERTS_LATEST" > "$COMPACTION_ALERTS_SEEN"
+    fi
     echo "${TIMESTAMP} — ALERT SENT: ${#ISSUES[@]} issue(s)" >> "$ALERT_STATE_DIR/alert_log.txt"
 else
     echo "${TIMESTAMP} — Issues found but in cooldown: ${#ISSUES[@]} issue(s)" >> "$ALERT_STATE_DIR/alert_log.txt"
@@ -0,0 +1,187 @@
+/**
+ * audit-log.js — Append-only audit log of memory activity
+ *
+ * The rotation monitor, the checkpoint script and both hooks append one
+ * JSON line per action to $CLAWDBOT_HOME/memory-infra/audit.jsonl:
+ *
+ *   { "ts": "2026-01-30T14:02:11.000Z", "source": "session-rotation-monitor",
+ *     "action": "rotate", "agent": "desmond",
+ *     "sessionKey": "agent:desmond:slack:dm:U123", "sessionId": "...",
+ *     "tokens": 162000, "files": [{ "path": "...", "bytes": 4210 }], ... }
+ *
+ * `files` lists what the action wrote or read, with sizes at that moment.
+ * Action-specific fields (mode, reason, conversations, sections...) sit
+ * alongside. The log is never rewritten; memory-audit.js queries it.
+ *
+ * Once it passes memoryInfra.audit.maxMB the log is rotated before the
+ * next append: audit.jsonl becomes audit.jsonl.1, .1 becomes .2 and so on,
+ * and logs past memoryInfra.audit.keep are deleted. Readers stream the
+ * rotated logs, oldest first, then audit.jsonl.
+ *
+ * Auditing is best effort: appendAuditEvent() reports failure by returning
+ * false so the action that was audited still succeeds.
+ */
+
+import { createReadStream } from "node:fs";
+import fs from "node:fs/promises";
+import path from "node:path";
+import readline from "node:readline";
+import { clawdbotHome, loadConfig, settingsFor } from "./config.js";
+import { appendFileSafe, ensurePrivateDir, withFileLock } from "./safe-write.js";
+
+export function auditLogPath() {
+  return path.join(clawdbotHome(), "memory-infra", "audit.jsonl");
+}
+
+/**
+ * The audit log and its rotated predecessors that exist, oldest first.
+ */
+export async function auditLogFiles() {
+  const file = auditLogPath();
+  const prefix = `${path.basename(file)}.`;
+  let names;
+  try {
+    names = await fs.readdir(path.dirname(file));
+  } catch {
+    return [];
+  }
+  const rotated = names
+    .map((name) => (name.startsWith(prefix) ? Number(name.slice(prefix.length)) : NaN))
+    .filter((n) => Number.isInteger(n) && n > 0)
+    .sort((a, b) => b - a)
+    .map((n) => `${file}.${n}`);
+  return names.includes(path.basename(file)) ? [...rotated, file] : rotated;
+}
+
+/**
+ * Rotate the log if appending `bytes` would take it past the configured
+ * size. The check is repeated under the lock, so concurrent writers
+ * rotate once.
+ */
+async function rotateIfFull(file, bytes) {
+  let settings;
+  try {
+    settings = settingsFor(await loadConfig({ required: false, report: false }), "audit");
+  } catch {
+    settings = settingsFor({}, "audit");
+  }
+  const maxBytes = settings.maxMB * 1024 * 1024;
+  const full = async () => {
+    try {
+      const { size } = await fs.stat(file);
+      return size > 0 && size + bytes > maxBytes;
+    } catch {
+      return false;
+    }
+  };
+  if (maxBytes === 0 || !(await full())) return;
+
+  await withFileLock(file, async () => {
+    if (!(await full())) return;
+    const files = await auditLogFiles();
+    for (const old of files) {
+      const n = Number(old.slice(file.length + 1));
+      if (n >= settings.keep) await fs.rm(old, { force: true });
+    }
+    for (let n = settings.keep - 1; n >= 1; n--) {
+      await fs.rename(`${file}.${n}`, `${file}.${n + 1}`).catch(() => {});
+    }
+    await fs.rename(file, `${file}.1`);
+  });
+}
+
+/**
+ * Describe a file for an event's `files` list. Missing files are recorded
+ * with bytes: null.
+ */
+export async function auditFile(filePath) {
+  try {
+    const stat = await fs.stat(filePath);
+    return { path: filePath, bytes: stat.size };
+  } catch {
+    return { path: filePath, bytes: null };
+  }
+}
+
+/**
+ * Append one event. `ts` defaults to now; fields left undefined are
+ * dropped. Returns true once the line is written.
+ */
+export async function appendAuditEvent(event) {
+  const file = auditLogPath();
+  const line = JSON.stringify({ ts: new Date().toISOString(), ...event }) + "\n";
+  try {
+    await ensurePrivateDir(path.dirname(file));
+    await rotateIfFull(file, Buffer.byteLength(line));
+    await appendFileSafe(file, line);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parse a --since/--until value: an ISO date or date-time, or a relative
+ * age like "30m", "6h", "7d", "2w". Returns epoch ms, or null if invalid.
+ */
+export function parseAuditTime(value, now = Date.now()) {
+  if (!value) return null;
+  const relative = value.match(/^(\d+)([mhdw])$/);
+  if (relative) {
+    const minutes = { m: 1, h: 60, d: 60 * 24, w: 60 * 24 * 7 }[relative[2]] * Number(relative[1]);
+    return now - minutes * 60000;
+  }
+  // Bare dates mean local midnight, like the daily log file names
+  const ms = /^\d{4}-\d\d-\d\d$/.test(value) ? new Date(`${value}T00:00:00`).getTime() : Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Session keys an event refers to.
+ */
+export function eventSessionKeys(event) {
+  const keys = [event.sessionKey, ...(event.conversations || []).map((c) => c.sessionKey)];
+  return keys.filter(Boolean);
+}
+
+/**
+ * Stream events, oldest first, from the rotated logs and then audit.jsonl,
+ * optionally filtered:
+ *   agent   — agent id
+ *   actions — list of action names
+ *   key     — RegExp tested against the session key (or, for checkpoints,
+ *             any checkpointed conversation's key)
+ *   since / until — epoch ms bounds (inclusive / exclusive)
+ * Unparseable lines are skipped, and so are rotated logs last written
+ * before `since`.
+ */
+export async function* streamAuditEvents({ agent = null, actions = null, key = null, since = null, until = null } = {}) {
+  for (const file of await auditLogFiles()) {
+    let stream;
+    try {
+      if (since !== null && file !== auditLogPath() && (await fs.stat(file)).mtimeMs < since) continue;
+      stream = createReadStream(file, { encoding: "utf-8" });
+      await new Promise((resolve, reject) => stream.once("open", resolve).once("error", reject));
+    } catch {
+      // Rotated away or deleted since it was listed
+      continue;
+    }
+
+    for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+      if (!line.trim()) continue;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      const t = Date.parse(event.ts);
+      if (agent && event.agent !== agent) continue;
+      if (actions && !actions.includes(event.action)) continue;
+      if (key && !eventSessionKeys(event).some((k) => key.test(k))) continue;
+      if (since !== null && !(t >= since)) continue;
+      if (until !== null && !(t < until)) continue;
+      yield event;
+    }
+  }
+}
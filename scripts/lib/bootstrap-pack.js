@@ -0,0 +1,293 @@
+/**
+ * bootstrap-pack.js — Fit memory into a bootstrap token budget
+ *
+ * The memory-index-inject hook has a fixed token budget per agent for
+ * everything it injects at bootstrap. This module packs the pieces in
+ * priority order until the budget is spent:
+ *
+ *   1. The progressive-disclosure instruction block (always included)
+ *   2. ACTIVE_CONTEXT.md, section by section — within each conversation,
+ *      the goal, blockers, open questions and next steps outrank recent
+ *      requests, actions and file lists; a section that doesn't fit whole
+ *      is truncated
+ *   3. INDEX.md rows — core files first, then most recently modified
+ *   4. Shared team-memory entries the agent subscribes to
+ *   5. Optional high-value observations (e.g. every 🔴 GOTCHA and ⚪ TODO)
+ *
+ * Every function returns a report of what was included, truncated and
+ * dropped so the hook can log it.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { MARKERS, observationLines, parseObservationLine } from "./observations.js";
+import { loadObservationLedger } from "./observation-lifecycle.js";
+import { renderIndexMarkdown } from "./memory-index.js";
+import { parseActiveContext } from "./checkpoint.js";
+
+// ACTIVE_CONTEXT.md subsections, most important first. Unlisted ones go last.
+const SECTION_PRIORITY = [
+  "Current Goal",
+  "Summary",
+  "Blockers",
+  "Open Questions",
+  "Next Steps",
+  "In Progress",
+  "Recent Requests",
+  "Actions Taken",
+  "Files Referenced",
+];
+// Don't bother truncating a section into less than this many tokens
+const MIN_TRUNCATED_TOKENS = 40;
+
+/**
+ * Estimate tokens (~4 chars per token), matching the index builder.
+ */
+export function estimateTextTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+/**
+ * Split Markdown into blocks at headings of exactly `level`. The first
+ * block (heading: null) is whatever precedes the first such heading.
+ */
+export function splitSections(markdown, level) {
+  const marker = "#".repeat(level) + " ";
+  const blocks = [{ heading: null, lines: [] }];
+  for (const line of markdown.split("\n")) {
+    if (line.startsWith(marker)) {
+      blocks.push({ heading: line.slice(marker.length).trim(), lines: [line] });
+    } else {
+      blocks[blocks.length - 1].lines.push(line);
+    }
+  }
+  return blocks
+    .map((b) => ({ heading: b.heading, text: b.lines.join("\n") }))
+    .filter((b) => b.heading !== null || b.text.trim());
+}
+
+/**
+ * Keep as many whole lines of `text` as fit in `budget` tokens, ending
+ * with a note saying how many were cut. Returns null if nothing fits.
+ */
+function truncateLines(text, budget) {
+  const lines = text.split("\n");
+  const kept = [];
+  let used = 0;
+  for (const line of lines) {
+    const cost = estimateTextTokens(line + "\n");
+    // Reserve room for the truncation note
+    if (used + cost > budget - 10) break;
+    kept.push(line);
+    used += cost;
+  }
+  if (kept.length === 0) return null;
+  const cut = lines.length - kept.length;
+  return cut > 0 ? `${kept.join("\n")}\n_…${cut} more lines truncated_` : kept.join("\n");
+}
+
+function sectionRank(heading) {
+  const rank = SECTION_PRIORITY.findIndex((h) => heading?.startsWith(h));
+  return rank < 0 ? SECTION_PRIORITY.length : rank;
+}
+
+/**
+ * Pack ACTIVE_CONTEXT.md into `budget` tokens. The front matter repeats
+ * the working state below it for tools, so it is left out.
+ * Returns { text, tokens, included, truncated, dropped }.
+ */
+export function packActiveContext(content, budget) {
+  const report = { included: [], truncated: [], dropped: [] };
+  const out = [];
+  let remaining = budget;
+
+  // Try to place a unit whole; otherwise truncate it if there's room
+  const place = (label, text) => {
+    const cost = estimateTextTokens(text + "\n");
+    if (cost <= remaining) {
+      remaining -= cost;
+      report.included.push(label);
+      return text;
+    }
+    if (remaining >= MIN_TRUNCATED_TOKENS) {
+      const cut = truncateLines(text, remaining);
+      if (cut) {
+        remaining -= estimateTextTokens(cut + "\n");
+        report.truncated.push(label);
+        return cut;
+      }
+    }
+    report.dropped.push(label);
+    return null;
+  };
+
+  for (const block of splitSections(parseActiveContext(content).body, 2)) {
+    const blockLabel = block.heading || "header";
+    const parts = splitSections(block.text, 3);
+    // A block without subsections is a single unit
+    if (parts.length <= 1) {
+      const placed = place(blockLabel, block.text);
+      if (placed) out.push(placed);
+      continue;
+    }
+
+    // Block intro (heading + session line) first; without it the
+    // subsections have no context, so drop the whole block
+    const [intro, ...subsections] = parts;
+    const placedIntro = place(blockLabel, intro.text);
+    if (!placedIntro) {
+      for (const sub of subsections) report.dropped.push(`${blockLabel} › ${sub.heading}`);
+      continue;
+    }
+
+    const chosen = new Map();
+    const ranked = subsections
+      .map((sub, i) => ({ ...sub, i }))
+      .sort((a, b) => sectionRank(a.heading) - sectionRank(b.heading) || a.i - b.i);
+    for (const sub of ranked) {
+      const placed = place(`${blockLabel} › ${sub.heading}`, sub.text);
+      if (placed) chosen.set(sub.i, placed);
+    }
+
+    out.push(placedIntro, ...subsections.map((_, i) => chosen.get(i)).filter(Boolean));
+  }
+
+  const text = out.join("\n");
+  return { text, tokens: estimateTextTokens(text), ...report };
+}
+
+/**
+ * Pack the memory index into `budget` tokens. With the INDEX.json sidecar,
+ * whole rows are kept by priority (core files, then most recent) and the
+ * table is re-rendered; otherwise INDEX.md is cut line by line.
+ * Returns { text, tokens, included, dropped } where included/dropped are
+ * file names (or line counts without the sidecar).
+ */
+export function packIndex({ indexMarkdown, indexJson }, budget) {
+  if (estimateTextTokens(indexMarkdown) <= budget) {
+    const files = indexJson?.files?.map((f) => f.file) || [];
+    return { text: indexMarkdown, tokens: estimateTextTokens(indexMarkdown), included: files, dropped: [] };
+  }
+
+  if (!indexJson?.files) {
+    const text = truncateLines(indexMarkdown, budget) || "";
+    const kept = text ? text.split("\n").length - 1 : 0;
+    return {
+      text,
+      tokens: estimateTextTokens(text),
+      included: [`${kept} lines`],
+      dropped: [`${indexMarkdown.split("\n").length - kept} lines`],
+    };
+  }
+
+  const files = indexJson.files.map((f) => ({ ...f, mtimeMs: Date.parse(f.modified) || 0 }));
+  const ranked = [...files].sort(
+    (a, b) => (b.category === "core") - (a.category === "core") || b.mtimeMs - a.mtimeMs
+  );
+  const omittedNote = (n) =>
+    `\n_${n} older files omitted to fit the bootstrap budget — see INDEX.json or use \`memory_search\`._\n`;
+  const render = (subset) =>
+    renderIndexMarkdown({ files: subset, totals: indexJson.totals }, new Date(indexJson.generated)) +
+    (subset.length < files.length ? omittedNote(files.length - subset.length) : "");
+
+  // Add rows greedily, re-rendering to account for category headers
+  const kept = [];
+  let text = render(kept);
+  for (const file of ranked) {
+    const candidate = render([...kept, file]);
+    if (estimateTextTokens(candidate) > budget) continue;
+    kept.push(file);
+    text = candidate;
+  }
+
+  // Even the empty render may not fit; then nothing is spent
+  const packed = estimateTextTokens(text) <= budget ? text : "";
+  const keptNames = new Set(kept.map((f) => f.file));
+  return {
+    text: packed,
+    tokens: estimateTextTokens(packed),
+    included: kept.map((f) => f.file),
+    dropped: files.filter((f) => !keptNames.has(f.file)).map((f) => f.file),
+  };
+}
+
+/**
+ * Collect open observation lines of the given types from memory/*.md,
+ * newest file first, ordered by the position of their type in `types`.
+ * Resolved, superseded and expired items (see observation-lifecycle.js)
+ * are left out. Returns [{ type, id, text, source }] where source is the
+ * file name.
+ */
+export async function collectObservations(memoryDir, types, { expireDays } = {}) {
+  const closed = new Set(
+    (await loadObservationLedger(memoryDir, { expireDays })).filter((item) => item.status).map((item) => item.id)
+  );
+
+  const skip = new Set(["INDEX.md", "ACTIVE_CONTEXT.md"]);
+  const files = [];
+  for (const f of await fs.readdir(memoryDir)) {
+    if (!f.endsWith(".md") || skip.has(f)) continue;
+    try {
+      const stat = await fs.stat(path.join(memoryDir, f));
+      files.push({ f, mtimeMs: stat.mtimeMs });
+    } catch {
+      // Vanished between readdir and stat
+    }
+  }
+  files.sort((a, b) => b.mtimeMs - a.mtimeMs);
+
+  const found = [];
+  const seen = new Set();
+  for (const { f } of files) {
+    let content;
+    try {
+      content = await fs.readFile(path.join(memoryDir, f), "utf-8");
+    } catch {
+      continue;
+    }
+    for (const line of observationLines(content)) {
+      const obs = parseObservationLine(line);
+      if (!obs || obs.status || !obs.text || !types.includes(obs.type)) continue;
+      if (closed.has(obs.id) || seen.has(obs.id)) continue;
+      seen.add(obs.id);
+      found.push({ type: obs.type, id: obs.id, text: obs.text, source: `\`${f}\`` });
+    }
+  }
+
+  return found.sort((a, b) => types.indexOf(a.type) - types.indexOf(b.type));
+}
+
+/**
+ * Pack observation lines ({ type, id, text, source }) into `budget` tokens
+ * under `heading` (a Markdown block). Returns { text, tokens, included,
+ * dropped } with counts.
+ */
+export function packObservations(
+  observations,
+  budget,
+  heading = "## Key Observations\n_Open items carried over from memory files:_\n"
+) {
+  if (observations.length === 0 || estimateTextTokens(heading) >= budget) {
+    return { text: "", tokens: 0, included: 0, dropped: observations.length };
+  }
+
+  const lines = [];
+  let used = estimateTextTokens(heading);
+  for (const obs of observations) {
+    const marker = obs.id ? `[${obs.type}:${obs.id}]` : `[${obs.type}]`;
+    const line = `- ${MARKERS[obs.type]} ${marker} ${obs.text} — ${obs.source}`;
+    const cost = estimateTextTokens(line + "\n");
+    if (used + cost > budget) break;
+    lines.push(line);
+    used += cost;
+  }
+
+  if (lines.length === 0) return { text: "", tokens: 0, included: 0, dropped: observations.length };
+  const text = `${heading}\n${lines.join("\n")}\n`;
+  return {
+    text,
+    tokens: estimateTextTokens(text),
+    included: lines.length,
+    dropped: observations.length - lines.length,
+  };
+}
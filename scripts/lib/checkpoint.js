@@ -0,0 +1,531 @@
+/**
+ * checkpoint.js — Transcript extraction and checkpoint rendering
+ *
+ * Shared by memory-checkpoint.js (periodic checkpoints of every active
+ * session) and session-rotation-monitor.js (a final checkpoint of a
+ * session just before it is rotated). Turns transcript lines (any format
+ * transcript.js reads) into messages, tool actions and session events, and
+ * renders them as ACTIVE_CONTEXT.md conversation sections and daily log
+ * entries (also written by memory-replay.js when backfilling history).
+ */
+
+import { createHash } from "node:crypto";
+import { redactText } from "./redact.js";
+import { assessCompaction } from "./compaction.js";
+import { parseTranscript } from "./transcript.js";
+import { summarizeConversation } from "./context-summary.js";
+
+// Tool argument keys worth showing, in priority order
+const TOOL_PATH_KEYS = ["file_path", "path", "filePath", "file"];
+const TOOL_ARG_KEYS = [...TOOL_PATH_KEYS, "command", "cmd", "url", "query", "pattern"];
+// Cap on tool output kept per action
+const TOOL_OUTPUT_CHARS = 200;
+// How many requests / actions / errors to list per conversation in ACTIVE_CONTEXT.md
+const MAX_CONTEXT_REQUESTS = 5;
+const MAX_CONTEXT_ACTIONS = 15;
+export const MAX_CONTEXT_ERRORS = 5;
+const MAX_CONTEXT_EVENTS = 5;
+// Cap on requests listed in a single daily log entry
+const MAX_DAILY_REQUESTS = 25;
+
+// Metadata line under each daily log entry's heading
+const ENTRY_META_PATTERN = /^<!-- checkpoint at=(\S+) hash=([0-9a-f]+) -->$/gm;
+// YAML front matter at the top of ACTIVE_CONTEXT.md
+const FRONT_MATTER_PATTERN = /^---\n([\s\S]*?)\n---\n/;
+
+/**
+ * Whether to record calls to a tool, given the checkpoint's toolsAllow /
+ * toolsDeny settings (case-insensitive). An empty allow list means all
+ * tools.
+ */
+function toolMatcher(allow, deny) {
+  const allowed = new Set(allow.map((t) => t.toLowerCase()));
+  const denied = new Set(deny.map((t) => t.toLowerCase()));
+  return (name) => {
+    const tool = (name || "").toLowerCase();
+    if (denied.has(tool)) return false;
+    return allowed.size === 0 || allowed.has(tool);
+  };
+}
+
+/**
+ * Pull the most useful argument out of a tool call for a one-line summary:
+ * file path, command, URL or query. Falls back to compact JSON.
+ */
+function summarizeToolArgs(input) {
+  if (!input || typeof input !== "object") {
+    return typeof input === "string" ? input.slice(0, 200) : "";
+  }
+  for (const key of TOOL_ARG_KEYS) {
+    if (typeof input[key] === "string" && input[key]) {
+      return input[key].replace(/\s+/g, " ").slice(0, 200);
+    }
+  }
+  const json = JSON.stringify(input);
+  return json === "{}" ? "" : json.slice(0, 120);
+}
+
+/**
+ * Extract structured message data from JSONL lines.
+ *
+ * Returns { messages, actions, events, redactions }. `messages` holds
+ * user/assistant text. `actions` holds one entry per tool call, paired with
+ * its result when the result is in range: { id, tool, args, path, status,
+ * output, timestamp }. `events` holds compactions and model changes
+ * ({ kind, timestamp, ... } as parsed by transcript.js). `format` selects
+ * the transcript adapter ("auto" detects it); `toolsAllow` / `toolsDeny`
+ * (memoryInfra.checkpoint) limit the tools recorded. All captured text is
+ * passed through the redaction rules; `redactions` counts matches.
+ */
+export function extractMessages(lines, rules, { format = "auto", toolsAllow = [], toolsDeny = [] } = {}) {
+  const isToolTracked = toolMatcher(toolsAllow, toolsDeny);
+  const messages = [];
+  const actions = [];
+  const events = [];
+  const actionsById = new Map();
+  let redactions = 0;
+
+  const redact = (text) => {
+    const result = redactText(text, rules);
+    redactions += result.count;
+    return result.text;
+  };
+
+  const recordCall = (id, name, input, timestamp) => {
+    if (!isToolTracked(name)) return;
+    const args = input && typeof input === "object" ? input : {};
+    const action = {
+      id: id || null,
+      tool: name || "unknown",
+      args: redact(summarizeToolArgs(input)),
+      path: redact(TOOL_PATH_KEYS.map((k) => args[k]).find((v) => typeof v === "string") || null),
+      status: "pending",
+      output: "",
+      timestamp,
+    };
+    actions.push(action);
+    if (id) actionsById.set(id, action);
+  };
+
+  const recordResult = (id, content, isError) => {
+    const action = actionsById.get(id);
+    if (!action) return;
+    action.status = isError ? "error" : "ok";
+    action.output = redact(
+      (content || "").replace(/\s+/g, " ").trim()
+    ).slice(0, TOOL_OUTPUT_CHARS);
+  };
+
+  for (const event of parseTranscript(lines, { format }).events) {
+    if (event.kind === "tool_call") {
+      recordCall(event.id, event.name, event.input, event.timestamp);
+      continue;
+    }
+    if (event.kind === "tool_result") {
+      recordResult(event.id, event.content, event.isError);
+      continue;
+    }
+    if (event.kind === "compaction") {
+      events.push({ ...event, summary: redact(event.summary).slice(0, TOOL_OUTPUT_CHARS) });
+      continue;
+    }
+    if (event.kind === "model_change") {
+      events.push(event);
+      continue;
+    }
+    if (event.role !== "user" && event.role !== "assistant") continue;
+
+    const text = event.text;
+    if (!text || text.length < 5) continue;
+    // Skip internal control messages
+    if (text === "HEARTBEAT_OK" || text === "NO_REPLY") continue;
+    if (text.startsWith("/")) continue;
+
+    messages.push({
+      role: event.role,
+      text: redact(text).slice(0, 1000), // Cap per-message length
+      timestamp: event.timestamp,
+      model: event.model,
+    });
+  }
+
+  return { messages, actions, events, redactions };
+}
+
+/**
+ * Format a message timestamp as HH:MM (24h), or ??:?? if unknown.
+ */
+export function formatTime(timestamp) {
+  if (!timestamp) return "??:??";
+  return new Date(timestamp).toLocaleTimeString("en-US", {
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false,
+  });
+}
+
+/**
+ * Human-readable label for a conversation: its session key when the
+ * gateway store knows it, otherwise the session id.
+ */
+export function conversationLabel(session) {
+  return session.sessionKey || session.sessionId;
+}
+
+/**
+ * One-line description of a tool call for checkpoint output.
+ */
+export function formatAction(action) {
+  const args = action.args ? `: \`${action.args.replace(/`/g, "'")}\`` : "";
+  return `**[${formatTime(action.timestamp)}]** ${action.tool}${args}`;
+}
+
+/**
+ * One-line description of a compaction or model change.
+ */
+export function formatEvent(event) {
+  const time = `**[${formatTime(event.timestamp)}]**`;
+  if (event.kind === "model_change") {
+    return `${time} Model switched to ${[event.provider, event.model].filter(Boolean).join("/") || "unknown"}`;
+  }
+  const before = event.tokensBefore ? ` at ${event.tokensBefore} tokens` : "";
+  const summary = event.summary ? `: ${event.summary.replace(/\s+/g, " ")}` : " (no summary)";
+  const problem = assessCompaction(event);
+  const lost = problem ? ` — ⚠️ context lost (${problem})` : "";
+  return `${time} Context compacted${before}${summary}${lost}`;
+}
+
+/**
+ * Working state of a conversation: from an llm-summary.js `summary` if
+ * there is one, otherwise from context-summary.js. Returns { state, source }.
+ */
+function workingState(messages, actions, summary) {
+  if (summary?.state) return { state: summary.state, source: summary.source };
+  return { state: summarizeConversation(messages, actions), source: "heuristic" };
+}
+
+/**
+ * Machine-readable working state of one conversation, as listed in the
+ * ACTIVE_CONTEXT.md front matter: { key, session, source, goal, goalAt,
+ * inProgress, openQuestions, blockers, nextSteps }.
+ */
+export function contextEntry(session, messages, actions, summary = null) {
+  const { state, source } = workingState(messages, actions, summary);
+  return {
+    key: conversationLabel(session),
+    session: session.sessionId,
+    source,
+    goal: state.goal?.text || null,
+    goalAt: state.goal?.timestamp || null,
+    inProgress: state.inProgress,
+    openQuestions: state.openQuestions,
+    blockers: state.blockers,
+    nextSteps: state.nextSteps,
+  };
+}
+
+/**
+ * YAML front matter for ACTIVE_CONTEXT.md. Each conversation's
+ * contextEntry() is written as a JSON flow mapping on one line, which YAML
+ * parsers read as is and parseActiveContext() reads back line by line.
+ */
+function formatFrontMatter(agentId, timestamp, entries) {
+  return [
+    "---",
+    `agent: ${JSON.stringify(agentId)}`,
+    `generated: ${JSON.stringify(timestamp)}`,
+    entries.length > 0 ? "conversations:" : "conversations: []",
+    ...entries.map((entry) => `  - ${JSON.stringify(entry)}`),
+    "---",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Split ACTIVE_CONTEXT.md into the conversations listed in its front
+ * matter (contextEntry() objects, in file order) and the Markdown after
+ * it. Files written before the front matter existed list none.
+ */
+export function parseActiveContext(content) {
+  const match = (content || "").match(FRONT_MATTER_PATTERN);
+  if (!match) return { conversations: [], body: content || "" };
+  const conversations = [];
+  for (const line of match[1].split("\n")) {
+    const entry = line.match(/^ {2}- (\{.*\})$/);
+    if (!entry) continue;
+    try {
+      conversations.push(JSON.parse(entry[1]));
+    } catch {
+      // Edited by hand; rebuilt on the next checkpoint
+    }
+  }
+  return { conversations, body: content.slice(match[0].length) };
+}
+
+/**
+ * Build the ACTIVE_CONTEXT.md section for one conversation: the working
+ * state from context-summary.js (current goal, in progress, open
+ * questions, blockers, next steps), then recent requests,
+ * actions, session events and file references. `events` are the
+ * compactions and model changes from extractMessages(); a
+ * `session.recoveryNote` (set by memory-checkpoint.js after a compaction
+ * lost context) goes before the working state. A `summary` from
+ * llm-summary.js ({ state, text, source }) replaces the mechanical working
+ * state and adds its text as a Summary section.
+ */
+export function buildSessionSection(session, messages, actions, events = [], summary = null) {
+  // Working state first: what a resumed agent needs before any history
+  const { state } = workingState(messages, actions, summary);
+  const sections = [
+    `## Conversation: ${conversationLabel(session)}`,
+    `> Session: ${session.sessionId} | Last activity: ${new Date(session.mtimeMs).toISOString()} | Messages captured: ${messages.length}`,
+    "",
+  ];
+
+  if (session.recoveryNote) sections.push(session.recoveryNote, "");
+
+  sections.push("### Current Goal");
+  if (!state.goal) sections.push("- _None open: the assistant reported the latest request done._");
+  else if (state.goal.timestamp) sections.push(`- **[${formatTime(state.goal.timestamp)}]** ${state.goal.text}`);
+  else sections.push(`- ${state.goal.text}`);
+  sections.push("");
+  if (summary?.text) sections.push("### Summary", summary.text, "");
+  for (const [heading, items] of [
+    ["In Progress", state.inProgress],
+    ["Open Questions", state.openQuestions],
+    ["Blockers", state.blockers],
+    ["Next Steps", state.nextSteps],
+  ]) {
+    if (items.length === 0) continue;
+    sections.push(`### ${heading}`, ...items.map((item) => `- ${item}`), "");
+  }
+
+  const recentUser = messages.filter((m) => m.role === "user").slice(-MAX_CONTEXT_REQUESTS);
+  if (recentUser.length > 0) {
+    sections.push("### Recent Requests");
+    for (const msg of recentUser) {
+      sections.push(`- **[${formatTime(msg.timestamp)}]** ${msg.text.slice(0, 300)}`);
+    }
+    sections.push("");
+  }
+
+  if (actions.length > 0) {
+    sections.push("### Actions Taken");
+    for (const action of actions.slice(-MAX_CONTEXT_ACTIONS)) {
+      const pending = action.status === "pending" ? " _(no result yet)_" : "";
+      const failed = action.status === "error" ? " — **failed**" : "";
+      sections.push(`- ${formatAction(action)}${failed}${pending}`);
+    }
+    sections.push("");
+  }
+
+  if (events.length > 0) {
+    sections.push("### Session Events");
+    for (const event of events.slice(-MAX_CONTEXT_EVENTS)) {
+      sections.push(`- ${formatEvent(event)}`);
+    }
+    sections.push("");
+  }
+
+  // Extract file references: paths tools touched first, then paths in text
+  const allText = messages.map((m) => m.text).join("\n");
+  const fileRefs = new Set(actions.map((a) => a.path).filter(Boolean));
+  const filePatterns = allText.matchAll(
+    /(?:^|\s)((?:[\w./-]+\/)+[\w.-]+\.\w{1,10})(?:\s|$|[,;:)\]])/gm
+  );
+  for (const match of filePatterns) {
+    const ref = match[1];
+    if (
+      ref.length > 5 &&
+      !ref.startsWith("http") &&
+      !ref.includes("node_modules")
+    ) {
+      fileRefs.add(ref);
+    }
+  }
+  if (fileRefs.size > 0) {
+    sections.push("### Files Referenced");
+    for (const ref of [...fileRefs].slice(0, 20)) {
+      sections.push(`- \`${ref}\``);
+    }
+    sections.push("");
+  }
+
+  return sections.join("\n");
+}
+
+/**
+ * Build ACTIVE_CONTEXT.md content: front matter with every conversation's
+ * working state, then one section per active conversation, most recently
+ * active first. A conversation's `summary` (set by llm-summary.js) replaces
+ * its mechanical working state. The assembled file gets a final redaction
+ * pass, and the header records how many values were redacted in total.
+ */
+export function buildActiveContext(agentId, conversations, rules, generator = "memory-checkpoint") {
+  const timestamp = new Date().toISOString();
+  const totalMessages = conversations.reduce((n, c) => n + c.messages.length, 0);
+
+  const frontMatter = redactText(
+    formatFrontMatter(
+      agentId,
+      timestamp,
+      conversations.map(({ session, messages, actions, summary }) => contextEntry(session, messages, actions, summary))
+    ),
+    rules
+  );
+  const body = redactText(
+    conversations
+      .map(({ session, messages, actions, events, summary }) => buildSessionSection(session, messages, actions, events, summary))
+      .join("\n"),
+    rules
+  );
+  const redactions = conversations.reduce((n, c) => n + c.redactions, body.count + frontMatter.count);
+
+  const sections = [
+    frontMatter.text + `# Active Context — ${agentId}`,
+    `> Auto-generated by ${generator} at ${timestamp}`,
+    `> Active conversations: ${conversations.length}`,
+    `> Messages captured: ${totalMessages}`,
+    `> Redactions: ${redactions}`,
+    "",
+    body.text,
+  ];
+
+  return sections.join("\n");
+}
+
+/**
+ * Replace one conversation's section in an existing ACTIVE_CONTEXT.md (or
+ * add it first, as the most recent), leaving the other conversations as
+ * they are. `entry` (from contextEntry()) replaces the conversation's
+ * front matter entry; header counts are refreshed. With no existing
+ * content a new file is started.
+ */
+export function upsertConversationSection(existing, agentId, label, section, generator, entry = null) {
+  const timestamp = new Date().toISOString();
+  const marker = "## Conversation: ";
+  const { conversations: entries, body } = parseActiveContext(existing);
+  const parts = body.split(new RegExp(`^(?=${marker})`, "m"));
+  const header = parts[0].startsWith(marker) ? "" : parts.shift();
+  const blocks = parts.filter((b) => b.startsWith(marker));
+
+  const index = blocks.findIndex((b) => b.split("\n")[0] === `${marker}${label}`);
+  const block = section.endsWith("\n") ? section : section + "\n";
+  if (index >= 0) blocks[index] = block;
+  else blocks.unshift(block);
+
+  const messages = blocks.reduce(
+    (n, b) => n + Number(b.match(/Messages captured: (\d+)/)?.[1] || 0),
+    0
+  );
+  const headerLines = header.trim()
+    ? header.trimEnd().split("\n")
+    : [`# Active Context — ${agentId}`, "> Auto-generated", "> Active conversations: 0", "> Messages captured: 0", "> Redactions: 0"];
+  const refreshed = headerLines.map((line) => {
+    if (line.startsWith("> Auto-generated")) return `> Auto-generated by ${generator} at ${timestamp}`;
+    if (line.startsWith("> Active conversations:")) return `> Active conversations: ${blocks.length}`;
+    if (line.startsWith("> Messages captured:")) return `> Messages captured: ${messages}`;
+    return line;
+  });
+
+  // Front matter entries follow the sections' order
+  const byKey = new Map(entries.map((e) => [e.key, e]));
+  if (entry) byKey.set(label, entry);
+  const ordered = blocks.map((b) => byKey.get(b.split("\n")[0].slice(marker.length))).filter(Boolean);
+
+  return formatFrontMatter(agentId, timestamp, ordered) + [...refreshed, "", blocks.join("\n").trimEnd(), ""].join("\n");
+}
+
+/**
+ * YYYY-MM-DD in local time, as daily log files are named.
+ */
+export function localDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+/**
+ * Hash identifying the captured range of one or more conversations: the
+ * same lines always give the same hash, whatever the time of the run.
+ */
+export function rangeHash(parts) {
+  const hash = createHash("sha256");
+  for (const part of parts) hash.update(part).update("\n");
+  return hash.digest("hex").slice(0, 16);
+}
+
+/**
+ * Build a daily log entry from the messages appended since the last run,
+ * grouped by conversation. Every user request in the range is listed so
+ * the daily log covers the whole session, not just its tail. The local
+ * HH:MM heading is for readers; the metadata line below it carries the
+ * ISO timestamp and range hash that deduplication relies on. The heading
+ * label says which tool wrote the entry ("auto" for periodic checkpoints).
+ */
+export function buildDailyEntry(agentId, conversations, rules, now, hash, label = "auto") {
+  const timeStr = now.toLocaleTimeString("en-US", {
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false,
+  });
+
+  const lines = [];
+
+  for (const { session, messages, actions, events } of conversations) {
+    lines.push(`#### ${conversationLabel(session)}`);
+
+    // Summarize: count of messages, most recent topics
+    const userMsgs = messages.filter((m) => m.role === "user");
+    const assistantMsgs = messages.filter((m) => m.role === "assistant");
+
+    lines.push(
+      `- ${messages.length} messages (${userMsgs.length} user, ${assistantMsgs.length} assistant)`
+    );
+
+    // Every request in the range, oldest first
+    if (userMsgs.length > 0) {
+      lines.push("- Requests:");
+      for (const msg of userMsgs.slice(0, MAX_DAILY_REQUESTS)) {
+        lines.push(`  - ${msg.text.slice(0, 200).replace(/\s+/g, " ")}`);
+      }
+      if (userMsgs.length > MAX_DAILY_REQUESTS) {
+        lines.push(`  - …and ${userMsgs.length - MAX_DAILY_REQUESTS} more`);
+      }
+    }
+
+    // Last assistant output as status indicator
+    if (assistantMsgs.length > 0) {
+      const lastAssistant = assistantMsgs[assistantMsgs.length - 1];
+      lines.push(`- Last output: ${lastAssistant.text.slice(0, 200)}`);
+    }
+
+    if (actions.length > 0) {
+      const errors = actions.filter((a) => a.status === "error");
+      lines.push(`- Actions: ${actions.length} tool calls (${errors.length} failed)`);
+      for (const action of errors.slice(0, MAX_CONTEXT_ERRORS)) {
+        lines.push(`  - ${formatAction(action)}${action.output ? ` → ${action.output}` : ""}`);
+      }
+    }
+
+    // Compactions and model switches in the range
+    for (const event of events) {
+      lines.push(`- ${formatEvent(event)}`);
+    }
+
+    lines.push("");
+  }
+
+  const body = redactText(lines.join("\n"), rules);
+  const redactions = conversations.reduce((n, c) => n + c.redactions, body.count);
+  const header = [`### Checkpoint ${timeStr} (${label})`, `<!-- checkpoint at=${now.toISOString()} hash=${hash} -->`, ""];
+  if (redactions > 0) header.splice(2, 0, `> Redactions: ${redactions}`);
+
+  return [...header, body.text].join("\n");
+}
+
+/**
+ * The entries already in a daily log, from their metadata lines:
+ * [{at, hash}] in file order.
+ */
+export function loggedEntries(content) {
+  return [...(content || "").matchAll(ENTRY_META_PATTERN)].map((m) => ({ at: m[1], hash: m[2] }));
+}
@@ -0,0 +1,60 @@
+/**
+ * compaction.js — Spot compactions that lost the conversation
+ *
+ * When the gateway compacts a session it appends a compaction entry with a
+ * summary of everything it dropped. In `safeguard` mode the summary is
+ * never generated (docs/compaction-bug.md): the entry carries "Summary
+ * unavailable" or nothing, written in a few milliseconds, and the agent
+ * carries on without its earlier context.
+ *
+ * The transcript still holds every line before the compaction, so
+ * memory-checkpoint.js rebuilds what was lost from it (compactedLines) and
+ * raises an alert for health-check.sh.
+ */
+
+import { parseTranscript } from "./transcript.js";
+
+// Summaries that stand in for a missing one
+const PLACEHOLDER_SUMMARIES = [
+  /^summary unavailable\.?$/i,
+  /^no summary( available)?\.?$/i,
+  /^\(?no summary\)?$/i,
+  /^\[?summary (failed|missing|error)\]?\.?$/i,
+];
+// A real summarization call takes seconds; this fast means none was made
+const MIN_SUMMARY_DURATION_MS = 100;
+
+/**
+ * Why a compaction event lost context, or null if its summary looks real.
+ */
+export function assessCompaction(event) {
+  const summary = (event.summary || "").trim();
+  if (!summary) return "empty summary";
+  if (PLACEHOLDER_SUMMARIES.some((p) => p.test(summary))) return `placeholder summary: ${summary}`;
+  if (typeof event.durationMs === "number" && event.durationMs < MIN_SUMMARY_DURATION_MS) {
+    return `summary written in ${event.durationMs}ms, too fast for a model call`;
+  }
+  return null;
+}
+
+/**
+ * The transcript lines a compaction summarized away: everything after the
+ * previous compaction up to this one (matched by timestamp, else the last
+ * compaction in `lines`). Returns [] if the compaction isn't found.
+ */
+export function compactedLines(lines, event, format = "auto") {
+  const compactions = [];
+  let match = -1;
+  for (let i = 0; i < lines.length; i++) {
+    const compaction = parseTranscript([lines[i]], { format }).events.find((e) => e.kind === "compaction");
+    if (!compaction) continue;
+    compactions.push(i);
+    if (compaction.timestamp === event.timestamp) {
+      match = compactions.length - 1;
+      break;
+    }
+  }
+  if (compactions.length === 0) return [];
+  const k = match >= 0 ? match : compactions.length - 1;
+  return lines.slice(k > 0 ? compactions[k - 1] + 1 : 0, compactions[k]);
+}
@@ -0,0 +1,603 @@
+/**
+ * config.js — One place for every memory-infra setting
+ *
+ * All settings live in the `memoryInfra` block of clawdbot.json, one
+ * section per component, with per-agent overrides:
+ *
+ *   "memoryInfra": {
+ *     "checkpoint": { "minIntervalMinutes": 15 },
+ *     "rotation":   { "threshold": 150000 },
+ *     "agents": {
+ *       "max": { "checkpoint": { "staleHours": 8 } }
+ *     }
+ *   }
+ *
+ * CONFIG_SCHEMA below lists every section and setting with its type and
+ * default. settingsFor() merges defaults < memoryInfra.<section> <
+ * memoryInfra.agents.<id>.<section>; a value that fails its schema is
+ * reported once (on stderr, prefixed [config]) and the layer below is used
+ * instead, so a typo never stops checkpoints. validateConfig() returns every
+ * problem at once, including unknown keys, and printConfig() shows the
+ * effective settings per agent (the --print-config flag of the scripts).
+ *
+ * A few defaults can also come from the environment (SESSION_STALE_HOURS,
+ * ROTATION_THRESHOLD); clawdbot.json wins over them.
+ *
+ * Workspaces are resolved here too, the same way for scripts and hooks:
+ * agents.list[].workspace (matched by id or name), then
+ * agents.defaults.workspace for "main", then ~/clawd or ~/clawd-<id>.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import os from "node:os";
+import { MARKERS } from "./observations.js";
+
+// Field types: "integer", "number", "boolean", "string", "enum" (values),
+// "list" (items: "string" | "regex" | "marker" | "redaction-pattern"),
+// "map" (marker type → number), "object" (fields, merged key by key across
+// layers), "quiet-hours" ({ start, end } as HH:MM, or null), "rules"
+// (rotation rules). `nullable` allows null; `min` / `max` bound numbers.
+// `env` names an environment variable that replaces the default (comma-
+// separated for lists);
+// `defaultFrom` ("section.key") takes the default from another setting.
+const ROTATION_FIELDS = {
+  threshold: { type: "integer", min: 1, default: 150000, env: "ROTATION_THRESHOLD", doc: "rotate at/above this many tokens" },
+  idleMinutes: { type: "number", min: 0, default: 0, doc: "wait until the session has been idle this long" },
+  quietHours: { type: "quiet-hours", default: null, doc: "no rotation between start and end (local HH:MM)" },
+  hardCeiling: { type: "integer", min: 1, nullable: true, default: null, doc: "rotate regardless of idle wait and quiet hours" },
+  compactionLimit: { type: "integer", min: 1, default: 200000, doc: "token count where the gateway compacts" },
+  pollMinutes: { type: "number", min: 1, default: 30, doc: "how often the rotation monitor runs" },
+  predictive: { type: "boolean", default: true, doc: "rotate early if the next poll would be too late" },
+  allow: { type: "list", items: "regex", default: [], doc: "if set, only matching session keys are eligible" },
+  deny: {
+    type: "list",
+    items: "regex",
+    // Cron sessions are ephemeral; sub-agent sessions are managed by their parent
+    default: ["^agent:.*:cron:", "^agent:.*:subagent:"],
+    doc: "session keys never rotated",
+  },
+};
+
+export const CONFIG_SCHEMA = {
+  checkpoint: {
+    perAgent: true,
+    fields: {
+      minIntervalMinutes: { type: "number", min: 0, default: 15, doc: "minimum time between daily log entries" },
+      compactionRecovery: { type: "boolean", default: true, doc: "rebuild context lost to summary-less compactions" },
+      staleHours: { type: "number", min: 0, exclusiveMin: true, default: 4, env: "SESSION_STALE_HOURS", doc: "skip sessions idle longer than this" },
+      maxLines: { type: "integer", min: 1, default: 60, doc: "transcript lines read for the ACTIVE_CONTEXT snapshot" },
+      minSessionBytes: { type: "integer", min: 0, default: 1024, doc: "skip transcripts smaller than this" },
+      toolsAllow: { type: "list", items: "string", default: [], env: "CHECKPOINT_TOOLS_ALLOW", doc: "only record calls to these tools (empty = all)" },
+      toolsDeny: { type: "list", items: "string", default: [], env: "CHECKPOINT_TOOLS_DENY", doc: "never record calls to these tools" },
+    },
+  },
+  rotation: {
+    perAgent: true,
+    fields: {
+      ...ROTATION_FIELDS,
+      rules: { type: "rules", default: [], doc: "[{ match, ...rotation settings }], first match wins" },
+    },
+  },
+  daemon: {
+    perAgent: false,
+    fields: {
+      checkpointMessages: { type: "integer", min: 1, default: 20, doc: "checkpoint an agent after this many new messages" },
+      checkpointIdleMinutes: { type: "number", min: 0, default: 5, doc: "...or once it has been quiet this long" },
+      checkpointMaxMinutes: { type: "number", min: 1, default: 20, doc: "...or at least this often while active" },
+      rotationMinutes: { type: "number", min: 1, default: 30, defaultFrom: "rotation.pollMinutes", doc: "rotation check interval" },
+      // Node timers overflow past 2^31 - 1 ms (~596.5 hours) and fire every 1ms
+      consolidateHours: { type: "number", min: 0, max: 596, default: 24, doc: "consolidation interval; 0 disables" },
+      debounceSeconds: { type: "number", min: 0, default: 2, doc: "wait for a burst of appends to settle" },
+      pollSeconds: { type: "number", min: 1, default: 10, doc: "scan interval with --poll" },
+    },
+  },
+  inject: {
+    perAgent: true,
+    fields: {
+      tokenBudget: { type: "integer", min: 1, default: 6000, doc: "tokens the bootstrap injection may use" },
+      activeContextShare: { type: "number", min: 0, max: 1, default: 0.5, doc: "share of the budget ACTIVE_CONTEXT.md may use" },
+      includeObservations: { type: "boolean", default: true, doc: "inject open observations" },
+      observationTypes: { type: "list", items: "marker", default: ["GOTCHA", "TODO"], doc: "observation types to inject" },
+      memoryThresholdBytes: { type: "integer", min: 0, default: 50 * 1024, doc: "inject an index only above this much memory" },
+    },
+  },
+  shared: {
+    perAgent: true,
+    fields: {
+      enabled: { type: "boolean", default: true, doc: "publish to and read from the team pool" },
+      publish: {
+        type: "object",
+        fields: { types: { type: "list", items: "marker" }, tags: { type: "list", items: "string" } },
+        default: { types: [], tags: ["shared"] },
+        doc: "observations promoted to the pool",
+      },
+      subscribe: {
+        type: "object",
+        fields: {
+          types: { type: "list", items: "marker" },
+          tags: { type: "list", items: "string" },
+          agents: { type: "list", items: "string" },
+        },
+        default: { types: [], tags: [], agents: [] },
+        doc: "pool entries injected for this agent",
+      },
+    },
+  },
+  retention: {
+    perAgent: true,
+    fields: {
+      enabled: { type: "boolean", default: true, doc: "consolidate old dated files into digests" },
+      digestAfterDays: { type: "number", min: 1, default: 30, doc: "age at which dated files are digested" },
+      period: { type: "enum", values: ["week", "month"], default: "week", doc: "digest period" },
+    },
+  },
+  observations: {
+    perAgent: true,
+    fields: {
+      mode: { type: "enum", values: ["rules", "llm"], default: "rules", doc: "session-summary extraction; llm falls back to rules" },
+      expireDays: { type: "map", min: 0, default: { TODO: 90 }, doc: "open items of a type expire after this many days (0 = never)" },
+    },
+  },
+  summarizer: {
+    perAgent: true,
+    fields: {
+      backend: { type: "enum", values: ["off", "platform", "openai"], default: "off", doc: "LLM for checkpoint summaries; off keeps them mechanical" },
+      endpoint: { type: "string", default: "http://127.0.0.1:11434/v1/chat/completions", doc: "chat completions URL for the openai backend" },
+      model: { type: "string", default: "llama3.1", doc: "model requested from the openai backend" },
+      apiKeyEnv: { type: "string", nullable: true, default: null, doc: "environment variable holding the endpoint's API key" },
+      timeoutSeconds: { type: "number", min: 1, default: 20, doc: "give up on a summary request after this long" },
+      maxInputTokens: { type: "integer", min: 500, default: 6000, doc: "prompt size per conversation; oldest messages dropped first" },
+      maxOutputTokens: { type: "integer", min: 100, default: 600, doc: "answer size per conversation" },
+      dailyTokenLimit: { type: "integer", min: 0, default: 200000, doc: "tokens per agent per day before falling back (0 = no limit)" },
+    },
+  },
+  transcripts: {
+    perAgent: true,
+    fields: {
+      format: { type: "string", default: "auto", doc: "transcript adapter, or auto to detect per line" },
+    },
+  },
+  audit: {
+    perAgent: false,
+    fields: {
+      maxMB: { type: "number", min: 0, default: 10, doc: "rotate audit.jsonl past this size (0 = never)" },
+      keep: { type: "integer", min: 1, default: 5, doc: "rotated audit logs kept (audit.jsonl.1 is the newest)" },
+    },
+  },
+  redaction: {
+    perAgent: false,
+    fields: {
+      enabled: { type: "boolean", default: true, doc: "scrub secrets and PII before writing memory" },
+      disable: { type: "list", items: "string", default: [], doc: "built-in detectors to turn off" },
+      patterns: { type: "list", items: "redaction-pattern", default: [], doc: "extra patterns: regex strings or { name, pattern, flags }" },
+    },
+  },
+};
+
+export function clawdbotHome() {
+  return process.env.CLAWDBOT_HOME || path.join(os.homedir(), ".clawdbot");
+}
+
+export function configPath() {
+  return path.join(clawdbotHome(), "clawdbot.json");
+}
+
+/**
+ * Read and parse clawdbot.json. Throws if it is missing or not JSON, unless
+ * `required` is false, in which case that returns {}. Problems found by
+ * validateConfig() are reported on stderr unless `report` is false.
+ */
+export async function loadConfig({ required = true, report = true } = {}) {
+  let raw;
+  try {
+    raw = await fs.readFile(configPath(), "utf-8");
+  } catch (err) {
+    if (!required) return {};
+    throw new Error(`failed to load config ${configPath()}: ${err.message}`);
+  }
+  let cfg;
+  try {
+    cfg = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`${configPath()} is not valid JSON: ${err.message}`);
+  }
+  if (report) {
+    for (const problem of validateConfig(cfg)) reportOnce(`${problem.path}: ${problem.message}`);
+  }
+  return cfg;
+}
+
+/**
+ * Ids of the agents in agents.list.
+ */
+export function configuredAgents(cfg) {
+  return (cfg?.agents?.list || []).map((a) => a.id).filter(Boolean);
+}
+
+/**
+ * Agent id from a session key like "agent:desmond:slack:dm:U123"; "main"
+ * for anything else.
+ */
+export function agentIdFromSessionKey(sessionKey) {
+  const parts = (sessionKey || "").split(":");
+  return parts[0] === "agent" && parts[1] ? parts[1].toLowerCase() : "main";
+}
+
+function expandHome(p) {
+  return p.replace(/^~/, os.homedir());
+}
+
+/**
+ * Workspace directory for an agent.
+ */
+export function resolveWorkspace(cfg, agentId) {
+  const id = (agentId || "main").trim().toLowerCase();
+  const agentConfig = (cfg?.agents?.list || []).find(
+    (a) => a.id?.toLowerCase() === id || a.name?.toLowerCase() === id
+  );
+  if (agentConfig?.workspace) return expandHome(agentConfig.workspace);
+  const defaults = cfg?.agents?.defaults?.workspace;
+  if (id === "main" && defaults) return expandHome(defaults);
+  return path.join(os.homedir(), id === "main" ? "clawd" : `clawd-${id}`);
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+function describe(value) {
+  if (Array.isArray(value)) return "a list";
+  if (value === null) return "null";
+  return typeof value === "object" ? "an object" : JSON.stringify(value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function checkItem(kind, item) {
+  if (kind === "string") return typeof item === "string" ? null : "a string";
+  if (kind === "marker") return MARKERS[item] ? null : `an observation type (${Object.keys(MARKERS).join(", ")})`;
+  if (kind === "regex" || kind === "redaction-pattern") {
+    const source = kind === "redaction-pattern" && isPlainObject(item) ? item.pattern : item;
+    const flags = kind === "redaction-pattern" && isPlainObject(item) ? item.flags || "" : "";
+    if (typeof source !== "string") return kind === "regex" ? "a regex string" : 'a regex string or { "name", "pattern", "flags" }';
+    try {
+      new RegExp(source, flags);
+      return null;
+    } catch (err) {
+      return `a valid regex (${err.message})`;
+    }
+  }
+  return null;
+}
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Why `value` doesn't fit `spec`, or null if it does.
+ */
+function checkValue(spec, value) {
+  if (value === null && spec.nullable) return null;
+  switch (spec.type) {
+    case "integer":
+    case "number": {
+      const integer = spec.type === "integer";
+      const ok =
+        typeof value === "number" &&
+        Number.isFinite(value) &&
+        (!integer || Number.isInteger(value)) &&
+        (spec.min === undefined || (spec.exclusiveMin ? value > spec.min : value >= spec.min)) &&
+        (spec.max === undefined || value <= spec.max);
+      if (ok) return null;
+      const bounds = [
+        spec.min !== undefined ? `${spec.exclusiveMin ? ">" : "≥"} ${spec.min}` : null,
+        spec.max !== undefined ? `≤ ${spec.max}` : null,
+      ].filter(Boolean);
+      return `expected ${integer ? "an integer" : "a number"}${bounds.length ? ` ${bounds.join(" and ")}` : ""}${spec.nullable ? " or null" : ""}, got ${describe(value)}`;
+    }
+    case "boolean":
+      return typeof value === "boolean" ? null : `expected true or false, got ${describe(value)}`;
+    case "string":
+      return typeof value === "string" && value ? null : `expected a string, got ${describe(value)}`;
+    case "enum":
+      return spec.values.includes(value) ? null : `expected one of ${spec.values.map((v) => JSON.stringify(v)).join(", ")}, got ${describe(value)}`;
+    case "list": {
+      if (!Array.isArray(value)) return `expected a list, got ${describe(value)}`;
+      for (const [i, item] of value.entries()) {
+        const expected = checkItem(spec.items, item);
+        if (expected) return `item ${i}: expected ${expected}, got ${describe(item)}`;
+      }
+      return null;
+    }
+    case "map": {
+      if (!isPlainObject(value)) return `expected an object of observation type → days, got ${describe(value)}`;
+      for (const [key, days] of Object.entries(value)) {
+        if (!MARKERS[key]) return `unknown observation type ${key} (expected ${Object.keys(MARKERS).join(", ")})`;
+        if (typeof days !== "number" || !Number.isFinite(days) || days < spec.min) {
+          return `${key}: expected a number ≥ ${spec.min}, got ${describe(days)}`;
+        }
+      }
+      return null;
+    }
+    case "object": {
+      if (!isPlainObject(value)) return `expected an object, got ${describe(value)}`;
+      for (const [key, item] of Object.entries(value)) {
+        if (!spec.fields[key]) return `unknown key ${key} (expected ${Object.keys(spec.fields).join(", ")})`;
+        const problem = checkValue(spec.fields[key], item);
+        if (problem) return `${key}: ${problem}`;
+      }
+      return null;
+    }
+    case "quiet-hours":
+      if (value === null) return null;
+      if (!isPlainObject(value) || !TIME_PATTERN.test(value.start || "") || !TIME_PATTERN.test(value.end || "")) {
+        return `expected { "start": "HH:MM", "end": "HH:MM" } or null, got ${describe(value)}`;
+      }
+      return null;
+    case "rules": {
+      if (!Array.isArray(value)) return `expected a list of rules, got ${describe(value)}`;
+      for (const [i, rule] of value.entries()) {
+        if (!isPlainObject(rule)) return `rule ${i}: expected an object, got ${describe(rule)}`;
+        const matchProblem = checkItem("regex", rule.match);
+        if (matchProblem) return `rule ${i}: "match" must be ${matchProblem}`;
+        for (const [key, item] of Object.entries(rule)) {
+          if (key === "match") continue;
+          if (!ROTATION_FIELDS[key]) return `rule ${i}: unknown key ${key} (expected match, ${Object.keys(ROTATION_FIELDS).join(", ")})`;
+          const problem = checkValue(ROTATION_FIELDS[key], item);
+          if (problem) return `rule ${i}: ${key}: ${problem}`;
+        }
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+function checkSection(section, block, where, problems) {
+  const schema = CONFIG_SCHEMA[section];
+  if (!isPlainObject(block)) {
+    problems.push({ path: where, message: `expected an object, got ${describe(block)}` });
+    return;
+  }
+  for (const [key, value] of Object.entries(block)) {
+    const spec = schema.fields[key];
+    if (!spec) {
+      problems.push({ path: `${where}.${key}`, message: `unknown setting (known: ${Object.keys(schema.fields).join(", ")})` });
+      continue;
+    }
+    const problem = checkValue(spec, value);
+    if (problem) problems.push({ path: `${where}.${key}`, message: problem });
+  }
+}
+
+/**
+ * Check clawdbot.json's memoryInfra block against the schema. Returns every
+ * problem as { path, message }; empty if the block is valid.
+ */
+export function validateConfig(cfg) {
+  const problems = [];
+  const block = cfg?.memoryInfra;
+  if (block === undefined) return problems;
+  if (!isPlainObject(block)) return [{ path: "memoryInfra", message: `expected an object, got ${describe(block)}` }];
+
+  const agentIds = new Set(configuredAgents(cfg));
+  for (const [section, value] of Object.entries(block)) {
+    if (section === "agents") continue;
+    if (!CONFIG_SCHEMA[section]) {
+      problems.push({ path: `memoryInfra.${section}`, message: `unknown section (known: ${Object.keys(CONFIG_SCHEMA).join(", ")}, agents)` });
+      continue;
+    }
+    checkSection(section, value, `memoryInfra.${section}`, problems);
+  }
+
+  if (block.agents === undefined) return problems;
+  if (!isPlainObject(block.agents)) {
+    problems.push({ path: "memoryInfra.agents", message: `expected an object of agent id → sections, got ${describe(block.agents)}` });
+    return problems;
+  }
+  for (const [agentId, sections] of Object.entries(block.agents)) {
+    const where = `memoryInfra.agents.${agentId}`;
+    if (!agentIds.has(agentId)) {
+      problems.push({ path: where, message: `no agent "${agentId}" in agents.list` });
+    }
+    if (!isPlainObject(sections)) {
+      problems.push({ path: where, message: `expected an object of sections, got ${describe(sections)}` });
+      continue;
+    }
+    for (const [section, value] of Object.entries(sections)) {
+      if (!CONFIG_SCHEMA[section]) {
+        problems.push({ path: `${where}.${section}`, message: `unknown section (known: ${Object.keys(CONFIG_SCHEMA).join(", ")})` });
+      } else if (!CONFIG_SCHEMA[section].perAgent) {
+        problems.push({ path: `${where}.${section}`, message: `${section} settings apply to all agents; set them in memoryInfra.${section}` });
+      } else {
+        checkSection(section, value, `${where}.${section}`, problems);
+      }
+    }
+  }
+  return problems;
+}
+
+// ---------------------------------------------------------------------------
+// Resolution
+// ---------------------------------------------------------------------------
+
+const reported = new Set();
+// printConfig() lists problems itself
+let quiet = false;
+
+function reportOnce(message) {
+  if (quiet || reported.has(message)) return;
+  reported.add(message);
+  console.error(`[config] ${message}`);
+}
+
+function clone(value) {
+  return value === null || typeof value !== "object" ? value : JSON.parse(JSON.stringify(value));
+}
+
+function defaultValue(spec) {
+  const raw = spec.env ? process.env[spec.env] : undefined;
+  if (raw !== undefined && raw !== "") {
+    const value =
+      spec.type === "list"
+        ? raw.split(",").map((item) => item.trim()).filter(Boolean)
+        : spec.type === "integer"
+          ? parseInt(raw, 10)
+          : Number(raw);
+    if (!checkValue(spec, value)) return { value, source: `$${spec.env}` };
+    reportOnce(`$${spec.env}: ${checkValue(spec, value)}, using ${JSON.stringify(spec.default)}`);
+  }
+  return { value: clone(spec.default), source: "default" };
+}
+
+/**
+ * Effective settings of one section with where each value came from:
+ * { settings, sources } where sources[key] is "default", "$ENV_VAR" or the
+ * config path that set it.
+ */
+export function resolveSection(cfg, section, agentId = null) {
+  const schema = CONFIG_SCHEMA[section];
+  if (!schema) throw new Error(`unknown config section ${section}`);
+
+  const settings = {};
+  const sources = {};
+  for (const [key, spec] of Object.entries(schema.fields)) {
+    if (spec.defaultFrom) {
+      const [fromSection, fromKey] = spec.defaultFrom.split(".");
+      const from = resolveSection(cfg, fromSection, agentId);
+      settings[key] = from.settings[fromKey];
+      sources[key] = from.sources[fromKey] === "default" ? "default" : `${from.sources[fromKey]}.${fromKey}`;
+      continue;
+    }
+    const { value, source } = defaultValue(spec);
+    settings[key] = value;
+    sources[key] = source;
+  }
+
+  const layers = [[`memoryInfra.${section}`, cfg?.memoryInfra?.[section]]];
+  if (schema.perAgent && agentId) {
+    layers.push([`memoryInfra.agents.${agentId}.${section}`, cfg?.memoryInfra?.agents?.[agentId]?.[section]]);
+  }
+  for (const [where, block] of layers) {
+    if (!isPlainObject(block)) continue;
+    for (const [key, value] of Object.entries(block)) {
+      const spec = schema.fields[key];
+      if (!spec) continue; // reported by validateConfig()
+      if (spec.type === "list" && Array.isArray(value)) {
+        // Drop bad items only: one broken redaction pattern shouldn't turn off the rest
+        settings[key] = value.filter((item, i) => {
+          const expected = checkItem(spec.items, item);
+          if (expected) reportOnce(`${where}.${key}: item ${i}: expected ${expected}, got ${describe(item)}; ignoring it`);
+          return !expected;
+        });
+        sources[key] = where;
+        continue;
+      }
+      const problem = checkValue(spec, value);
+      if (problem) {
+        reportOnce(`${where}.${key}: ${problem}; using ${JSON.stringify(settings[key])}`);
+        continue;
+      }
+      // Objects and maps merge key by key, so an override can set one entry
+      settings[key] = spec.type === "object" || spec.type === "map" ? { ...settings[key], ...clone(value) } : clone(value);
+      sources[key] = where;
+    }
+  }
+  return { settings, sources };
+}
+
+/**
+ * Built-in defaults of one section, ignoring clawdbot.json and the
+ * environment.
+ */
+export function sectionDefaults(section) {
+  const schema = CONFIG_SCHEMA[section];
+  if (!schema) throw new Error(`unknown config section ${section}`);
+  return Object.fromEntries(Object.entries(schema.fields).map(([key, spec]) => [key, clone(spec.default)]));
+}
+
+/**
+ * Effective settings of one section for an agent: defaults <
+ * memoryInfra.<section> < memoryInfra.agents.<agentId>.<section>.
+ */
+export function settingsFor(cfg, section, agentId = null) {
+  return resolveSection(cfg, section, agentId).settings;
+}
+
+// ---------------------------------------------------------------------------
+// --print-config
+// ---------------------------------------------------------------------------
+
+function printSection(section, { settings, sources }) {
+  console.log(`  ${section}:`);
+  for (const [key, value] of Object.entries(settings)) {
+    const source = sources[key] === "default" ? "" : `   # ${sources[key]}`;
+    console.log(`    ${key}: ${JSON.stringify(value)}${source}`);
+  }
+}
+
+/**
+ * Print the effective settings: global sections once, then every
+ * per-agent section and the workspace for each agent (or just `onlyAgent`),
+ * followed by any validation problems. `json` prints one JSON document
+ * instead. Returns the exit code: 1 if the config can't be read, has
+ * problems or doesn't list `onlyAgent`, else 0.
+ */
+export async function printConfig({ onlyAgent = null, json = false } = {}) {
+  let cfg;
+  try {
+    cfg = await loadConfig({ report: false });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    return 1;
+  }
+  const problems = validateConfig(cfg);
+  quiet = true;
+  let agents = configuredAgents(cfg);
+  if (onlyAgent) {
+    if (!agents.includes(onlyAgent)) {
+      console.error(`Error: agent ${onlyAgent} not found in config`);
+      return 1;
+    }
+    agents = [onlyAgent];
+  }
+
+  const globalSections = Object.keys(CONFIG_SCHEMA).filter((s) => !CONFIG_SCHEMA[s].perAgent);
+  const agentSections = Object.keys(CONFIG_SCHEMA).filter((s) => CONFIG_SCHEMA[s].perAgent);
+
+  if (json) {
+    const doc = {
+      config: configPath(),
+      problems,
+      global: Object.fromEntries(globalSections.map((s) => [s, resolveSection(cfg, s)])),
+      agents: Object.fromEntries(
+        agents.map((id) => [
+          id,
+          { workspace: resolveWorkspace(cfg, id), ...Object.fromEntries(agentSections.map((s) => [s, resolveSection(cfg, s, id)])) },
+        ])
+      ),
+    };
+    console.log(JSON.stringify(doc, null, 2));
+    return problems.length > 0 ? 1 : 0;
+  }
+
+  console.log(`Config: ${configPath()}`);
+  console.log("\n── all agents ──");
+  for (const section of globalSections) printSection(section, resolveSection(cfg, section));
+  for (const id of agents) {
+    console.log(`\n── ${id} ──`);
+    console.log(`  workspace: ${resolveWorkspace(cfg, id)}`);
+    for (const section of agentSections) printSection(section, resolveSection(cfg, section, id));
+  }
+
+  if (problems.length > 0) {
+    console.log(`\n${problems.length} problem${problems.length === 1 ? "" : "s"}:`);
+    for (const p of problems) console.log(`  ✗ ${p.path}: ${p.message}`);
+    return 1;
+  }
+  console.log("\nNo problems found.");
+  return 0;
+}
@@ -0,0 +1,152 @@
+/**
+ * context-summary.js — Heuristic working-state summary of a conversation
+ *
+ * Excerpts of the last few messages tell a freshly rotated agent what was
+ * said, not what it was doing. This module reads the messages and tool
+ * actions of one conversation (as extracted by checkpoint.js) and derives
+ * its working state from phrasing alone, without an LLM:
+ *
+ *   goal           — the first user request the assistant hasn't reported
+ *                    done ("done", "finished", "fixed", ✅ ...)
+ *   inProgress     — tool calls still waiting for a result and what the
+ *                    assistant says it is doing ("I'm now running ...")
+ *   openQuestions  — questions in the assistant's replies since the user
+ *                    last spoke
+ *   blockers       — tool calls that failed while working on the goal and
+ *                    weren't retried successfully, and replies saying it
+ *                    is blocked, unable or waiting
+ *   nextSteps      — unchecked items ("- [ ] ...") and announced steps
+ *                    ("Next, I'll ...") in the latest reply
+ *
+ * checkpoint.js renders these as the first subsections of each
+ * ACTIVE_CONTEXT.md conversation, and as its entry in the file's front
+ * matter.
+ */
+
+// Items kept per list
+const MAX_ITEMS = 5;
+// Characters kept per item
+const ITEM_CHARS = 200;
+
+const COMPLETION_WORDS = "done|finished|completed?|fixed|resolved|deployed|merged|shipped|implemented|updated|all set";
+const COMPLETION_PATTERN = new RegExp(`\\b(?:${COMPLETION_WORDS})\\b|✅`, "i");
+// "not done yet", "couldn't be fixed", "hasn't been deployed" report the opposite
+const NEGATED_COMPLETION_PATTERN = new RegExp(
+  `(?:\\bnot|n't|\\bnever|\\bno longer)\\s+(?:(?:yet|quite|fully|really|be|been|being|get|got)\\s+)*(?:${COMPLETION_WORDS})\\b`,
+  "i"
+);
+const PROGRESS_PATTERN =
+  /\b(?:I'm|I am|currently|now|still)\s+(?:\w+\s+)?(?:working|running|checking|looking|investigating|updating|writing|fixing|testing|deploying|building|waiting|migrating|reviewing)\b/i;
+const BLOCKER_PATTERN =
+  /\b(?:blocked|can't|cannot|unable to|couldn't|permission denied|access denied|waiting (?:on|for)|stuck)\b/i;
+const NEXT_STEP_PATTERN = /^(?:next(?:,| step| I'll| I will)|then I'll|after that|I'll|I will|TODO\b)/i;
+
+/**
+ * Split text into trimmed sentences (and list items), dropping empties.
+ */
+function sentences(text) {
+  return text
+    .split(/\n+|(?<=[.!?])\s+(?=[A-Z"'`(\-*\d])/)
+    .map((s) => s.replace(/^\s*(?:[-*]|\d+\.)\s+/, "").trim())
+    .filter(Boolean);
+}
+
+function clip(text) {
+  const flat = text.replace(/\s+/g, " ").trim();
+  return flat.length > ITEM_CHARS ? `${flat.slice(0, ITEM_CHARS - 1)}…` : flat;
+}
+
+// Most recent items last, so keep the tail
+function unique(items) {
+  return [...new Set(items)].slice(-MAX_ITEMS);
+}
+
+/**
+ * Pair each user request with the assistant replies that followed it,
+ * up to the next request. Returns [{ request, replies }].
+ */
+function requestTurns(messages) {
+  const turns = [];
+  for (const msg of messages) {
+    if (msg.role === "user") turns.push({ request: msg, replies: [] });
+    else if (turns.length > 0) turns[turns.length - 1].replies.push(msg);
+  }
+  return turns;
+}
+
+/**
+ * A request counts as resolved once the last reply to it reports
+ * completion without asking anything back.
+ */
+function isResolved({ replies }) {
+  const last = replies[replies.length - 1];
+  if (!last) return false;
+  return (
+    COMPLETION_PATTERN.test(last.text) &&
+    !NEGATED_COMPLETION_PATTERN.test(last.text) &&
+    !/\?\s*$/.test(last.text.trim())
+  );
+}
+
+/**
+ * Derive the working state of a conversation from its messages
+ * ({ role, text, timestamp }) and actions ({ tool, args, status, output,
+ * timestamp }, as from extractMessages()).
+ *
+ * Returns { goal, inProgress, openQuestions, blockers, nextSteps } where
+ * goal is { text, timestamp } or null and the rest are lists of strings.
+ */
+export function summarizeConversation(messages, actions = []) {
+  const turns = requestTurns(messages);
+  const open = turns.find((turn) => !isResolved(turn));
+  const goal = open ? { text: clip(open.request.text), timestamp: open.request.timestamp } : null;
+
+  // What the assistant said since the user last spoke
+  const lastTurn = turns[turns.length - 1];
+  const latestReplies = lastTurn ? lastTurn.replies : messages.filter((m) => m.role === "assistant");
+  const latestSentences = latestReplies.flatMap((m) => sentences(m.text));
+  const lastReply = latestReplies[latestReplies.length - 1];
+
+  const inProgress = [
+    ...actions
+      .filter((a) => a.status === "pending")
+      .map((a) => clip(`${a.tool}${a.args ? `: ${a.args}` : ""} (no result yet)`)),
+    ...(open ? latestSentences.filter((s) => PROGRESS_PATTERN.test(s)).map(clip) : []),
+  ];
+
+  const openQuestions = latestSentences.filter((s) => /\?\s*$/.test(s)).map(clip);
+
+  // A failure since the open request is blocking until the same call
+  // later succeeds
+  const blockers = [];
+  const since = Date.parse(open?.request.timestamp) || 0;
+  actions.forEach((action, i) => {
+    if (!open || action.status !== "error" || Date.parse(action.timestamp) < since) return;
+    const retried = actions
+      .slice(i + 1)
+      .some((a) => a.status === "ok" && a.tool === action.tool && a.args === action.args);
+    if (!retried) blockers.push(clip(`${action.tool}${action.args ? ` \`${action.args}\`` : ""} failed${action.output ? `: ${action.output}` : ""}`));
+  });
+  if (open) blockers.push(...latestSentences.filter((s) => BLOCKER_PATTERN.test(s)).map(clip));
+
+  const nextSteps = [];
+  if (lastReply) {
+    for (const line of lastReply.text.split("\n")) {
+      const unchecked = line.match(/^\s*(?:[-*]|\d+\.)\s+\[ \]\s+(.+)/);
+      if (unchecked) nextSteps.push(clip(unchecked[1]));
+    }
+    nextSteps.push(
+      ...sentences(lastReply.text)
+        .filter((s) => NEXT_STEP_PATTERN.test(s) && !/\?\s*$/.test(s) && !s.startsWith("[ ]"))
+        .map(clip)
+    );
+  }
+
+  return {
+    goal,
+    inProgress: unique(inProgress),
+    openQuestions: unique(openQuestions),
+    blockers: unique(blockers),
+    nextSteps: unique(nextSteps),
+  };
+}
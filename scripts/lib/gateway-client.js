@@ -0,0 +1,52 @@
+/**
+ * gateway-client.js — Locate the gateway's callGateway()
+ *
+ * The rotation monitor talks to the gateway through Clawdbot's own
+ * callGateway({ method, params, timeoutMs }). It is resolved from, in order:
+ *
+ *   1. a client module given explicitly (--gateway-client <path> or
+ *      CLAWDBOT_GATEWAY_CLIENT), which must export callGateway — e.g.
+ *      test/helpers/mock-gateway.js for offline runs
+ *   2. $CLAWDBOT_DIST/gateway/call.js
+ *   3. the usual global npm install locations
+ */
+
+import path from "node:path";
+import os from "node:os";
+import { pathToFileURL } from "node:url";
+
+const DIST_CANDIDATES = [
+  path.join(os.homedir(), ".npm-global/lib/node_modules/clawdbot/dist"),
+  "/usr/local/lib/node_modules/clawdbot/dist",
+  "/usr/lib/node_modules/clawdbot/dist",
+];
+
+async function importClient(modulePath) {
+  const mod = await import(pathToFileURL(path.resolve(modulePath)).href);
+  if (typeof mod.callGateway !== "function") {
+    throw new Error(`${modulePath} does not export callGateway()`);
+  }
+  return mod.callGateway;
+}
+
+/**
+ * Resolve callGateway. `client` is an explicit client module path, `dist`
+ * the Clawdbot dist/ directory; both fall back to the environment. Throws
+ * if nothing can be loaded.
+ */
+export async function loadGatewayClient({
+  client = process.env.CLAWDBOT_GATEWAY_CLIENT || "",
+  dist = process.env.CLAWDBOT_DIST || "",
+} = {}) {
+  if (client) return importClient(client);
+  if (dist) return importClient(path.join(dist, "gateway", "call.js"));
+
+  for (const candidate of DIST_CANDIDATES) {
+    try {
+      return await importClient(path.join(candidate, "gateway", "call.js"));
+    } catch {
+      continue;
+    }
+  }
+  throw new Error("Could not locate callGateway");
+}
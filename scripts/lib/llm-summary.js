@@ -0,0 +1,311 @@
+/**
+ * llm-summary.js — Optional LLM summaries of checkpointed conversations
+ *
+ * memory-checkpoint.js is mechanical by default: the working state of each
+ * conversation comes from context-summary.js. With a summarizer backend
+ * configured, the checkpoint sends each conversation's extracted (already
+ * redacted) messages to a model instead and uses its answer for the
+ * Current Goal / In Progress / Open Questions / Blockers / Next Steps
+ * sections, plus a short Summary. Backends:
+ *
+ *   platform — Clawdbot's llm-slug-generator.js (the helper the
+ *              session-summary hook uses), through its
+ *              generateCheckpointSummaryViaLLM({ prompt, cfg, maxTokens })
+ *              export when present
+ *   openai   — any OpenAI-compatible chat completions endpoint, e.g. a
+ *              local Ollama or llama.cpp server
+ *
+ * The model must answer with one JSON object; anything else is rejected.
+ * Requests time out after timeoutSeconds, the input is cut to
+ * maxInputTokens (oldest messages first) and an agent stops calling the
+ * model for the day once dailyTokenLimit is spent. Answers are cached by a
+ * hash of the conversation range in memory-infra/summary-cache.json, so an
+ * unchanged conversation is never summarized twice. Whenever no valid
+ * answer is available the conversation keeps its mechanical summary.
+ *
+ * Config (clawdbot.json, per-agent overrides under memoryInfra.agents.<id>.summarizer):
+ *   "memoryInfra": { "summarizer": {
+ *     "backend": "off",           // or "platform", "openai"
+ *     "endpoint": "http://127.0.0.1:11434/v1/chat/completions",
+ *     "model": "llama3.1",
+ *     "apiKeyEnv": null,          // env var holding the endpoint's API key
+ *     "timeoutSeconds": 20,
+ *     "maxInputTokens": 6000,
+ *     "maxOutputTokens": 600,
+ *     "dailyTokenLimit": 200000   // per agent; 0 = no limit
+ *   } }
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { createHash } from "node:crypto";
+import { localDate } from "./checkpoint.js";
+import { clawdbotHome, sectionDefaults, settingsFor } from "./config.js";
+import { ensurePrivateDir, updateFileLocked } from "./safe-write.js";
+
+export const SUMMARIZER_DEFAULTS = sectionDefaults("summarizer");
+
+// Cached answers older than this are dropped, and at most this many kept
+const CACHE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 500;
+// Limits on what a model answer may contain
+const MAX_ITEMS = 5;
+const ITEM_CHARS = 200;
+const SUMMARY_CHARS = 600;
+const LIST_FIELDS = ["inProgress", "openQuestions", "blockers", "nextSteps"];
+
+const SYSTEM_PROMPT = [
+  "You summarize an assistant's conversation so a fresh instance of the assistant can resume the work.",
+  "Answer with one JSON object and nothing else, with exactly these keys:",
+  '  "goal": the request currently being worked on, or null if every request is done',
+  '  "summary": two or three sentences on what happened and where things stand',
+  '  "inProgress", "openQuestions", "blockers", "nextSteps": arrays of short strings (at most 5 each)',
+  "openQuestions are questions the assistant asked that the user has not answered yet.",
+].join("\n");
+
+/**
+ * Merge summarizer settings: defaults < memoryInfra.summarizer < per-agent override
+ */
+export function resolveSummarizerSettings(cfg, agentId) {
+  return settingsFor(cfg, "summarizer", agentId);
+}
+
+function cachePath() {
+  return path.join(clawdbotHome(), "memory-infra", "summary-cache.json");
+}
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Cache key for one conversation: the backend and model, and everything
+ * the prompt is built from.
+ */
+export function summaryCacheKey(settings, session, messages, actions) {
+  const hash = createHash("sha256");
+  hash.update(`${settings.backend}\n${settings.backend === "openai" ? `${settings.endpoint}\n${settings.model}` : ""}\n${session.sessionId}\n`);
+  for (const m of messages) hash.update(`${m.role}\n${m.timestamp || ""}\n${m.text}\n`);
+  for (const a of actions) hash.update(`${a.tool}\n${a.args}\n${a.status}\n`);
+  return hash.digest("hex").slice(0, 16);
+}
+
+/**
+ * The prompt for one conversation: its failed tool calls, then messages,
+ * newest kept when the whole range doesn't fit in maxInputTokens.
+ */
+export function buildSummaryPrompt(messages, actions, maxInputTokens) {
+  const failed = actions
+    .filter((a) => a.status === "error")
+    .slice(-MAX_ITEMS)
+    .map((a) => `- ${a.tool}${a.args ? ` ${a.args}` : ""}: ${a.output || "failed"}`);
+  const head = failed.length > 0 ? `Failed tool calls:\n${failed.join("\n")}\n\n` : "";
+
+  const lines = [];
+  let budget = maxInputTokens - estimateTokens(SYSTEM_PROMPT + head) - 20;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const m = messages[i];
+    const line = `${m.role}${m.timestamp ? ` [${m.timestamp}]` : ""}: ${m.text}`;
+    const cost = estimateTokens(line + "\n");
+    if (cost > budget) break;
+    lines.unshift(line);
+    budget -= cost;
+  }
+  const omitted = messages.length - lines.length;
+  return `${head}Conversation${omitted > 0 ? ` (${omitted} earlier messages omitted)` : ""}:\n${lines.join("\n")}`;
+}
+
+function clip(text, max) {
+  const flat = text.replace(/\s+/g, " ").trim();
+  return flat.length > max ? `${flat.slice(0, max - 1)}…` : flat;
+}
+
+/**
+ * Check a model answer (text) and turn it into a working state. The JSON
+ * object may be wrapped in a code fence. Returns { state, text } as
+ * buildSessionSection() takes it; throws with the reason if the answer
+ * doesn't have the expected shape.
+ */
+export function parseSummaryResponse(raw) {
+  if (typeof raw !== "string" || !raw.trim()) throw new Error("empty response");
+  const body = raw.trim().replace(/^```(?:json)?\s*\n?/i, "").replace(/\n?```$/, "");
+  let value;
+  try {
+    value = JSON.parse(body);
+  } catch {
+    throw new Error("response is not JSON");
+  }
+  if (!value || typeof value !== "object" || Array.isArray(value)) throw new Error("response is not a JSON object");
+
+  if (value.goal !== null && typeof value.goal !== "string") throw new Error("goal must be a string or null");
+  if (typeof value.summary !== "string" || !value.summary.trim()) throw new Error("summary must be a non-empty string");
+  const state = { goal: value.goal && value.goal.trim() ? { text: clip(value.goal, ITEM_CHARS), timestamp: null } : null };
+  for (const field of LIST_FIELDS) {
+    const items = value[field] ?? [];
+    if (!Array.isArray(items) || items.some((item) => typeof item !== "string")) {
+      throw new Error(`${field} must be an array of strings`);
+    }
+    state[field] = items.filter((item) => item.trim()).slice(0, MAX_ITEMS).map((item) => clip(item, ITEM_CHARS));
+  }
+  return { state, text: clip(value.summary, SUMMARY_CHARS) };
+}
+
+/**
+ * Run `promise` with a deadline; rejects with a timeout error after `ms`.
+ */
+function withTimeout(promise, ms, onTimeout = () => {}) {
+  let timer;
+  const deadline = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      onTimeout();
+      reject(new Error(`timed out after ${ms / 1000}s`));
+    }, ms);
+  });
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Load Clawdbot's llm-slug-generator.js from $CLAWDBOT_HOME, where the
+ * installed hooks find it too.
+ */
+export async function loadLLMHelpers() {
+  return import(pathToFileURL(path.join(clawdbotHome(), "llm-slug-generator.js")).href);
+}
+
+async function callPlatform(prompt, settings, cfg) {
+  const { generateCheckpointSummaryViaLLM } = await loadLLMHelpers();
+  if (typeof generateCheckpointSummaryViaLLM !== "function") {
+    throw new Error("llm-slug-generator.js has no generateCheckpointSummaryViaLLM export");
+  }
+  const text = await withTimeout(
+    generateCheckpointSummaryViaLLM({ prompt: `${SYSTEM_PROMPT}\n\n${prompt}`, cfg, maxTokens: settings.maxOutputTokens }),
+    settings.timeoutSeconds * 1000
+  );
+  return { text, tokens: estimateTokens(SYSTEM_PROMPT + prompt + (text || "")) };
+}
+
+async function callOpenAI(prompt, settings) {
+  const headers = { "Content-Type": "application/json" };
+  if (settings.apiKeyEnv) {
+    const key = process.env[settings.apiKeyEnv];
+    if (!key) throw new Error(`${settings.apiKeyEnv} is not set`);
+    headers.Authorization = `Bearer ${key}`;
+  }
+  const controller = new AbortController();
+  const request = (async () => {
+    const res = await fetch(settings.endpoint, {
+      method: "POST",
+      headers,
+      signal: controller.signal,
+      body: JSON.stringify({
+        model: settings.model,
+        temperature: 0,
+        max_tokens: settings.maxOutputTokens,
+        messages: [
+          { role: "system", content: SYSTEM_PROMPT },
+          { role: "user", content: prompt },
+        ],
+      }),
+    });
+    if (!res.ok) throw new Error(`${settings.endpoint} answered ${res.status}`);
+    return res.json();
+  })();
+  const data = await withTimeout(request, settings.timeoutSeconds * 1000, () => controller.abort());
+  const text = data?.choices?.[0]?.message?.content;
+  const tokens = Number(data?.usage?.total_tokens) || estimateTokens(SYSTEM_PROMPT + prompt + (text || ""));
+  return { text, tokens };
+}
+
+async function readCache() {
+  try {
+    const cache = JSON.parse(await fs.readFile(cachePath(), "utf-8"));
+    return { entries: cache?.entries || {}, usage: cache?.usage || {} };
+  } catch {
+    return { entries: {}, usage: {} };
+  }
+}
+
+/**
+ * Merge this run's new answers and token use into the cache file, pruning
+ * old entries. Locked: several checkpoint runs may finish at once.
+ */
+async function writeCache(agentId, added, tokens) {
+  await ensurePrivateDir(path.dirname(cachePath()));
+  await updateFileLocked(cachePath(), (existing) => {
+    let cache;
+    try {
+      cache = JSON.parse(existing);
+    } catch {
+      cache = null;
+    }
+    const entries = { ...(cache?.entries || {}), ...added };
+    const cutoff = Date.now() - CACHE_MAX_AGE_MS;
+    const kept = Object.entries(entries)
+      .filter(([, e]) => Date.parse(e.at) >= cutoff)
+      .sort((a, b) => Date.parse(b[1].at) - Date.parse(a[1].at))
+      .slice(0, CACHE_MAX_ENTRIES);
+    const usage = cache?.usage || {};
+    const today = localDate(new Date());
+    const used = usage[agentId]?.day === today ? usage[agentId].tokens : 0;
+    usage[agentId] = { day: today, tokens: used + tokens };
+    return JSON.stringify({ entries: Object.fromEntries(kept), usage }, null, 2) + "\n";
+  });
+}
+
+/**
+ * Summarize an agent's conversations ({ session, messages, actions }) with
+ * the configured backend. Sets `summary` ({ state, text, source }) on each
+ * conversation a valid answer was found for (source "llm" or "cached") and
+ * leaves the others to the mechanical summary. Returns counts
+ * { llm, cached, fallback } for the audit log.
+ */
+export async function summarizeConversations(agentId, conversations, settings, { cfg = null, log = () => {} } = {}) {
+  const counts = { llm: 0, cached: 0, fallback: 0 };
+  const cache = await readCache();
+  const today = localDate(new Date());
+  let spent = cache.usage[agentId]?.day === today ? cache.usage[agentId].tokens : 0;
+  const added = {};
+  let tokens = 0;
+
+  for (const c of conversations) {
+    if (c.messages.length === 0) continue;
+    const key = summaryCacheKey(settings, c.session, c.messages, c.actions);
+    const hit = cache.entries[key];
+    if (hit) {
+      c.summary = { ...hit.summary, source: "cached" };
+      counts.cached++;
+      continue;
+    }
+
+    const prompt = buildSummaryPrompt(c.messages, c.actions, settings.maxInputTokens);
+    const expected = estimateTokens(SYSTEM_PROMPT + prompt) + settings.maxOutputTokens;
+    if (settings.dailyTokenLimit > 0 && spent + expected > settings.dailyTokenLimit) {
+      log(`${c.session.sessionId}: daily token limit (${settings.dailyTokenLimit}) reached, using the mechanical summary`);
+      counts.fallback++;
+      continue;
+    }
+
+    try {
+      const answer = settings.backend === "openai" ? await callOpenAI(prompt, settings) : await callPlatform(prompt, settings, cfg);
+      spent += answer.tokens;
+      tokens += answer.tokens;
+      const summary = parseSummaryResponse(answer.text);
+      c.summary = { ...summary, source: "llm" };
+      added[key] = { at: new Date().toISOString(), summary };
+      counts.llm++;
+    } catch (err) {
+      log(`${c.session.sessionId}: ${settings.backend} summary unavailable (${err.message}), using the mechanical summary`);
+      counts.fallback++;
+    }
+  }
+
+  if (Object.keys(added).length > 0 || tokens > 0) {
+    try {
+      await writeCache(agentId, added, tokens);
+    } catch (err) {
+      log(`failed to update the summary cache: ${err.message}`);
+    }
+  }
+  return counts;
+}
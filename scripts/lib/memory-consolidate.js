@@ -0,0 +1,285 @@
+/**
+ * memory-consolidate.js — Roll old session logs into digests
+ *
+ * Daily logs (YYYY-MM-DD.md), session summaries and handoffs
+ * (YYYY-MM-DD-<slug>.md) older than `digestAfterDays` are consolidated per
+ * week or month:
+ *
+ *   memory/digest-2026-W03.md            — every tagged observation from the
+ *                                          period's files, verbatim, one
+ *                                          section per source file
+ *   memory/archive/2026-W03/<file>.gz    — the originals, gzipped
+ *
+ * Conversation excerpts (requests, outputs, tool calls) are not carried
+ * into the digest; they stay recoverable from the archive with gunzip.
+ *
+ * Each step is safe to repeat: originals are archived first, then the
+ * digest records them as sources, then they are removed. An interrupted
+ * run is finished by the next one without duplicating sections.
+ *
+ * Config (clawdbot.json, per-agent overrides under memoryInfra.agents.<id>.retention):
+ *   "memoryInfra": { "retention": {
+ *     "enabled": true,
+ *     "digestAfterDays": 30,   // consolidate dated files older than this
+ *     "period": "week"         // or "month"
+ *   } }
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { promisify } from "node:util";
+import { gunzip as gunzipCb, gzip as gzipCb } from "node:zlib";
+import { sectionDefaults, settingsFor } from "./config.js";
+import { formatSize } from "./memory-index.js";
+import { observationLines, parseObservationLine } from "./observations.js";
+import { ensurePrivateDir, updateFileLocked, writeFileAtomic } from "./safe-write.js";
+
+const gzip = promisify(gzipCb);
+const gunzip = promisify(gunzipCb);
+
+export const RETENTION_DEFAULTS = sectionDefaults("retention");
+
+export const ARCHIVE_DIR = "archive";
+
+// Dated memory files: daily logs, session summaries, handoffs
+const DATED_FILE_PATTERN = /^(20\d\d-\d\d-\d\d)(?:-.+)?\.md$/;
+// Metadata line under a digest's title
+const DIGEST_META_PATTERN = /^<!-- digest (\{.*\}) -->$/m;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TITLE_CHARS = 60;
+
+/**
+ * Merge retention settings: defaults < memoryInfra.retention < per-agent override
+ */
+export function resolveRetentionSettings(cfg, agentId) {
+  return settingsFor(cfg, "retention", agentId);
+}
+
+// Dates are handled as UTC day numbers so DST never shifts a day
+function dayNumber(dateStr) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return Date.UTC(y, m - 1, d) / DAY_MS;
+}
+
+function dayString(day) {
+  return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+function localDateString(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+/**
+ * The digest period a date (YYYY-MM-DD) falls in:
+ * { key: "2026-W03" | "2026-01", start, end } with inclusive dates.
+ * Weeks are ISO weeks (Monday to Sunday, numbered by their Thursday).
+ */
+export function digestPeriod(dateStr, period) {
+  const day = dayNumber(dateStr);
+  if (period === "month") {
+    const [y, m] = dateStr.split("-").map(Number);
+    const start = Date.UTC(y, m - 1, 1) / DAY_MS;
+    const end = Date.UTC(y, m, 1) / DAY_MS - 1;
+    return { key: dateStr.slice(0, 7), start: dayString(start), end: dayString(end) };
+  }
+  const weekday = (new Date(day * DAY_MS).getUTCDay() + 6) % 7; // Monday = 0
+  const monday = day - weekday;
+  const thursday = new Date((monday + 3) * DAY_MS);
+  const year = thursday.getUTCFullYear();
+  const week = Math.floor((monday + 3 - Date.UTC(year, 0, 1) / DAY_MS) / 7) + 1;
+  return {
+    key: `${year}-W${String(week).padStart(2, "0")}`,
+    start: dayString(monday),
+    end: dayString(monday + 6),
+  };
+}
+
+/**
+ * Lines carrying an observation, as written. Template placeholders and
+ * markers inside HTML comments are not observations.
+ */
+export function extractObservationLines(content) {
+  return observationLines(content)
+    .filter((line) => parseObservationLine(line))
+    .map((line) => line.trimEnd());
+}
+
+/**
+ * Split a digest into its metadata and the body after the header
+ * (the per-file sections). Returns null if `content` isn't a digest.
+ */
+export function parseDigest(content) {
+  const match = content.match(DIGEST_META_PATTERN);
+  if (!match) return null;
+  let meta;
+  try {
+    meta = JSON.parse(match[1]);
+  } catch {
+    return null;
+  }
+  const bodyStart = content.search(/^## /m);
+  return {
+    sources: Array.isArray(meta.sources) ? meta.sources : [],
+    bytes: meta.bytes || 0,
+    body: bodyStart >= 0 ? content.slice(bodyStart) : "",
+  };
+}
+
+/**
+ * Render a digest: title, metadata line, summary and the sections.
+ */
+export function renderDigest(period, { sources, bytes, body }) {
+  const observations = extractObservationLines(body).length;
+  return [
+    `# Memory Digest — ${period.key}`,
+    `<!-- digest ${JSON.stringify({ period: period.key, bytes, sources })} -->`,
+    `> **Period**: ${period.start} – ${period.end} | **Files**: ${sources.length} (${formatSize(bytes)} archived) | **Observations**: ${observations}`,
+    `> Tagged observations are kept verbatim; conversation excerpts were dropped. Originals: \`memory/${ARCHIVE_DIR}/${period.key}/\``,
+    "",
+    body.trimEnd(),
+    "",
+  ].join("\n");
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? "" : "s"}`;
+}
+
+function fileTitle(name, content) {
+  const heading = content.split("\n").find((l) => l.startsWith("#"));
+  return heading ? heading.replace(/^#*\s*/, "").slice(0, MAX_TITLE_CHARS) : path.basename(name, ".md");
+}
+
+/**
+ * Store `content` as archive/<period>/<name>.gz. An identical archive from
+ * an earlier, interrupted run is reused; a different one is never
+ * overwritten. Returns { file (relative to memory/), existed }.
+ */
+async function archiveOriginal(memoryDir, periodKey, name, content, dryRun) {
+  const dir = path.join(memoryDir, ARCHIVE_DIR, periodKey);
+  const base = path.basename(name, ".md");
+  for (let n = 1; ; n++) {
+    const archiveName = n === 1 ? `${name}.gz` : `${base}.${n}.md.gz`;
+    const archivePath = path.join(dir, archiveName);
+    let existing = null;
+    try {
+      existing = await fs.readFile(archivePath);
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    const relative = path.join(ARCHIVE_DIR, periodKey, archiveName);
+    if (existing) {
+      if ((await gunzip(existing)).equals(content)) return { file: relative, existed: true };
+      continue;
+    }
+    if (!dryRun) {
+      await ensurePrivateDir(path.dirname(dir));
+      await ensurePrivateDir(dir);
+      await writeFileAtomic(archivePath, await gzip(content));
+      // Read it back before the original is removed
+      if (!(await gunzip(await fs.readFile(archivePath))).equals(content)) {
+        throw new Error(`archive ${relative} does not match ${name}`);
+      }
+    }
+    return { file: relative, existed: false };
+  }
+}
+
+/**
+ * Consolidate one workspace's memory/ directory. Returns
+ * { digests: [{ file, period, files, observations }], archived, bytes }.
+ * With `dryRun`, nothing is written or removed.
+ */
+export async function consolidateMemory(workspaceDir, settings, { dryRun = false, now = new Date(), log = () => {} } = {}) {
+  const memoryDir = path.join(workspaceDir, "memory");
+  const cutoff = dayNumber(localDateString(now)) - settings.digestAfterDays;
+
+  const groups = new Map();
+  for (const name of (await fs.readdir(memoryDir)).sort()) {
+    const match = name.match(DATED_FILE_PATTERN);
+    if (!match || dayNumber(match[1]) >= cutoff) continue;
+    const period = digestPeriod(match[1], settings.period);
+    if (!groups.has(period.key)) groups.set(period.key, { period, names: [] });
+    groups.get(period.key).names.push(name);
+  }
+
+  const result = { digests: [], archived: 0, bytes: 0 };
+  for (const { period, names } of groups.values()) {
+    const digestName = `digest-${period.key}.md`;
+    const digestPath = path.join(memoryDir, digestName);
+
+    // Archive first: a file only counts as consolidated once it is safely
+    // in the archive and listed in the digest
+    const originals = [];
+    for (const name of names) {
+      const filePath = path.join(memoryDir, name);
+      let content;
+      try {
+        const stat = await fs.stat(filePath);
+        if (!stat.isFile()) continue;
+        content = await fs.readFile(filePath);
+      } catch {
+        continue;
+      }
+      const archive = await archiveOriginal(memoryDir, period.key, name, content, dryRun);
+      originals.push({ name, filePath, content, archive });
+    }
+    if (originals.length === 0) continue;
+
+    let added = [];
+    const update = (existing) => {
+      const digest = (existing && parseDigest(existing)) || { sources: [], bytes: 0, body: "" };
+      const seen = new Set(extractObservationLines(digest.body));
+      const sections = [];
+      added = [];
+      for (const original of originals) {
+        // Listed and archived by an interrupted run: only the removal is left
+        if (original.archive.existed && digest.sources.includes(original.name)) continue;
+        const text = original.content.toString("utf-8");
+        const lines = extractObservationLines(text).filter((l) => !seen.has(l));
+        for (const l of lines) seen.add(l);
+        sections.push(
+          [
+            `## ${original.name} — ${fileTitle(original.name, text)}`,
+            `_${plural(lines.length, "observation")} · ${formatSize(original.content.length)} original archived as \`${original.archive.file}\`_`,
+            ...(lines.length > 0 ? ["", ...lines] : []),
+          ].join("\n")
+        );
+        digest.sources.push(original.name);
+        digest.bytes += original.content.length;
+        added.push({ name: original.name, observations: lines.length });
+      }
+      if (sections.length === 0) return null;
+      digest.body = [digest.body.trimEnd(), ...sections].filter(Boolean).join("\n\n");
+      return renderDigest(period, digest);
+    };
+
+    if (dryRun) {
+      let existing = null;
+      try {
+        existing = await fs.readFile(digestPath, "utf-8");
+      } catch {
+        // No digest yet
+      }
+      update(existing);
+    } else {
+      await updateFileLocked(digestPath, update);
+    }
+
+    for (const { name, observations } of added) {
+      log(`${dryRun ? "would consolidate" : "consolidated"} ${name} into ${digestName} (${plural(observations, "observation")})`);
+    }
+    if (!dryRun) {
+      for (const original of originals) await fs.rm(original.filePath, { force: true });
+    }
+    result.digests.push({
+      file: digestName,
+      period: period.key,
+      files: originals.length,
+      observations: added.reduce((n, a) => n + a.observations, 0),
+    });
+    result.archived += originals.length;
+    result.bytes += originals.reduce((n, o) => n + o.content.length, 0);
+  }
+  return result;
+}
@@ -0,0 +1,314 @@
+/**
+ * memory-index.js — In-process memory index builder
+ *
+ * JavaScript equivalent of generate-memory-index.sh. Scans memory/*.md,
+ * categorizes each file, computes sizes, token estimates and observation
+ * counts, and writes:
+ *
+ *   memory/INDEX.md   — compact Markdown index injected at bootstrap
+ *   memory/INDEX.json — machine-readable sidecar for other tools
+ *
+ * Used by the memory-index-inject hook (to regenerate a stale index at
+ * bootstrap) and by generate-memory-index.js on the command line.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { MARKERS } from "./observations.js";
+import { writeFileAtomic } from "./safe-write.js";
+
+const INDEX_FILES = new Set(["INDEX.md", "INDEX.json"]);
+const MAX_TITLE_CHARS = 60;
+const MAX_HEADINGS = 50;
+
+// Categories in the order their sections appear in INDEX.md. `match` is
+// tested against the file name.
+export const CATEGORIES = [
+  {
+    id: "core",
+    label: "🔑 Core State (always load ACTIVE_CONTEXT)",
+    description: "Current working state, overnight run status, mission control config",
+    match: (f) => ["ACTIVE_CONTEXT.md", "overnight-run-state.md", "slack-mission-control.md"].includes(f),
+  },
+  {
+    id: "uqual",
+    label: "🏢 UQUAL Domain",
+    description: "Business strategy, repos, credit/finance domain, marketing context",
+    match: (f) => f.startsWith("uqual-"),
+  },
+  {
+    id: "plans",
+    label: "📋 Plans & Procedures",
+    description: "Implementation plans, deployment procedures, checklists",
+    match: (f) => f.startsWith("plan-") || f.startsWith("procedure-"),
+  },
+  {
+    id: "config",
+    label: "⚙️ Config & Credentials",
+    description: "Integration configs, API keys, service connections",
+    match: (f) => f.endsWith("-config.md") || f.startsWith("credentials-"),
+  },
+  {
+    id: "research",
+    label: "🔬 Research Reports",
+    description: "Deep research output from sub-agents",
+    match: (f) => f.startsWith("research-"),
+  },
+  {
+    id: "project",
+    label: "🏗️ Project Setup",
+    description: "Agent setup checklists, project scaffolding",
+    match: (f) => f.includes("-setup") || f.includes("-checklist"),
+  },
+  {
+    id: "sessions",
+    label: "📅 Session Logs",
+    description: "Daily session notes and decisions",
+    match: (f) => /^20\d\d-\d\d-\d\d/.test(f),
+  },
+  {
+    id: "digests",
+    label: "🗄️ Digests",
+    description: "Observations from consolidated session logs; originals in memory/archive/",
+    match: (f) => f.startsWith("digest-"),
+  },
+  {
+    id: "other",
+    label: "📁 Other",
+    description: "Uncategorized memory files",
+    match: () => true,
+  },
+];
+
+// The shell script tests categories in this order, which differs from the
+// display order above (e.g. research-2026-01-01.md is Research, not Session)
+const MATCH_ORDER = ["core", "uqual", "research", "sessions", "digests", "config", "plans", "project", "other"];
+
+/**
+ * Categorize a memory file by name. Returns a category id.
+ */
+export function categorizeMemoryFile(fileName) {
+  for (const id of MATCH_ORDER) {
+    const category = CATEGORIES.find((c) => c.id === id);
+    if (category.match(fileName)) return id;
+  }
+  return "other";
+}
+
+/**
+ * Estimate tokens (~4 chars per token for English text).
+ */
+export function estimateTokens(bytes) {
+  return Math.floor(bytes / 4);
+}
+
+export function formatSize(bytes) {
+  if (bytes >= 1048576) return `${Math.floor(bytes / 1048576)}MB`;
+  if (bytes >= 1024) return `${Math.floor(bytes / 1024)}KB`;
+  return `${bytes}B`;
+}
+
+function formatDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+// An observation marker with an optional id but no status: status lines
+// ("[TODO:3f9c0a DONE]") close an observation rather than record one
+const COUNT_PATTERNS = Object.fromEntries(
+  Object.keys(MARKERS).map((t) => [t, new RegExp(`\\[${t}(?::[0-9a-f]+)?\\]`)])
+);
+
+/**
+ * Count observation markers per type. Like `grep -c`, a line counts once
+ * per marker type it contains.
+ */
+export function countObservations(content) {
+  const counts = Object.fromEntries(Object.keys(MARKERS).map((t) => [t, 0]));
+  for (const line of content.split("\n")) {
+    for (const type of Object.keys(MARKERS)) {
+      if (COUNT_PATTERNS[type].test(line)) counts[type]++;
+    }
+  }
+  return counts;
+}
+
+// Per-file observation column order, matching generate-memory-index.sh
+const SUMMARY_ORDER = ["DECISION", "GOTCHA", "SOLUTION", "PATTERN", "TRADEOFF", "FACT", "PREFERENCE", "TODO"];
+
+function observationSummary(counts) {
+  const parts = SUMMARY_ORDER
+    .filter((type) => counts[type] > 0)
+    .map((type) => `${counts[type]}${MARKERS[type]}`);
+  return parts.length > 0 ? parts.join(" ") : "—";
+}
+
+/**
+ * Newest mtime (ms) among memory files, excluding the index itself.
+ * Returns 0 if there are none.
+ */
+export async function newestMemoryMtime(memoryDir) {
+  let newest = 0;
+  for (const f of await fs.readdir(memoryDir)) {
+    if (!f.endsWith(".md") || INDEX_FILES.has(f)) continue;
+    try {
+      const stat = await fs.stat(path.join(memoryDir, f));
+      newest = Math.max(newest, stat.mtimeMs);
+    } catch {
+      // Vanished between readdir and stat
+    }
+  }
+  return newest;
+}
+
+/**
+ * True if INDEX.md is missing or older than the newest memory file.
+ */
+export async function isIndexStale(memoryDir) {
+  let indexMtime;
+  try {
+    indexMtime = (await fs.stat(path.join(memoryDir, "INDEX.md"))).mtimeMs;
+  } catch {
+    return true;
+  }
+  return (await newestMemoryMtime(memoryDir)) > indexMtime;
+}
+
+/**
+ * Scan memory/*.md and return per-file metadata plus totals.
+ */
+export async function scanMemoryDir(memoryDir) {
+  const files = [];
+  const names = (await fs.readdir(memoryDir))
+    .filter((f) => f.endsWith(".md") && !INDEX_FILES.has(f))
+    .sort();
+
+  for (const name of names) {
+    const filePath = path.join(memoryDir, name);
+    let stat, content;
+    try {
+      stat = await fs.stat(filePath);
+      if (!stat.isFile()) continue;
+      content = await fs.readFile(filePath, "utf-8");
+    } catch {
+      continue;
+    }
+
+    const headings = [];
+    for (const line of content.split("\n")) {
+      const match = line.match(/^(#{1,6})\s+(.+?)\s*$/);
+      if (match && headings.length < MAX_HEADINGS) {
+        headings.push({ level: match[1].length, text: match[2] });
+      }
+    }
+    const firstHeading = content.split("\n").find((l) => l.startsWith("#"));
+    const title = firstHeading
+      ? firstHeading.replace(/^#*\s*/, "").slice(0, MAX_TITLE_CHARS)
+      : path.basename(name, ".md");
+
+    files.push({
+      file: name,
+      category: categorizeMemoryFile(name),
+      title,
+      bytes: stat.size,
+      tokens: estimateTokens(stat.size),
+      headings,
+      observations: countObservations(content),
+      modified: new Date(stat.mtimeMs).toISOString(),
+      mtimeMs: stat.mtimeMs,
+    });
+  }
+
+  const totals = {
+    files: files.length,
+    bytes: files.reduce((n, f) => n + f.bytes, 0),
+    tokens: 0,
+    observations: Object.fromEntries(Object.keys(MARKERS).map((t) => [t, 0])),
+  };
+  totals.tokens = estimateTokens(totals.bytes);
+  for (const f of files) {
+    for (const [type, n] of Object.entries(f.observations)) totals.observations[type] += n;
+  }
+
+  return { files, totals };
+}
+
+/**
+ * Render the INDEX.md text in the same layout as generate-memory-index.sh.
+ */
+export function renderIndexMarkdown(scan, now = new Date()) {
+  const { files, totals } = scan;
+  const tz = now.toLocaleTimeString("en-US", { timeZoneName: "short" }).split(" ").pop();
+  const generated = `${formatDate(now)} ${String(now.getHours()).padStart(2, "0")}:${String(now.getMinutes()).padStart(2, "0")} ${tz}`;
+  const obs = totals.observations;
+
+  const lines = [
+    "# Memory Index",
+    `> **Generated**: ${generated} | **Files**: ${totals.files} | **Size**: ${formatSize(totals.bytes)} | **~Tokens**: ${totals.tokens}`,
+    `> **Observations**: ${obs.DECISION}🟤 decisions | ${obs.GOTCHA}🔴 gotchas | ${obs.SOLUTION}🟡 solutions | ${obs.PATTERN}🔵 patterns | ${obs.TODO}⚪ todos`,
+    "",
+    "## How to Use This Index",
+    "- **Don't load everything.** Use `memory_search` to find relevant files, then `memory_get` to read specific sections.",
+    "- **Always load**: ACTIVE_CONTEXT.md (current working state)",
+    "- **Load on demand**: Everything else based on the task at hand",
+    "- Observation markers: 🔴 GOTCHA | 🟤 DECISION | ⚖️ TRADEOFF | 🟡 SOLUTION | 🔵 PATTERN | 🟢 FACT | 🟣 PREFERENCE | ⚪ TODO",
+    "",
+  ];
+
+  for (const category of CATEGORIES) {
+    const rows = files
+      .filter((f) => f.category === category.id)
+      .sort((a, b) => b.mtimeMs - a.mtimeMs);
+    if (rows.length === 0) continue;
+
+    lines.push(
+      "",
+      `### ${category.label}`,
+      `_${category.description}_`,
+      "",
+      "| File | Title | Size | Tokens | Observations | Modified |",
+      "|------|-------|------|--------|-------------|----------|"
+    );
+    for (const f of rows) {
+      const title = f.title.replace(/\|/g, "\\|");
+      lines.push(
+        `| ${f.file} | ${title} | ${formatSize(f.bytes)} | ~${f.tokens} | ${observationSummary(f.observations)} | ${formatDate(new Date(f.mtimeMs))} |`
+      );
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Build the JSON sidecar object.
+ */
+export function renderIndexJson(scan, workspaceDir, now = new Date()) {
+  return {
+    version: 1,
+    generated: now.toISOString(),
+    workspace: workspaceDir,
+    totals: scan.totals,
+    files: scan.files.map(({ mtimeMs, ...f }) => f),
+  };
+}
+
+/**
+ * Scan a workspace's memory/ directory and write INDEX.md + INDEX.json.
+ * Returns { scan, markdown, json }. With `dryRun`, nothing is written.
+ */
+export async function buildMemoryIndex(workspaceDir, { dryRun = false } = {}) {
+  const memoryDir = path.join(workspaceDir, "memory");
+  const now = new Date();
+  const scan = await scanMemoryDir(memoryDir);
+  const markdown = renderIndexMarkdown(scan, now);
+  const json = renderIndexJson(scan, workspaceDir, now);
+
+  if (!dryRun) {
+    const indexPath = path.join(memoryDir, "INDEX.md");
+    const jsonPath = path.join(memoryDir, "INDEX.json");
+    await writeFileAtomic(indexPath, markdown);
+    await writeFileAtomic(jsonPath, JSON.stringify(json, null, 2) + "\n");
+  }
+
+  return { scan, markdown, json };
+}
@@ -0,0 +1,287 @@
+/**
+ * memory-search.js — Local full-text search over memory files
+ *
+ * Keeps a BM25 inverted index of a workspace's memory/*.md files in
+ * memory/.search-index.json. Each file is split into chunks:
+ *
+ *   - one per heading section (heading path + body)
+ *   - one per observation line (🔴 [GOTCHA] ..., ⚪ [TODO] ...)
+ *
+ * The index is updated incrementally: only files whose mtime or size
+ * changed are re-chunked, and deleted files are dropped. searchMemory()
+ * brings the index up to date before every query, so callers never see
+ * stale results.
+ *
+ * Used by the memory-search CLI and importable by hooks.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { MARKERS, MARKER_PATTERN } from "./observations.js";
+import { writeFileAtomic } from "./safe-write.js";
+
+export const SEARCH_INDEX_FILE = ".search-index.json";
+// 2: term counts no longer pick up Object.prototype keys ("constructor")
+const INDEX_VERSION = 2;
+// INDEX.md only catalogs other files; searching it would shadow them
+const SKIP_FILES = new Set(["INDEX.md"]);
+const SNIPPET_CHARS = 240;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set(
+  ("a an and are as at be but by for from has have i if in into is it its of on or " +
+    "so that the their then there these this to was we were what when which will with you").split(" ")
+);
+
+/**
+ * Lowercase word tokens, minus stopwords and single characters.
+ */
+export function tokenize(text) {
+  return (text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}_]+/u)
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+}
+
+function termFrequencies(tokens) {
+  const tf = Object.create(null);
+  for (const t of tokens) tf[t] = (tf[t] || 0) + 1;
+  return tf;
+}
+
+// A term's count in a chunk. Indexes loaded from disk are plain objects,
+// so "constructor" and the like must not be read from the prototype.
+function termCount(chunk, term) {
+  return Object.hasOwn(chunk.tf, term) ? chunk.tf[term] : 0;
+}
+
+function snippet(text) {
+  const flat = text.replace(/\s+/g, " ").trim();
+  return flat.length > SNIPPET_CHARS ? flat.slice(0, SNIPPET_CHARS - 1) + "…" : flat;
+}
+
+/**
+ * Split a memory file into section and observation chunks.
+ * Returns [{ kind, marker, heading, line, snippet, length, tf }].
+ */
+export function chunkMemoryFile(content) {
+  const chunks = [];
+  const headingStack = [];
+  let section = null;
+
+  const flush = () => {
+    if (!section) return;
+    const text = section.lines.join("\n");
+    const tokens = tokenize(text);
+    if (tokens.length > 0) {
+      chunks.push({
+        kind: "section",
+        marker: null,
+        heading: section.heading,
+        line: section.line,
+        snippet: snippet(section.lines.slice(section.hasHeading ? 1 : 0).join(" ") || text),
+        length: tokens.length,
+        tf: termFrequencies(tokens),
+      });
+    }
+  };
+
+  content.split("\n").forEach((line, i) => {
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*$/);
+    if (heading) {
+      flush();
+      const level = heading[1].length;
+      while (headingStack.length && headingStack[headingStack.length - 1].level >= level) {
+        headingStack.pop();
+      }
+      headingStack.push({ level, text: heading[2] });
+      section = {
+        heading: headingStack.map((h) => h.text).join(" › "),
+        line: i + 1,
+        lines: [line],
+        hasHeading: true,
+      };
+      return;
+    }
+
+    if (!section) section = { heading: null, line: i + 1, lines: [], hasHeading: false };
+    section.lines.push(line);
+
+    const marker = line.match(MARKER_PATTERN);
+    if (marker) {
+      const tokens = tokenize(line);
+      chunks.push({
+        kind: "observation",
+        marker: marker[1],
+        heading: section.heading,
+        line: i + 1,
+        snippet: snippet(line.replace(/^[-*\s]+/, "")),
+        length: tokens.length,
+        tf: termFrequencies(tokens),
+      });
+    }
+  });
+  flush();
+
+  return chunks;
+}
+
+/**
+ * Date a file by its YYYY-MM-DD name prefix, falling back to its mtime.
+ */
+function fileDate(fileName, mtimeMs) {
+  const match = fileName.match(/^(20\d\d-\d\d-\d\d)/);
+  return match ? match[1] : new Date(mtimeMs).toISOString().split("T")[0];
+}
+
+async function loadSearchIndex(indexPath) {
+  try {
+    const index = JSON.parse(await fs.readFile(indexPath, "utf-8"));
+    if (index.version === INDEX_VERSION && index.files) return index;
+  } catch {
+    // Missing or corrupt — rebuild from scratch
+  }
+  return { version: INDEX_VERSION, built: null, files: {} };
+}
+
+/**
+ * Bring memory/.search-index.json up to date with memory/*.md.
+ * Returns { index, changed, removed } (file names). With `dryRun`, the
+ * updated index is returned but not written.
+ */
+export async function updateSearchIndex(workspaceDir, { dryRun = false } = {}) {
+  const memoryDir = path.join(workspaceDir, "memory");
+  const indexPath = path.join(memoryDir, SEARCH_INDEX_FILE);
+  const index = await loadSearchIndex(indexPath);
+
+  const names = (await fs.readdir(memoryDir)).filter((f) => f.endsWith(".md") && !SKIP_FILES.has(f));
+  const changed = [];
+  const present = new Set();
+
+  for (const name of names) {
+    const filePath = path.join(memoryDir, name);
+    let stat;
+    try {
+      stat = await fs.stat(filePath);
+      if (!stat.isFile()) continue;
+    } catch {
+      continue;
+    }
+    present.add(name);
+
+    const known = index.files[name];
+    if (known && known.mtimeMs === stat.mtimeMs && known.size === stat.size) continue;
+
+    let content;
+    try {
+      content = await fs.readFile(filePath, "utf-8");
+    } catch {
+      continue;
+    }
+    index.files[name] = {
+      mtimeMs: stat.mtimeMs,
+      size: stat.size,
+      date: fileDate(name, stat.mtimeMs),
+      chunks: chunkMemoryFile(content),
+    };
+    changed.push(name);
+  }
+
+  const removed = Object.keys(index.files).filter((name) => !present.has(name));
+  for (const name of removed) delete index.files[name];
+
+  if ((changed.length > 0 || removed.length > 0 || !index.built) && !dryRun) {
+    index.built = new Date().toISOString();
+    await writeFileAtomic(indexPath, JSON.stringify(index) + "\n");
+  }
+
+  return { index, changed, removed };
+}
+
+/**
+ * Parse a --since value: an ISO date ("2026-01-15") or a relative age
+ * ("36h", "7d", "2w"). Returns a YYYY-MM-DD string, or null if invalid.
+ */
+export function parseSince(value, now = new Date()) {
+  if (!value) return null;
+  if (/^\d{4}-\d\d-\d\d/.test(value)) return value.slice(0, 10);
+  const match = value.match(/^(\d+)([hdw])$/);
+  if (!match) return null;
+  const hours = { h: 1, d: 24, w: 24 * 7 }[match[2]] * Number(match[1]);
+  return new Date(now.getTime() - hours * 3600 * 1000).toISOString().split("T")[0];
+}
+
+/**
+ * Search a workspace's memory. The index is updated first.
+ *
+ * options:
+ *   marker — only observation chunks of this type (e.g. "GOTCHA")
+ *   since  — only files dated on/after this YYYY-MM-DD (see parseSince)
+ *   limit  — max results (default 10)
+ *
+ * An empty query with a marker or since filter lists matching chunks,
+ * newest first. Returns [{ file, line, heading, kind, marker, date,
+ * score, snippet }].
+ */
+export async function searchMemory(workspaceDir, query, { marker = null, since = null, limit = 10 } = {}) {
+  const { index } = await updateSearchIndex(workspaceDir);
+  const terms = [...new Set(tokenize(query))];
+
+  const candidates = [];
+  for (const [file, entry] of Object.entries(index.files)) {
+    if (since && entry.date < since) continue;
+    for (const chunk of entry.chunks) {
+      if (marker && chunk.marker !== marker) continue;
+      candidates.push({ file, date: entry.date, chunk });
+    }
+  }
+
+  // BM25 statistics are computed over the whole index, not the filtered set
+  let totalChunks = 0;
+  let totalLength = 0;
+  const df = new Map(terms.map((t) => [t, 0]));
+  for (const entry of Object.values(index.files)) {
+    for (const chunk of entry.chunks) {
+      totalChunks++;
+      totalLength += chunk.length;
+      for (const t of terms) if (termCount(chunk, t)) df.set(t, df.get(t) + 1);
+    }
+  }
+  const avgLength = totalChunks > 0 ? totalLength / totalChunks : 1;
+
+  const results = [];
+  for (const { file, date, chunk } of candidates) {
+    let score = 0;
+    for (const t of terms) {
+      const tf = termCount(chunk, t);
+      if (!tf) continue;
+      const idf = Math.log(1 + (totalChunks - df.get(t) + 0.5) / (df.get(t) + 0.5));
+      score += idf * ((tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * chunk.length) / avgLength)));
+    }
+    if (terms.length > 0 && score === 0) continue;
+    results.push({
+      file,
+      line: chunk.line,
+      heading: chunk.heading,
+      kind: chunk.kind,
+      marker: chunk.marker,
+      date,
+      score: Math.round(score * 1000) / 1000,
+      snippet: chunk.snippet,
+    });
+  }
+
+  results.sort((a, b) => b.score - a.score || b.date.localeCompare(a.date) || a.line - b.line);
+  return results.slice(0, limit);
+}
+
+/**
+ * Normalize a marker name ("gotcha", "[GOTCHA]") to its type, or null.
+ */
+export function normalizeMarker(value) {
+  const type = (value || "").replace(/[[\]]/g, "").trim().toUpperCase();
+  return type in MARKERS ? type : null;
+}
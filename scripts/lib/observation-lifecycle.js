@@ -0,0 +1,162 @@
+/**
+ * observation-lifecycle.js — Open, resolved, superseded and expired observations
+ *
+ * Observations are append-only lines in memory/*.md. An observation is
+ * closed by a later line carrying its id and a status, written by the
+ * agent or by the session-summary hook:
+ *
+ *   ⚪ [TODO:3f9c0a] Rotate the staging API key _(user @ 2026-01-31T10:00:00Z)_
+ *   ⚪ [TODO:3f9c0a DONE] Rotated on Feb 2
+ *   🟤 [DECISION:7b21e4 SUPERSEDED] Moved to Postgres, see [DECISION:90ac11]
+ *
+ * Statuses: DONE, RESOLVED, SUPERSEDED, EXPIRED. The latest status line
+ * wins. Open items of a type listed in `expireDays` that are older than
+ * that many days count as expired without anything being written.
+ *
+ * The ledger is rebuilt from the files on every call; there is no state
+ * to go stale. Digests (memory-consolidate.js) keep both the observation
+ * and its status lines, so closed items stay closed after consolidation.
+ *
+ * Config (clawdbot.json, per-agent overrides under memoryInfra.agents.<id>.observations):
+ *   "memoryInfra": { "observations": {
+ *     "expireDays": { "TODO": 90 }   // per type; 0 or missing = never
+ *   } }
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { sectionDefaults, settingsFor } from "./config.js";
+import { observationLines, parseObservationLine } from "./observations.js";
+
+export const LIFECYCLE_DEFAULTS = sectionDefaults("observations");
+
+// Files that restate observations rather than record them
+const SKIP_FILES = new Set(["INDEX.md", "ACTIVE_CONTEXT.md"]);
+const DATED_FILE_PATTERN = /^(20\d\d-\d\d-\d\d)/;
+// A digest section per consolidated file: "## 2026-01-30-summary-ab12.md — ..."
+// (memory-consolidate.js). Digests are rewritten on every consolidation, so
+// their mtime says nothing about when an observation was made.
+const DIGEST_SECTION_PATTERN = /^## (20\d\d-\d\d-\d\d)\S*\.md — /;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Word overlap for a completed item to count as the same TODO
+const MATCH_THRESHOLD = 0.8;
+
+/**
+ * Merge lifecycle settings: defaults < memoryInfra.observations < per-agent
+ * override. `expireDays` is merged per type.
+ */
+export function resolveLifecycleSettings(cfg, agentId) {
+  const settings = settingsFor(cfg, "observations", agentId);
+  // 0 means never expire
+  for (const [type, days] of Object.entries(settings.expireDays)) {
+    if (days <= 0) delete settings.expireDays[type];
+  }
+  return settings;
+}
+
+function words(text) {
+  return new Set(
+    text
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, " ")
+      .split(/\s+/)
+      .filter(Boolean)
+  );
+}
+
+/**
+ * The open TODO that `text` (e.g. a "- [x] ..." item) completes: an exact
+ * match ignoring case and punctuation, else the best word overlap above
+ * the threshold. Returns the item or null.
+ */
+export function matchOpenTodo(text, todos) {
+  const target = words(text);
+  if (target.size === 0) return null;
+  let best = null;
+  let bestScore = 0;
+  for (const todo of todos) {
+    if (todo.status) continue;
+    const candidate = words(todo.text);
+    let shared = 0;
+    for (const w of target) if (candidate.has(w)) shared++;
+    const score = shared / (target.size + candidate.size - shared);
+    if (score > bestScore) {
+      best = todo;
+      bestScore = score;
+    }
+  }
+  return bestScore >= MATCH_THRESHOLD ? best : null;
+}
+
+/**
+ * Read every observation in a memory directory. Returns items
+ * { id, type, text, file, line, date, status, closedIn, closedAt } in file
+ * order; `status` is null for open items, `closedIn` the file that closed
+ * it. An item without a timestamp of its own is dated by its file's name,
+ * by its digest section's source file, or else by the file's mtime. Items
+ * dated before `now - expireDays[type]` are "EXPIRED".
+ */
+export async function loadObservationLedger(memoryDir, { expireDays = LIFECYCLE_DEFAULTS.expireDays, now = new Date() } = {}) {
+  let names;
+  try {
+    names = (await fs.readdir(memoryDir)).filter((f) => f.endsWith(".md") && !SKIP_FILES.has(f)).sort();
+  } catch {
+    return [];
+  }
+
+  const items = new Map();
+  const closures = [];
+  for (const name of names) {
+    const filePath = path.join(memoryDir, name);
+    let content, stat;
+    try {
+      stat = await fs.stat(filePath);
+      if (!stat.isFile()) continue;
+      content = await fs.readFile(filePath, "utf-8");
+    } catch {
+      continue;
+    }
+    let fileDate = name.match(DATED_FILE_PATTERN)?.[1] || new Date(stat.mtimeMs).toISOString().slice(0, 10);
+    const digest = name.startsWith("digest-");
+
+    observationLines(content).forEach((line, i) => {
+      if (digest) fileDate = line.match(DIGEST_SECTION_PATTERN)?.[1] || fileDate;
+      const obs = parseObservationLine(line);
+      if (!obs) return;
+      const date = obs.timestamp?.match(/^\d{4}-\d\d-\d\d/)?.[0] || fileDate;
+      if (obs.status) {
+        closures.push({ id: obs.id, status: obs.status, file: name, date });
+        // A closure may be the only record of an item (e.g. it was opened
+        // in a file that has since been archived)
+        if (!obs.text || items.has(obs.id)) return;
+      }
+      // The first sighting is the original; repeats (digests, handoffs) don't move it
+      if (items.has(obs.id)) return;
+      items.set(obs.id, { id: obs.id, type: obs.type, text: obs.text, file: name, line: i + 1, date, status: null, closedIn: null, closedAt: null });
+    });
+  }
+
+  for (const closure of closures) {
+    const item = items.get(closure.id);
+    if (!item) continue;
+    item.status = closure.status;
+    item.closedIn = closure.file;
+    item.closedAt = closure.date;
+  }
+
+  const today = now.getTime();
+  for (const item of items.values()) {
+    const days = expireDays[item.type];
+    if (item.status || !days) continue;
+    if (today - Date.parse(`${item.date}T00:00:00Z`) > days * DAY_MS) item.status = "EXPIRED";
+  }
+
+  return [...items.values()];
+}
+
+/**
+ * Age of an item in whole days.
+ */
+export function itemAgeDays(item, now = new Date()) {
+  return Math.max(0, Math.floor((now.getTime() - Date.parse(`${item.date}T00:00:00Z`)) / DAY_MS));
+}
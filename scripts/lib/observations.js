@@ -0,0 +1,239 @@
+/**
+ * observations.js — Observation markers and rule-based extraction
+ *
+ * Observation markers (🟤 [DECISION], 🔴 [GOTCHA], ...) are the searchable
+ * backbone of the memory corpus. This module holds the marker table and a
+ * deterministic classifier that finds observations in a conversation from
+ * phrasing alone: "we decided", "the fix was", "watch out", "turns out",
+ * "I prefer", and error reports followed by a resolution.
+ *
+ * The classifier never calls an LLM; callers may layer an LLM pass on top.
+ *
+ * Every observation has a stable id: a short hash of its type and text,
+ * written into the marker ("⚪ [TODO:3f9c0a] ..."). A later line with the
+ * same id and a status closes it ("⚪ [TODO:3f9c0a DONE]"); see
+ * observation-lifecycle.js. Lines written before ids existed get the same
+ * id from their text.
+ */
+
+import { createHash } from "node:crypto";
+
+export const MARKERS = {
+  DECISION: "🟤",
+  GOTCHA: "🔴",
+  TRADEOFF: "⚖️",
+  SOLUTION: "🟡",
+  PATTERN: "🔵",
+  FACT: "🟢",
+  PREFERENCE: "🟣",
+  TODO: "⚪",
+};
+
+// Statuses that close an observation
+export const STATUSES = ["DONE", "RESOLVED", "SUPERSEDED", "EXPIRED"];
+
+// Matches a marker anywhere in a line, with or without its emoji, an id and
+// a status: [TODO], [TODO:3f9c0a], [TODO:3f9c0a DONE], [TODO DONE].
+// Groups: type, id, status.
+export const MARKER_PATTERN = new RegExp(
+  `\\[(${Object.keys(MARKERS).join("|")})(?::([0-9a-f]{6,12}))?(?:\\s+(${STATUSES.join("|")}))?\\]`
+);
+
+// Trailing back-reference to the source message: _(assistant @ 2026-01-31T10:00:00Z)_
+export const BACKREF_PATTERN = /\s*_\((\w+) @ ([^)]+)\)_\s*$/;
+
+const ID_LENGTH = 6;
+
+// Text of a template placeholder ("🔴 [GOTCHA] ..."): nothing to refer to
+const PLACEHOLDER_TEXT = /^(?:\.{3}|…)?$/;
+
+// Phrase rules, checked per sentence. `roles` limits a rule to who said it.
+const RULES = [
+  { type: "DECISION", regex: /\b(?:we|i)(?:'ve| have)? decided\b|\blet'?s go with\b|\bwe(?:'ll| will) go with\b|\bdecision(?: is|:)|\bwe(?:'re| are) going with\b|\bsettled on\b/i },
+  { type: "SOLUTION", regex: /\bthe (?:fix|solution|workaround) (?:was|is)\b|\bfixed (?:it )?by\b|\bsolved (?:it )?by\b|\bresolved (?:it )?by\b|\bthe trick (?:was|is)\b/i },
+  { type: "GOTCHA", regex: /\bwatch out\b|\bturns out\b|\bgotcha\b|\bbe careful\b|\bheads[- ]up\b|\bsilently\b|\bfootgun\b|\bdon'?t forget\b/i },
+  { type: "PREFERENCE", regex: /\bi (?:prefer|'d prefer|would prefer|like it when|always want|never want)\b|\bplease (?:always|never)\b|\bdon'?t ever\b/i, roles: ["user"] },
+  { type: "PATTERN", regex: /\bfrom now on\b|\bgoing forward\b|\bthe pattern (?:is|here is)\b|\bas a rule\b/i },
+  { type: "TRADEOFF", regex: /\btrade-?off\b|\bpros and cons\b|\bat the cost of\b/i },
+  { type: "FACT", regex: /\bfor (?:future )?reference\b|\bfyi\b|\bnote that\b/i },
+  { type: "TODO", regex: /\btodo:|\bwe still need to\b|\bstill need to\b|\bfollow[- ]up:/i },
+];
+
+const ERROR_PATTERN = /\b(?:error|failed|failing|exception|traceback|crash(?:ed|es)?|doesn'?t work|broken)\b/i;
+const RESOLUTION_PATTERN = /\b(?:fixed|works now|working now|resolved|passing now|tests pass|succeeded|that did it|that worked)\b/i;
+// How many messages after an error to look for its resolution
+const RESOLUTION_WINDOW = 6;
+const MAX_OBSERVATION_CHARS = 220;
+
+/**
+ * Split message text into sentences (or list items) for per-sentence rules.
+ */
+function sentences(text) {
+  return text
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((s) => s.replace(/^[-*>\s]+/, "").trim())
+    .filter((s) => s.length >= 12);
+}
+
+/**
+ * Stable id for an observation: the same type and text (ignoring case,
+ * spacing and trailing punctuation) always give the same id.
+ */
+export function observationId(type, text) {
+  const normalized = text
+    .replace(BACKREF_PATTERN, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(/[\s.!?;:,]+$/, "")
+    .trim();
+  return createHash("sha256").update(`${type}\n${normalized}`).digest("hex").slice(0, ID_LENGTH);
+}
+
+/**
+ * Split file content into lines with everything inside HTML comments
+ * blanked out, so examples in a comment ("<!-- Add observations ... -->")
+ * are never read as observations. Line numbers are kept.
+ */
+export function observationLines(content) {
+  let inComment = false;
+  return (content || "").split("\n").map((line) => {
+    let out = "";
+    let rest = line;
+    while (rest) {
+      if (inComment) {
+        const end = rest.indexOf("-->");
+        if (end < 0) return out;
+        inComment = false;
+        rest = rest.slice(end + 3);
+      } else {
+        const start = rest.indexOf("<!--");
+        if (start < 0) return out + rest;
+        out += rest.slice(0, start);
+        inComment = true;
+        rest = rest.slice(start + 4);
+      }
+    }
+    return out;
+  });
+}
+
+/**
+ * Parse the first marker in a line. Returns { type, id, status, text,
+ * timestamp } — `id` from the marker or derived from the text, `status`
+ * null for an open observation, `text` without the back-reference — or
+ * null if the line has no marker (or a bare marker or placeholder with
+ * nothing to refer to).
+ */
+export function parseObservationLine(line) {
+  const match = line.match(MARKER_PATTERN);
+  if (!match) return null;
+  let text = line.slice(match.index + match[0].length).trim();
+  const backref = text.match(BACKREF_PATTERN);
+  if (backref) text = text.slice(0, backref.index).trim();
+  if (PLACEHOLDER_TEXT.test(text)) {
+    if (!match[2]) return null;
+    text = "";
+  }
+  return {
+    type: match[1],
+    id: match[2] || observationId(match[1], text),
+    status: match[3] || null,
+    text,
+    timestamp: backref ? backref[2] : null,
+  };
+}
+
+function clip(text) {
+  const flat = text.replace(/\s+/g, " ").trim();
+  return flat.length > MAX_OBSERVATION_CHARS
+    ? flat.slice(0, MAX_OBSERVATION_CHARS - 1) + "…"
+    : flat;
+}
+
+/**
+ * Classify a conversation into tagged observations.
+ *
+ * `messages` is [{ role, text, timestamp }] in chronological order.
+ * Returns [{ type, text, role, timestamp }] in the order found.
+ */
+export function classifyObservations(messages) {
+  const observations = [];
+  const seen = new Set();
+  // Resolution sentences already emitted as part of an error → fix pair
+  const paired = new Set();
+
+  const add = (type, text, msg, { id = null, status = null } = {}) => {
+    const key = `${type}:${id || ""}:${status || ""}:${text.toLowerCase()}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    observations.push({ type, id, status, text, role: msg.role, timestamp: msg.timestamp || null });
+  };
+
+  messages.forEach((msg, i) => {
+    for (const sentence of sentences(msg.text)) {
+      // Already-tagged lines pass through with their own type, id and
+      // status, so "[TODO:3f9c0a DONE]" said in the conversation closes it
+      const tagged = sentence.match(MARKER_PATTERN);
+      if (tagged) {
+        const text = clip(sentence.slice(tagged.index + tagged[0].length));
+        if (text || tagged[2]) add(tagged[1], text, msg, { id: tagged[2] || null, status: tagged[3] || null });
+        continue;
+      }
+      const rule = RULES.find(
+        (r) => r.regex.test(sentence) && (!r.roles || r.roles.includes(msg.role))
+      );
+      if (rule && !(rule.type === "SOLUTION" && paired.has(sentence))) {
+        add(rule.type, clip(sentence), msg);
+      }
+    }
+
+    // Error-then-resolution: an error report followed shortly by an
+    // assistant message saying it's fixed becomes a SOLUTION
+    const errorSentence = sentences(msg.text).find((s) => ERROR_PATTERN.test(s));
+    if (!errorSentence) return;
+    const resolution = messages
+      .slice(i + 1, i + 1 + RESOLUTION_WINDOW)
+      .find((m) => m.role === "assistant" && RESOLUTION_PATTERN.test(m.text));
+    if (!resolution) return;
+    const resolvedSentence = sentences(resolution.text).find((s) => RESOLUTION_PATTERN.test(s));
+    if (resolvedSentence) {
+      // The combined form replaces a bare SOLUTION for the same sentence
+      paired.add(resolvedSentence);
+      add("SOLUTION", clip(`${clip(errorSentence)} → ${resolvedSentence}`), resolution);
+    }
+  });
+
+  return observations;
+}
+
+/**
+ * Render an observation as a marker line with its id, status (if closed)
+ * and a back-reference to the message it came from.
+ */
+export function formatObservation(obs) {
+  const id = obs.id || observationId(obs.type, obs.text);
+  const ref = obs.timestamp ? ` _(${obs.role || "msg"} @ ${obs.timestamp})_` : "";
+  const marker = `[${obs.type}:${id}${obs.status ? ` ${obs.status}` : ""}]`;
+  return `${MARKERS[obs.type]} ${marker}${obs.text ? ` ${obs.text}` : ""}${ref}`;
+}
+
+/**
+ * Parse marker lines (e.g. LLM output) back into observations. Lines that
+ * don't carry a known marker are dropped.
+ */
+export function parseObservationLines(text) {
+  const observations = [];
+  for (const line of observationLines(text)) {
+    const obs = parseObservationLine(line);
+    if (!obs) continue;
+    observations.push({
+      type: obs.type,
+      id: line.match(MARKER_PATTERN)[2] || null,
+      status: obs.status,
+      text: clip(obs.text),
+      role: null,
+      timestamp: null,
+    });
+  }
+  return observations;
+}
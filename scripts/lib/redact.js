@@ -0,0 +1,170 @@
+/**
+ * redact.js — Secret and PII redaction for memory files
+ *
+ * Everything the checkpoint script and hooks write to memory/ is later
+ * injected back into prompts, so API keys, tokens, passwords and personal
+ * data pasted into chat must never reach disk. This module scrubs text
+ * before it is persisted.
+ *
+ * Built-in detectors cover common key prefixes, JWTs, private key blocks,
+ * bearer tokens, password assignments, emails, phone numbers and
+ * high-entropy strings. Extra patterns and disabled detectors come from
+ * clawdbot.json:
+ *
+ *   "memoryInfra": {
+ *     "redaction": {
+ *       "enabled": true,
+ *       "disable": ["phone"],
+ *       "patterns": ["CUST-\\d{6}", { "name": "ticket", "pattern": "TKT-[0-9]+", "flags": "i" }]
+ *     }
+ *   }
+ *
+ * Matches are replaced with [REDACTED:<detector>].
+ */
+
+import { settingsFor } from "./config.js";
+
+// Shannon entropy (bits/char) above which a long token is treated as a secret.
+// Hex strings (commit SHAs, UUIDs) top out at 4.0 and are left alone.
+const HIGH_ENTROPY_BITS = 4.2;
+const HIGH_ENTROPY_MIN_LENGTH = 32;
+
+const BUILTIN_DETECTORS = [
+  {
+    name: "private-key",
+    regex: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+  },
+  {
+    name: "jwt",
+    regex: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]+/g,
+  },
+  {
+    name: "api-key",
+    regex: new RegExp(
+      "\\b(?:" +
+        [
+          "sk-ant-[A-Za-z0-9_-]{20,}", // Anthropic
+          "sk-(?:proj-)?[A-Za-z0-9_-]{20,}", // OpenAI
+          "gh[pousr]_[A-Za-z0-9]{30,}", // GitHub tokens
+          "github_pat_[A-Za-z0-9_]{30,}",
+          "glpat-[A-Za-z0-9_-]{20,}", // GitLab
+          "xox[abposr]-[A-Za-z0-9-]{10,}", // Slack
+          "xapp-[A-Za-z0-9-]{10,}",
+          "AKIA[0-9A-Z]{16}", // AWS access key id
+          "AIza[0-9A-Za-z_-]{35}", // Google API key
+          "[sprk]k_(?:live|test)_[A-Za-z0-9]{16,}", // Stripe
+          "npm_[A-Za-z0-9]{30,}",
+          "hf_[A-Za-z0-9]{30,}", // Hugging Face
+        ].join("|") +
+        ")",
+      "g"
+    ),
+  },
+  {
+    name: "bearer",
+    regex: /\b(Bearer\s+)([A-Za-z0-9._~+/-]{16,}=*)/gi,
+    replace: (m, prefix) => `${prefix}[REDACTED:bearer]`,
+  },
+  {
+    name: "secret",
+    regex: /\b((?:password|passwd|pwd|secret|client[_-]?secret|api[_-]?key|access[_-]?token|auth[_-]?token|token)\s*[:=]\s*["']?)([^\s"',;]{4,})/gi,
+    replace: (m, prefix, value) => (value.startsWith("[REDACTED") ? null : `${prefix}[REDACTED:secret]`),
+  },
+  {
+    name: "email",
+    regex: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+  },
+  {
+    name: "phone",
+    regex: /(?<![\w+])(?:\+\d{1,3}[\s.-]?\(?\d{1,4}\)?(?:[\s.-]?\d{2,4}){2,4}|\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4})(?![\w])/g,
+  },
+  {
+    name: "high-entropy",
+    regex: new RegExp(`[A-Za-z0-9+_=-]{${HIGH_ENTROPY_MIN_LENGTH},}`, "g"),
+    replace: (m) => (looksLikeSecret(m) ? "[REDACTED:high-entropy]" : null),
+  },
+];
+
+/**
+ * Shannon entropy of a string in bits per character.
+ */
+function entropy(str) {
+  const counts = new Map();
+  for (const ch of str) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let bits = 0;
+  for (const n of counts.values()) {
+    const p = n / str.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+function looksLikeSecret(token) {
+  if (token.includes("REDACTED")) return false;
+  if (!/[0-9]/.test(token) || !/[A-Za-z]/.test(token)) return false;
+  return entropy(token) >= HIGH_ENTROPY_BITS;
+}
+
+/**
+ * Compile a user-defined pattern from config. Accepts a regex source string
+ * or { name, pattern, flags }. Returns null (and logs) if it doesn't compile.
+ */
+function compileUserPattern(spec, index) {
+  const source = typeof spec === "string" ? spec : spec?.pattern;
+  const name = (typeof spec === "object" && spec?.name) || `custom-${index + 1}`;
+  if (!source) return null;
+  const flags = new Set(((typeof spec === "object" && spec.flags) || "").split(""));
+  flags.add("g");
+  try {
+    return { name, regex: new RegExp(source, [...flags].join("")) };
+  } catch (err) {
+    console.error(`[redact] Ignoring invalid pattern "${name}": ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Build the redaction rule set from clawdbot.json. Call once per run and
+ * pass the result to redactText().
+ */
+export function loadRedactionRules(cfg) {
+  const settings = settingsFor(cfg, "redaction");
+  if (!settings.enabled) return [];
+
+  const disabled = new Set(settings.disable);
+  const rules = BUILTIN_DETECTORS.filter((d) => !disabled.has(d.name));
+  const custom = settings.patterns
+    .map(compileUserPattern)
+    .filter(Boolean);
+
+  // Custom patterns run before the generic high-entropy sweep so their
+  // names show up in the output
+  const entropyRule = rules.findIndex((r) => r.name === "high-entropy");
+  if (entropyRule >= 0) {
+    rules.splice(entropyRule, 0, ...custom);
+    return rules;
+  }
+  return [...rules, ...custom];
+}
+
+/**
+ * Redact text with the given rules. Returns { text, count }.
+ */
+export function redactText(text, rules) {
+  if (!text || !rules || rules.length === 0) return { text, count: 0 };
+
+  let count = 0;
+  let result = text;
+  for (const rule of rules) {
+    rule.regex.lastIndex = 0;
+    result = result.replace(rule.regex, (...args) => {
+      const replacement = rule.replace
+        ? rule.replace(...args)
+        : `[REDACTED:${rule.name}]`;
+      if (replacement === null) return args[0];
+      count++;
+      return replacement;
+    });
+  }
+  return { text: result, count };
+}
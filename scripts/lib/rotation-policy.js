@@ -0,0 +1,167 @@
+/**
+ * rotation-policy.js — Decide whether a session should be rotated now
+ *
+ * Policy comes from clawdbot.json, most specific last:
+ *
+ *   "memoryInfra": {
+ *     "rotation": {
+ *       "threshold": 150000,         // rotate at/above this many tokens...
+ *       "idleMinutes": 5,            // ...once the session has been idle this long
+ *       "quietHours": { "start": "09:00", "end": "18:00" },  // no rotation in this window
+ *       "hardCeiling": 185000,       // rotate regardless of idle/quiet hours
+ *       "compactionLimit": 200000,   // where the gateway compacts
+ *       "pollMinutes": 30,           // how often the monitor runs
+ *       "predictive": true,          // rotate early if the next poll would be too late
+ *       "allow": [],                 // if set, only matching keys are eligible
+ *       "deny": ["^agent:.*:cron:", "^agent:.*:subagent:"],
+ *       "rules": [
+ *         { "match": "^agent:.*:slack:channel:", "threshold": 120000, "idleMinutes": 15 }
+ *       ]
+ *     },
+ *     "agents": { "max": { "rotation": { "threshold": 170000 } } }
+ *   }
+ *
+ * Layers apply in order: built-in defaults (ROTATION_THRESHOLD in the
+ * environment replaces the default threshold), memoryInfra.rotation, the
+ * agent's rotation block, then the first rule whose `match` pattern fits
+ * the session key (the agent's own rules are checked before global ones).
+ * Patterns are regular expressions tested against the session key.
+ *
+ * Predictive rotation: when the session's projected token count at the next
+ * poll (from its growth rate, see token-history.js) reaches the compaction
+ * limit, it is rotated now — below threshold, inside quiet hours or not
+ * yet idle — because waiting would mean compaction fires first.
+ */
+
+import { resolveSection } from "./config.js";
+
+const SETTING_KEYS = [
+  "threshold",
+  "idleMinutes",
+  "quietHours",
+  "hardCeiling",
+  "compactionLimit",
+  "pollMinutes",
+  "predictive",
+  "allow",
+  "deny",
+];
+
+function compilePatterns(patterns) {
+  return patterns.map((p) => new RegExp(p));
+}
+
+function pick(block) {
+  return Object.fromEntries(SETTING_KEYS.filter((k) => block?.[k] !== undefined).map((k) => [k, block[k]]));
+}
+
+/**
+ * Resolve the effective policy for one session. `overrides` wins over
+ * everything (e.g. --threshold). Returns { threshold, idleMinutes,
+ * quietHours, hardCeiling, allow, deny, rule } where `rule` names the most
+ * specific layer that applied.
+ */
+export function resolveRotationPolicy(cfg, agentId, sessionKey, overrides = {}) {
+  const { settings, sources } = resolveSection(cfg, "rotation", agentId);
+  const policy = { ...settings };
+  delete policy.rules;
+  const agentWhere = `memoryInfra.agents.${agentId}.rotation`;
+  const layers = new Set(Object.values(sources));
+  let rule = layers.has(agentWhere) ? agentWhere : layers.has("memoryInfra.rotation") ? "memoryInfra.rotation" : "default";
+
+  // The agent's rules are checked before the global ones
+  const globalRules = resolveSection(cfg, "rotation").settings.rules.map((r, i) => ({ r, where: `memoryInfra.rotation.rules[${i}]` }));
+  const rules = sources.rules === agentWhere
+    ? [...settings.rules.map((r, i) => ({ r, where: `${agentWhere}.rules[${i}]` })), ...globalRules]
+    : globalRules;
+  for (const { r, where } of rules) {
+    if (new RegExp(r.match).test(sessionKey)) {
+      Object.assign(policy, pick(r));
+      rule = `${where} (${r.match})`;
+      break;
+    }
+  }
+
+  if (Object.keys(overrides).length > 0) {
+    Object.assign(policy, pick(overrides));
+    rule += ` + command-line ${Object.keys(pick(overrides)).join(", ")}`;
+  }
+
+  return {
+    ...policy,
+    allow: compilePatterns(policy.allow),
+    deny: compilePatterns(policy.deny),
+    rule,
+  };
+}
+
+function minutesOfDay(hhmm) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(hhmm || "");
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * True if `date` (local time) falls inside { start, end }. Windows may
+ * wrap past midnight ("22:00"–"07:00").
+ */
+export function inQuietHours(quietHours, date) {
+  const start = minutesOfDay(quietHours?.start);
+  const end = minutesOfDay(quietHours?.end);
+  if (start === null || end === null || start === end) return false;
+  const now = date.getHours() * 60 + date.getMinutes();
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * Decide what to do with a session under `policy`. `projectedTokens` is
+ * the forecast for the next poll (null if unknown).
+ * Returns { action: "rotate" | "wait" | "skip", reason, mode } where mode
+ * is "ceiling", "predictive" or "reactive" for rotations.
+ */
+export function evaluateRotation(
+  session,
+  policy,
+  { now = new Date(), lastActivityMs = null, projectedTokens = null } = {}
+) {
+  const key = session.key;
+  const tokens = session.totalTokens || 0;
+
+  const denied = policy.deny.find((p) => p.test(key));
+  if (denied) return { action: "skip", reason: `denied by ${denied.source}` };
+  if (policy.allow.length > 0 && !policy.allow.some((p) => p.test(key))) {
+    return { action: "skip", reason: "not in allow list" };
+  }
+
+  if (policy.hardCeiling && tokens >= policy.hardCeiling) {
+    return { action: "rotate", mode: "ceiling", reason: `${tokens} ≥ hard ceiling ${policy.hardCeiling}` };
+  }
+
+  const predicted = policy.predictive && projectedTokens !== null && projectedTokens >= policy.compactionLimit;
+  const predictive = (why) => ({
+    action: "rotate",
+    mode: "predictive",
+    reason: `projected ${projectedTokens} in ${policy.pollMinutes}m ≥ compaction limit ${policy.compactionLimit}${why ? ` (${why})` : ""}`,
+  });
+
+  if (tokens < policy.threshold) {
+    if (predicted) return predictive(`${tokens} < threshold ${policy.threshold}`);
+    return { action: "skip", reason: `${tokens} < threshold ${policy.threshold}` };
+  }
+
+  let wait = null;
+  if (inQuietHours(policy.quietHours, now)) {
+    wait = `quiet hours ${policy.quietHours.start}–${policy.quietHours.end}`;
+  } else if (policy.idleMinutes > 0) {
+    if (lastActivityMs === null) {
+      wait = "last activity unknown, idle check can't pass";
+    } else {
+      const idleMinutes = (now.getTime() - lastActivityMs) / 60000;
+      if (idleMinutes < policy.idleMinutes) {
+        wait = `active ${Math.floor(idleMinutes)}m ago, waiting for ${policy.idleMinutes}m idle`;
+      }
+    }
+  }
+  if (wait) return predicted ? predictive(`overrides: ${wait}`) : { action: "wait", reason: wait };
+
+  return { action: "rotate", mode: "reactive", reason: `${tokens} ≥ threshold ${policy.threshold}` };
+}
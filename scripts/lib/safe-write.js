@@ -0,0 +1,183 @@
+/**
+ * safe-write.js — Atomic, locked writes for memory and state files
+ *
+ * Memory files are written by several processes at once: the checkpoint
+ * script or daemon, the rotation monitor, the session-summary hook and the
+ * agent itself. Everything in this package writes through these helpers:
+ *
+ *   writeFileAtomic()  — write a temp file in the same directory, fsync,
+ *                        rename over the target. Readers (e.g. bootstrap
+ *                        injection) see the old or the new file, never half.
+ *   appendFileSafe()   — a true O_APPEND append, so lines another process
+ *                        appended in the meantime are never overwritten.
+ *   withFileLock()     — advisory lock (<file>.lock, created O_EXCL) around
+ *                        a read-modify-write. A lock whose owner process is
+ *                        gone, or that is older than `staleMs`, is broken.
+ *   updateFileLocked() — lock, read, transform, atomic write.
+ *
+ * Locks only coordinate writers that use them; the agent's own writes are
+ * protected by the atomic rename and true appends instead. Files are
+ * created 0600 and directories 0700, as everywhere else in the package.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import os from "node:os";
+import { randomBytes } from "node:crypto";
+
+const LOCK_TIMEOUT_MS = 10 * 1000;
+// No locked section takes anywhere near this long
+const LOCK_STALE_MS = 60 * 1000;
+const LOCK_RETRY_MS = 50;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * mkdir -p, then restrict to the owner.
+ */
+export async function ensurePrivateDir(dir) {
+  await fs.mkdir(dir, { recursive: true });
+  await fs.chmod(dir, 0o700);
+}
+
+/**
+ * Replace `file` with `content` atomically (temp file + rename).
+ */
+export async function writeFileAtomic(file, content, { mode = 0o600 } = {}) {
+  const tmp = path.join(
+    path.dirname(file),
+    `.${path.basename(file)}.${process.pid}.${randomBytes(4).toString("hex")}.tmp`
+  );
+  try {
+    const handle = await fs.open(tmp, "wx", mode);
+    try {
+      await handle.writeFile(content, "utf-8");
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    // The umask may have narrowed `mode`; set it exactly
+    await fs.chmod(tmp, mode);
+    await fs.rename(tmp, file);
+  } catch (err) {
+    await fs.rm(tmp, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Append `content` to `file` (created if missing).
+ */
+export async function appendFileSafe(file, content, { mode = 0o600 } = {}) {
+  await fs.appendFile(file, content, { encoding: "utf-8", mode });
+  await fs.chmod(file, mode);
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+}
+
+/**
+ * A lock is stale if its owner is a dead process on this host, or it has
+ * been held longer than `staleMs`.
+ */
+async function isStaleLock(lockPath, staleMs) {
+  let stat;
+  try {
+    stat = await fs.stat(lockPath);
+  } catch {
+    return false;
+  }
+  let owner = null;
+  try {
+    owner = JSON.parse(await fs.readFile(lockPath, "utf-8"));
+  } catch {
+    // Being written right now, or not ours to interpret
+  }
+  if (owner?.host === os.hostname() && Number.isInteger(owner.pid) && !processAlive(owner.pid)) return true;
+  return Date.now() - stat.mtimeMs > staleMs;
+}
+
+async function acquireLock(lockPath, { timeoutMs, staleMs }) {
+  const token = randomBytes(8).toString("hex");
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      const handle = await fs.open(lockPath, "wx", 0o600);
+      try {
+        await handle.writeFile(
+          JSON.stringify({ pid: process.pid, host: os.hostname(), token, since: new Date().toISOString() })
+        );
+      } finally {
+        await handle.close();
+      }
+      return token;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+
+    if (await isStaleLock(lockPath, staleMs)) {
+      await fs.rm(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out after ${timeoutMs}ms waiting for lock ${lockPath}`);
+    }
+    await sleep(LOCK_RETRY_MS + Math.floor(Math.random() * LOCK_RETRY_MS));
+  }
+}
+
+async function releaseLock(lockPath, token) {
+  try {
+    const owner = JSON.parse(await fs.readFile(lockPath, "utf-8"));
+    // Only remove our own lock — it may have been broken as stale and retaken
+    if (owner.token === token) await fs.rm(lockPath, { force: true });
+  } catch {
+    // Already gone
+  }
+}
+
+/**
+ * Run `fn` while holding the advisory lock for `file`. Throws if the lock
+ * can't be taken within `timeoutMs`.
+ */
+export async function withFileLock(file, fn, { timeoutMs = LOCK_TIMEOUT_MS, staleMs = LOCK_STALE_MS } = {}) {
+  const lockPath = `${file}.lock`;
+  const token = await acquireLock(lockPath, { timeoutMs, staleMs });
+  try {
+    return await fn();
+  } finally {
+    await releaseLock(lockPath, token);
+  }
+}
+
+/**
+ * Locked read-modify-write. `update` receives the current content (null if
+ * the file doesn't exist) and returns the new content, or null to leave
+ * the file alone. Returns what was written, or null.
+ */
+export async function updateFileLocked(file, update, { mode = 0o600, ...lockOptions } = {}) {
+  return withFileLock(
+    file,
+    async () => {
+      let existing = null;
+      try {
+        existing = await fs.readFile(file, "utf-8");
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+      const next = await update(existing);
+      if (next === null || next === undefined) return null;
+      await writeFileAtomic(file, next, { mode });
+      return next;
+    },
+    lockOptions
+  );
+}
@@ -0,0 +1,93 @@
+/**
+ * session-summary.js — Structured session summary rendering
+ *
+ * Shared by the session-summary hook (a summary of the session a /new just
+ * ended) and memory-replay.js (summaries of historical sessions that never
+ * got one). Turns the tail of a transcript into a redacted conversation
+ * excerpt plus the messages observation extraction works from, and renders
+ * the "## Session Conversation" / "## Observations" body of a summary file.
+ */
+
+import { redactText } from "./redact.js";
+import { parseTranscript } from "./transcript.js";
+import { formatObservation } from "./observations.js";
+
+/**
+ * Redacted conversation content from transcript lines (any format
+ * transcript.js reads). Returns { content, messages, redactions }:
+ * `content` is the excerpt written into the summary, `messages` keeps the
+ * full (redacted) text and timestamp of each message for observation
+ * extraction. Slash commands are left out.
+ */
+export function summarizeSession(lines, rules = [], format = "auto") {
+  const excerpt = [];
+  const messages = [];
+  let redactions = 0;
+  for (const event of parseTranscript(lines, { format }).events) {
+    if (event.kind !== "message" || (event.role !== "user" && event.role !== "assistant")) continue;
+    if (!event.text || event.text.startsWith("/")) continue;
+    const redacted = redactText(event.text, rules);
+    redactions += redacted.count;
+    excerpt.push(`${event.role}: ${redacted.text.slice(0, 500)}`);
+    messages.push({ role: event.role, text: redacted.text, timestamp: event.timestamp });
+  }
+  return { content: excerpt.join("\n\n"), messages, redactions };
+}
+
+/**
+ * Build a structured template from session content, the observations
+ * extracted from it and the earlier TODOs it closed.
+ */
+export function buildStructuredTemplate(sessionContent, observations = [], closedTodos = []) {
+  const todoMatches = sessionContent.match(/- \[ \].+/g) || [];
+  const completedMatches = sessionContent.match(/- \[x\].+/gi) || [];
+
+  const parts = [
+    "## Session Conversation",
+    "",
+    sessionContent,
+    "",
+    "---",
+    "",
+    "## Observations",
+    "_Auto-extracted from the conversation; refine as needed:_",
+    "",
+  ];
+
+  for (const obs of observations) {
+    parts.push(formatObservation(obs));
+  }
+  if (observations.length > 0) parts.push("");
+
+  if (completedMatches.length > 0) {
+    parts.push("### Completed");
+    completedMatches.forEach((m) => parts.push(m));
+    parts.push("");
+    for (const { item } of closedTodos) {
+      parts.push(formatObservation({ type: "TODO", id: item.id, status: "DONE", text: `${item.text} _(from ${item.file})_` }));
+    }
+    if (closedTodos.length > 0) parts.push("");
+  }
+
+  if (todoMatches.length > 0) {
+    parts.push("### Pending");
+    todoMatches.forEach((m) =>
+      parts.push(formatObservation({ type: "TODO", text: m.replace(/^- \[ \] /, "") }))
+    );
+    parts.push("");
+  }
+
+  if (observations.length === 0) {
+    parts.push(
+      "<!-- Add observations as you review, one marker line each:",
+      "DECISION: ...",
+      "GOTCHA: ...",
+      "SOLUTION: ...",
+      "PATTERN: ...",
+      "FACT: ...",
+      "-->"
+    );
+  }
+
+  return parts.join("\n");
+}
@@ -0,0 +1,188 @@
+/**
+ * shared-memory.js — Team memory pool shared across agents
+ *
+ * Observations normally live only in the workspace of the agent that made
+ * them. Promoted observations are copied into a shared pool under
+ * $CLAWDBOT_HOME/shared-memory/entries.jsonl, one JSON entry per line,
+ * with provenance (source agent, date, file).
+ *
+ * What gets promoted and what each agent receives is configured in
+ * clawdbot.json, with per-agent overrides:
+ *
+ *   "memoryInfra": {
+ *     "shared": {
+ *       "publish":   { "types": ["GOTCHA"], "tags": ["shared"] },
+ *       "subscribe": { "types": [], "tags": [], "agents": [] }
+ *     },
+ *     "agents": { "max": { "shared": { "subscribe": { "tags": ["payments"] } } } }
+ *   }
+ *
+ * An observation is published if its type is in publish.types or it
+ * carries one of publish.tags (e.g. "🔴 [GOTCHA] ... #shared"). An entry
+ * reaches a subscriber if it matches subscribe.types or subscribe.tags
+ * (both empty = everything) and comes from one of subscribe.agents
+ * (empty = any agent). Agents never receive their own entries.
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { clawdbotHome, settingsFor } from "./config.js";
+import { BACKREF_PATTERN, MARKERS, MARKER_PATTERN, observationLines, parseObservationLine } from "./observations.js";
+import { appendFileSafe, ensurePrivateDir, withFileLock } from "./safe-write.js";
+
+const TAG_PATTERN = /(^|\s)#([a-z][\w-]*)/gi;
+
+/**
+ * Directory of the shared pool. Honors CLAWDBOT_HOME.
+ */
+export function sharedMemoryDir() {
+  return path.join(clawdbotHome(), "shared-memory");
+}
+
+function entriesPath() {
+  return path.join(sharedMemoryDir(), "entries.jsonl");
+}
+
+/**
+ * Merge shared settings: defaults < memoryInfra.shared < per-agent override.
+ */
+export function resolveSharedSettings(cfg, agentId) {
+  return settingsFor(cfg, "shared", agentId);
+}
+
+/**
+ * Stable id for an entry: same type and text from the same agent is the
+ * same entry, however many times it's promoted.
+ */
+function entryId(agentId, type, text) {
+  const normalized = text.toLowerCase().replace(/\s+/g, " ").trim();
+  return crypto.createHash("sha256").update(`${agentId}\n${type}\n${normalized}`).digest("hex").slice(0, 12);
+}
+
+/**
+ * Find observation lines in `content` that the publish rules select.
+ * Returns [{ type, text, tags, date }]; tags are lowercased, text has
+ * tags and back-references stripped.
+ */
+export function findPublishable(content, publish, fallbackDate) {
+  const types = new Set((publish.types || []).map((t) => t.toUpperCase()));
+  const tags = new Set((publish.tags || []).map((t) => t.toLowerCase()));
+  const found = [];
+
+  for (const line of observationLines(content)) {
+    const marker = line.match(MARKER_PATTERN);
+    // Status lines ("[TODO:3f9c0a DONE]") close an observation and
+    // placeholders ("🔴 [GOTCHA] ...") record none; nothing to share
+    if (!marker || marker[3] || !parseObservationLine(line)) continue;
+    let body = line.slice(marker.index + marker[0].length);
+
+    let date = fallbackDate;
+    const backref = body.match(BACKREF_PATTERN);
+    if (backref) {
+      date = backref[2].split("T")[0];
+      body = body.slice(0, backref.index);
+    }
+
+    const lineTags = [...body.matchAll(TAG_PATTERN)].map((m) => m[2].toLowerCase());
+    if (!types.has(marker[1]) && !lineTags.some((t) => tags.has(t))) continue;
+
+    const text = body.replace(TAG_PATTERN, "$1").replace(/\s+/g, " ").trim();
+    if (text) found.push({ type: marker[1], text, tags: [...new Set(lineTags)], date });
+  }
+  return found;
+}
+
+/**
+ * Load every entry in the pool, oldest first.
+ */
+export async function loadSharedEntries() {
+  let raw;
+  try {
+    raw = await fs.readFile(entriesPath(), "utf-8");
+  } catch {
+    return [];
+  }
+  const entries = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Skip a torn or hand-edited line
+    }
+  }
+  return entries;
+}
+
+/**
+ * Add observations from one agent to the pool, skipping ones already
+ * there. `observations` is findPublishable() output. Returns the entries
+ * added (not written with `dryRun`).
+ */
+export async function promoteObservations(agentId, observations, { sourceFile = null, dryRun = false } = {}) {
+  const selectNew = async () => {
+    const existing = new Set((await loadSharedEntries()).map((e) => e.id));
+    const added = [];
+    for (const obs of observations) {
+      const id = entryId(agentId, obs.type, obs.text);
+      if (existing.has(id)) continue;
+      existing.add(id);
+      added.push({
+        id,
+        type: obs.type,
+        text: obs.text,
+        tags: obs.tags,
+        agent: agentId,
+        date: obs.date || new Date().toISOString().split("T")[0],
+        source: sourceFile,
+        promotedAt: new Date().toISOString(),
+      });
+    }
+    return added;
+  };
+
+  if (dryRun) return selectNew();
+
+  // Locked so a hook and share-memory.js promoting at once can't both add
+  // the same entry
+  await ensurePrivateDir(sharedMemoryDir());
+  return withFileLock(entriesPath(), async () => {
+    const added = await selectNew();
+    if (added.length > 0) {
+      await appendFileSafe(entriesPath(), added.map((e) => JSON.stringify(e)).join("\n") + "\n");
+    }
+    return added;
+  });
+}
+
+/**
+ * Entries an agent subscribes to, newest first, excluding its own.
+ */
+export function selectSubscribed(entries, agentId, subscribe) {
+  const types = new Set((subscribe.types || []).map((t) => t.toUpperCase()));
+  const tags = new Set((subscribe.tags || []).map((t) => t.toLowerCase()));
+  const agents = new Set(subscribe.agents || []);
+  const unfiltered = types.size === 0 && tags.size === 0;
+
+  return entries
+    .filter((e) => e.agent !== agentId)
+    .filter((e) => agents.size === 0 || agents.has(e.agent))
+    .filter((e) => unfiltered || types.has(e.type) || (e.tags || []).some((t) => tags.has(t)))
+    .sort((a, b) => b.date.localeCompare(a.date) || b.promotedAt.localeCompare(a.promotedAt));
+}
+
+/**
+ * Provenance label for an entry: "max, 2026-01-15".
+ */
+export function entryProvenance(entry) {
+  return `${entry.agent}, ${entry.date}`;
+}
+
+/**
+ * Render an entry as a marker line with tags and provenance.
+ */
+export function formatSharedEntry(entry) {
+  const tags = entry.tags?.length ? ` ${entry.tags.map((t) => `#${t}`).join(" ")}` : "";
+  return `${MARKERS[entry.type] || ""} [${entry.type}] ${entry.text}${tags} — _${entryProvenance(entry)}_`;
+}
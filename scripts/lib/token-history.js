@@ -0,0 +1,120 @@
+/**
+ * token-history.js — Per-session token history and growth forecasting
+ *
+ * The rotation monitor records each session key's token count on every
+ * poll in $CLAWDBOT_HOME/memory-infra/token-history.json:
+ *
+ *   { "sessions": { "<key>": {
+ *       "sessionId": "...",                      // samples belong to this session
+ *       "samples": [{ "t": <ms>, "tokens": N }], // oldest first
+ *       "rotations": [{ "t", "sessionId", "tokens", "projected", "mode" }]
+ *   } } }
+ *
+ * Samples restart when the key's session id changes (rotation, /new).
+ * growthRate() fits a line through the recent samples; projectTokens()
+ * extrapolates it to the next poll so the monitor can rotate before a
+ * fast-growing session hits compaction.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { clawdbotHome } from "./config.js";
+import { ensurePrivateDir, writeFileAtomic } from "./safe-write.js";
+
+const MAX_SAMPLES = 48;
+const MAX_ROTATIONS = 20;
+// Samples used for the growth fit
+const RATE_WINDOW_SAMPLES = 6;
+// Forget keys not seen for this long
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+function historyPath() {
+  return path.join(clawdbotHome(), "memory-infra", "token-history.json");
+}
+
+/**
+ * Load history; missing or corrupt history starts empty.
+ */
+export async function loadTokenHistory() {
+  try {
+    const history = JSON.parse(await fs.readFile(historyPath(), "utf-8"));
+    return { sessions: history?.sessions || {} };
+  } catch {
+    return { sessions: {} };
+  }
+}
+
+/**
+ * Persist history, dropping keys that have gone quiet.
+ */
+export async function saveTokenHistory(history, now = Date.now()) {
+  for (const [key, entry] of Object.entries(history.sessions)) {
+    const last = entry.samples.at(-1)?.t || entry.rotations.at(-1)?.t || 0;
+    if (now - last > RETENTION_MS) delete history.sessions[key];
+  }
+  const file = historyPath();
+  await ensurePrivateDir(path.dirname(file));
+  await writeFileAtomic(file, JSON.stringify(history, null, 2) + "\n");
+}
+
+/**
+ * Add a sample for a session from sessions.list. Returns the key's entry.
+ */
+export function recordSample(history, s, now = Date.now()) {
+  let entry = history.sessions[s.key];
+  if (!entry) {
+    entry = history.sessions[s.key] = { sessionId: s.sessionId || null, samples: [], rotations: [] };
+  }
+  if (entry.sessionId !== (s.sessionId || null)) {
+    entry.sessionId = s.sessionId || null;
+    entry.samples = [];
+  }
+  entry.samples.push({ t: now, tokens: s.totalTokens || 0 });
+  if (entry.samples.length > MAX_SAMPLES) entry.samples = entry.samples.slice(-MAX_SAMPLES);
+  return entry;
+}
+
+/**
+ * Note a rotation. `mode` is "predictive", "reactive" or "ceiling".
+ * Samples restart for the rotation's new session, if known.
+ */
+export function recordRotation(history, key, rotation) {
+  const entry = history.sessions[key] || (history.sessions[key] = { sessionId: null, samples: [], rotations: [] });
+  entry.rotations.push(rotation);
+  if (rotation.newSessionId) {
+    entry.sessionId = rotation.newSessionId;
+    entry.samples = [];
+  }
+  if (entry.rotations.length > MAX_ROTATIONS) entry.rotations = entry.rotations.slice(-MAX_ROTATIONS);
+}
+
+/**
+ * Growth rate in tokens per minute: least-squares slope over the last few
+ * samples, never negative. Null with fewer than two samples.
+ */
+export function growthRate(samples) {
+  const recent = samples.slice(-RATE_WINDOW_SAMPLES);
+  if (recent.length < 2) return null;
+  const xs = recent.map((s) => (s.t - recent[0].t) / 60000);
+  const ys = recent.map((s) => s.tokens);
+  const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+  const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+  let num = 0;
+  let den = 0;
+  for (let i = 0; i < xs.length; i++) {
+    num += (xs[i] - meanX) * (ys[i] - meanY);
+    den += (xs[i] - meanX) ** 2;
+  }
+  if (den === 0) return null;
+  return Math.max(0, num / den);
+}
+
+/**
+ * Projected token count `minutes` after the latest sample, or null when
+ * there isn't enough history to estimate growth.
+ */
+export function projectTokens(samples, minutes) {
+  const rate = growthRate(samples);
+  if (rate === null) return null;
+  return Math.round(samples.at(-1).tokens + rate * minutes);
+}
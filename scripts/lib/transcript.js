@@ -0,0 +1,235 @@
+/**
+ * transcript.js — One reader for every JSONL transcript format
+ *
+ * Turns transcript lines into a flat list of events, so the checkpoint,
+ * rotation handoff, session summary and daemon all read a transcript the
+ * same way. Each line is handled by a format adapter:
+ *
+ *   clawdbot   — gateway sessions: {type:"message", message:{role, content}},
+ *                {type:"compaction"}, {type:"model_change"}, ...
+ *   anthropic  — Messages API exports: {role, content:[{type:"text"|"tool_use"|"tool_result"}]}
+ *   openai     — chat logs: {role, content, tool_calls}, {role:"tool", tool_call_id}
+ *
+ * Events (adapter interface version 1):
+ *
+ *   { kind: "message", role: "user"|"assistant"|"system", text, timestamp, model }
+ *   { kind: "tool_call", id, name, input, timestamp }
+ *   { kind: "tool_result", id, content, isError, timestamp }
+ *   { kind: "compaction", summary, tokensBefore, tokensReclaimed, durationMs, timestamp }
+ *   { kind: "model_change", provider, model, timestamp }
+ *
+ * `text` joins every text block of a message; thinking blocks are dropped.
+ * An adapter is { name, version, detect(entry), parse(entry) → events };
+ * more can be added with registerTranscriptAdapter().
+ *
+ * Config (clawdbot.json, per-agent overrides under memoryInfra.agents.<id>.transcripts):
+ *   "memoryInfra": { "transcripts": {
+ *     "format": "auto"   // or "clawdbot", "anthropic", "openai", a registered adapter
+ *   } }
+ *
+ * With "auto", each line goes to the first adapter that recognizes it, so
+ * a line ambiguous between formats (a plain {role, content:"text"}) reads
+ * the same whichever adapter takes it.
+ */
+
+import { sectionDefaults, settingsFor } from "./config.js";
+
+export const TRANSCRIPT_ADAPTER_VERSION = 1;
+
+export const TRANSCRIPT_DEFAULTS = sectionDefaults("transcripts");
+
+/**
+ * Flatten message content (a string or content blocks) to text.
+ * Blocks of type text, input_text and output_text are joined by newlines.
+ */
+export function contentText(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return "";
+  return content
+    .filter((c) => c && ["text", "input_text", "output_text"].includes(c.type) && c.text)
+    .map((c) => c.text)
+    .join("\n");
+}
+
+// Blocks shared by Clawdbot and Anthropic content arrays
+function blockEvents(content, timestamp) {
+  const events = [];
+  if (!Array.isArray(content)) return events;
+  for (const c of content) {
+    if (!c) continue;
+    if (c.type === "tool_use") {
+      events.push({ kind: "tool_call", id: c.id || null, name: c.name, input: c.input, timestamp });
+    } else if (c.type === "toolCall") {
+      events.push({ kind: "tool_call", id: c.id || null, name: c.name, input: c.arguments, timestamp });
+    } else if (c.type === "tool_result") {
+      events.push({ kind: "tool_result", id: c.tool_use_id, content: contentText(c.content), isError: !!c.is_error, timestamp });
+    }
+  }
+  return events;
+}
+
+function messageEvent(role, content, timestamp, model) {
+  return { kind: "message", role, text: contentText(content), timestamp, model: model || null };
+}
+
+function isoTimestamp(value) {
+  if (typeof value === "number") return new Date(value < 1e12 ? value * 1000 : value).toISOString();
+  return typeof value === "string" ? value : null;
+}
+
+const CLAWDBOT_ENTRY_TYPES = new Set(["session", "message", "compaction", "model_change", "thinking_level_change"]);
+
+const clawdbotAdapter = {
+  name: "clawdbot",
+  version: TRANSCRIPT_ADAPTER_VERSION,
+  detect: (entry) => CLAWDBOT_ENTRY_TYPES.has(entry.type) && (entry.type !== "message" || !!entry.message),
+  parse(entry) {
+    const timestamp = entry.timestamp || null;
+    if (entry.type === "compaction") {
+      return [
+        {
+          kind: "compaction",
+          summary: entry.summary || "",
+          tokensBefore: entry.tokensBefore ?? null,
+          tokensReclaimed: entry.tokensReclaimed ?? null,
+          durationMs: entry.durationMs ?? null,
+          timestamp,
+        },
+      ];
+    }
+    if (entry.type === "model_change") {
+      return [{ kind: "model_change", provider: entry.provider || null, model: entry.modelId || entry.model || null, timestamp }];
+    }
+    if (entry.type !== "message") return [];
+
+    const msg = entry.message;
+    // Tool results arrive as their own message
+    if (msg.role === "toolResult") {
+      return [{ kind: "tool_result", id: msg.toolCallId, content: contentText(msg.content), isError: !!msg.isError, timestamp }];
+    }
+    if (!["user", "assistant", "system"].includes(msg.role)) return [];
+    return [messageEvent(msg.role, msg.content, timestamp, msg.model), ...blockEvents(msg.content, timestamp)];
+  },
+};
+
+const anthropicAdapter = {
+  name: "anthropic",
+  version: TRANSCRIPT_ADAPTER_VERSION,
+  detect: (entry) =>
+    (entry.type === "message" && typeof entry.role === "string") ||
+    (["user", "assistant"].includes(entry.role) &&
+      Array.isArray(entry.content) &&
+      entry.content.some((c) => ["text", "tool_use", "tool_result", "thinking"].includes(c?.type))),
+  parse(entry) {
+    const timestamp = isoTimestamp(entry.timestamp ?? entry.created_at);
+    return [messageEvent(entry.role, entry.content, timestamp, entry.model), ...blockEvents(entry.content, timestamp)];
+  },
+};
+
+function parseArguments(args) {
+  if (typeof args !== "string") return args;
+  try {
+    return JSON.parse(args);
+  } catch {
+    return args;
+  }
+}
+
+const openaiAdapter = {
+  name: "openai",
+  version: TRANSCRIPT_ADAPTER_VERSION,
+  detect: (entry) =>
+    ["system", "developer", "user", "assistant", "tool"].includes(entry.role) &&
+    ("content" in entry || Array.isArray(entry.tool_calls)),
+  parse(entry) {
+    const timestamp = isoTimestamp(entry.timestamp ?? entry.created);
+    if (entry.role === "tool") {
+      return [{ kind: "tool_result", id: entry.tool_call_id, content: contentText(entry.content), isError: false, timestamp }];
+    }
+    const role = entry.role === "developer" ? "system" : entry.role;
+    const events = [messageEvent(role, entry.content, timestamp, entry.model)];
+    for (const call of entry.tool_calls || []) {
+      events.push({
+        kind: "tool_call",
+        id: call.id || null,
+        name: call.function?.name || call.name,
+        input: parseArguments(call.function?.arguments ?? call.arguments),
+        timestamp,
+      });
+    }
+    return events;
+  },
+};
+
+// In detection order
+const adapters = [clawdbotAdapter, anthropicAdapter, openaiAdapter];
+
+/**
+ * Add a transcript format. Registered adapters are tried before the
+ * built-in ones; one with an existing name replaces it.
+ */
+export function registerTranscriptAdapter(adapter) {
+  if (adapter?.version !== TRANSCRIPT_ADAPTER_VERSION) {
+    throw new Error(
+      `transcript adapter ${adapter?.name || "?"} has version ${adapter?.version}, expected ${TRANSCRIPT_ADAPTER_VERSION}`
+    );
+  }
+  if (typeof adapter.name !== "string" || typeof adapter.detect !== "function" || typeof adapter.parse !== "function") {
+    throw new Error("transcript adapter needs a name, detect(entry) and parse(entry)");
+  }
+  const existing = adapters.findIndex((a) => a.name === adapter.name);
+  if (existing >= 0) adapters.splice(existing, 1);
+  adapters.unshift(adapter);
+}
+
+export function transcriptFormats() {
+  return adapters.map((a) => a.name);
+}
+
+/**
+ * Merge transcript settings: defaults < memoryInfra.transcripts < per-agent override
+ */
+export function resolveTranscriptSettings(cfg, agentId) {
+  const settings = settingsFor(cfg, "transcripts", agentId);
+  if (settings.format !== "auto" && !adapters.some((a) => a.name === settings.format)) {
+    console.error(`[transcript] Unknown transcript format "${settings.format}" (known: ${transcriptFormats().join(", ")}), detecting automatically`);
+    settings.format = "auto";
+  }
+  return settings;
+}
+
+/**
+ * Parse transcript lines into events. Malformed and unrecognized lines are
+ * skipped. Returns { events, format } where format is the adapter that
+ * handled the last recognized line (null if none).
+ */
+export function parseTranscript(lines, { format = "auto" } = {}) {
+  const candidates = format === "auto" ? adapters : adapters.filter((a) => a.name === format);
+  if (candidates.length === 0) throw new Error(`unknown transcript format ${format}`);
+
+  const events = [];
+  let last = null;
+  for (const line of lines) {
+    if (!line || !line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (!entry || typeof entry !== "object") continue;
+      const adapter = candidates.find((a) => a.detect(entry));
+      if (!adapter) continue;
+      events.push(...adapter.parse(entry));
+      last = adapter;
+    } catch {
+      // Skip malformed lines
+    }
+  }
+  return { events, format: last?.name || null };
+}
+
+/**
+ * True if a line holds a user or assistant message with text.
+ */
+export function isConversationLine(line, format = "auto") {
+  return parseTranscript([line], { format }).events.some(
+    (e) => e.kind === "message" && (e.role === "user" || e.role === "assistant") && e.text
+  );
+}
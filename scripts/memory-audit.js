@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+/**
+ * memory-audit.js — Query the memory audit log
+ *
+ * Prints a timeline of rotations, checkpoints, session summaries and
+ * bootstrap injections from $CLAWDBOT_HOME/memory-infra/audit.jsonl and
+ * its rotated predecessors (see lib/audit-log.js), newest last, with the files each action wrote and
+ * their sizes at the time.
+ *
+ * Usage: node memory-audit.js [--agent <id>] [--action rotate,checkpoint]
+ *          [--key <regex>] [--since 7d|YYYY-MM-DD] [--until ...]
+ *          [--limit N] [--json]
+ *
+ * Actions: rotate, rotate-failed, handoff-failed (session-rotation-monitor),
+ * checkpoint, compaction-alert (memory-checkpoint), summary (session-summary hook),
+ * inject (memory-index-inject hook), consolidate (memory-consolidate),
+ * replay (memory-replay).
+ */
+
+import path from "node:path";
+import { auditLogPath, parseAuditTime, streamAuditEvents } from "./lib/audit-log.js";
+
+const DEFAULT_LIMIT = 50;
+
+// How a checkpoint event's daily log outcome reads in the timeline
+const DAILY_OUTCOMES = {
+  appended: "daily log appended",
+  duplicate: "range already in daily log",
+  deferred: "daily log deferred (min interval)",
+  failed: "daily log append failed",
+};
+
+function argValue(flag) {
+  const i = process.argv.indexOf(flag);
+  return i >= 0 ? process.argv[i + 1] : null;
+}
+
+function fail(message) {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return "missing";
+  return bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${bytes} B`;
+}
+
+function shortId(id) {
+  return id ? String(id).slice(0, 8) : "?";
+}
+
+function plural(n, word, pluralWord = `${word}s`) {
+  return `${n} ${n === 1 ? word : pluralWord}`;
+}
+
+function listOrNone(items) {
+  return items && items.length > 0 ? items.join(", ") : "none";
+}
+
+/**
+ * One-line description of an event, plus optional detail lines.
+ */
+function describe(event) {
+  const tokens = event.tokens !== null && event.tokens !== undefined ? `, ${event.tokens} tokens` : "";
+  switch (event.action) {
+    case "rotate":
+      return {
+        line: `${event.sessionKey} ${shortId(event.sessionId)} → ${shortId(event.newSessionId)}${tokens} (${event.mode}: ${event.reason})`,
+        details: [`rule: ${event.rule}`],
+      };
+    case "rotate-failed":
+    case "handoff-failed":
+      return { line: `${event.sessionKey} ${shortId(event.sessionId)}${tokens}: ${event.error}`, details: [] };
+    case "checkpoint": {
+      const conversations = event.conversations || [];
+      const newMessages = conversations.reduce((sum, c) => sum + (c.newMessages || 0), 0);
+      // Older events only carry dailyAppended
+      const daily = DAILY_OUTCOMES[event.daily || (event.dailyAppended ? "appended" : "")];
+      return {
+        line: `${conversations.length} conversations, ${newMessages} new messages${daily ? `, ${daily}` : ""}${event.error ? ` — error: ${event.error}` : ""}`,
+        details: conversations.map(
+          (c) =>
+            `${c.sessionKey || shortId(c.sessionId)}${c.tokens !== null && c.tokens !== undefined ? ` (${c.tokens} tokens)` : ""}: ${c.messages} messages, ${c.actions} tool calls (${c.newMessages} / ${c.newActions} new)`
+        ),
+      };
+    }
+    case "compaction-alert":
+      return {
+        line: `${event.sessionKey || shortId(event.sessionId)}${event.tokensBefore ? ` at ${event.tokensBefore} tokens` : ""}: ${event.reason}`,
+        details: [`recovered ${plural(event.recoveredMessages || 0, "message")} into ${event.recoveryFile ? path.basename(event.recoveryFile) : "nothing"}`],
+      };
+    case "summary":
+      return {
+        line: `${event.sessionKey} ${shortId(event.sessionId)}${tokens}: ${event.messages} messages, ${event.observations} observations, ${event.sharedPromoted} shared`,
+        details: event.closedTodos?.length > 0 ? [`closed TODOs: ${event.closedTodos.join(", ")}`] : [],
+      };
+    case "inject": {
+      const details = [];
+      if (event.activeContext?.truncated?.length > 0 || event.activeContext?.dropped?.length > 0) {
+        details.push(
+          `ACTIVE_CONTEXT: truncated ${listOrNone(event.activeContext.truncated)}; dropped ${listOrNone(event.activeContext.dropped)}`
+        );
+      }
+      if (event.index?.dropped?.length > 0) details.push(`INDEX dropped: ${listOrNone(event.index.dropped)}`);
+      return {
+        line: `${event.sessionKey || "?"}: ~${event.injectedTokens}/${event.budget} tokens from ${formatBytes(event.memoryBytes)} of memory`,
+        details,
+      };
+    }
+    case "consolidate":
+      return {
+        line: `${plural(event.archived, "file")} (${formatBytes(event.archivedBytes)}) older than ${event.digestAfterDays} days into ${plural(event.digests?.length || 0, `${event.period}ly digest`)}`,
+        details: (event.digests || []).map((d) => `${d.file}: ${plural(d.files, "file")}, ${plural(d.observations, "new observation")}`),
+      };
+    case "replay":
+      return {
+        line: `${plural(event.transcripts, "transcript")}${event.since ? ` since ${event.since}` : ""} into ${plural(event.days?.length || 0, "daily log")} and ${plural(event.summaries?.length || 0, "summary", "summaries")}`,
+        details: [
+          ...(event.days || []).map((d) => `${d.date}.md: ${plural(d.entries, "entry", "entries")}`),
+          ...(event.summaries || []).map((s) => `${s.file}: ${s.sessionKey || shortId(s.sessionId)}, ${plural(s.observations, "observation")}`),
+        ],
+      };
+    default: {
+      const { ts, source, action, agent, files, ...rest } = event;
+      return { line: JSON.stringify(rest), details: [] };
+    }
+  }
+}
+
+function printTimeline(events) {
+  let day = null;
+  for (const event of events) {
+    const t = new Date(event.ts);
+    const eventDay = `${t.getFullYear()}-${pad(t.getMonth() + 1)}-${pad(t.getDate())}`;
+    if (eventDay !== day) {
+      day = eventDay;
+      console.log(`\n── ${day} ──`);
+    }
+    const time = `${pad(t.getHours())}:${pad(t.getMinutes())}:${pad(t.getSeconds())}`;
+    const { line, details } = describe(event);
+    console.log(`${time}  ${event.agent || "?"}  ${event.action}  ${line}`);
+    for (const detail of details) console.log(`          ${detail}`);
+    if (event.files?.length > 0) {
+      console.log(
+        `          files: ${event.files.map((f) => `${path.basename(f.path)} (${formatBytes(f.bytes)})`).join(", ")}`
+      );
+    }
+  }
+}
+
+async function main() {
+  const since = parseAuditTime(argValue("--since"));
+  if (argValue("--since") && since === null) fail(`invalid --since ${argValue("--since")}`);
+  const until = parseAuditTime(argValue("--until"));
+  if (argValue("--until") && until === null) fail(`invalid --until ${argValue("--until")}`);
+
+  let key = null;
+  if (argValue("--key")) {
+    try {
+      key = new RegExp(argValue("--key"));
+    } catch (err) {
+      fail(`invalid --key pattern: ${err.message}`);
+    }
+  }
+
+  const limit = argValue("--limit") ? parseInt(argValue("--limit"), 10) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1) fail(`invalid --limit ${argValue("--limit")}`);
+
+  const actions = argValue("--action") ? argValue("--action").split(",").map((a) => a.trim()) : null;
+  // Only the last `limit` matches are kept while the log streams past
+  const shown = [];
+  let matched = 0;
+  for await (const event of streamAuditEvents({ agent: argValue("--agent"), actions, key, since, until })) {
+    matched++;
+    shown.push(event);
+    if (shown.length > limit) shown.shift();
+  }
+
+  if (process.argv.includes("--json")) {
+    console.log(JSON.stringify(shown, null, 2));
+    return;
+  }
+
+  if (shown.length === 0) {
+    console.log(`No matching events in ${auditLogPath()}`);
+    return;
+  }
+
+  const omitted = matched - shown.length;
+  console.log(
+    `${shown.length} event${shown.length === 1 ? "" : "s"}${omitted > 0 ? ` (${omitted} earlier omitted, use --limit)` : ""} from ${auditLogPath()}`
+  );
+  printTimeline(shown);
+}
+
+main().catch((err) => {
+  console.error("Error:", err.message);
+  process.exit(1);
+});
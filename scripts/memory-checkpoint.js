@@ -7,31 +7,89 @@
  * instruction compliance — purely programmatic extraction.
  *
  * What it does:
- *   1. For each agent, finds the most recently modified session file
- *   2. Reads the last N messages from that session
- *   3. Extracts text content (skipping thinking blocks, tool calls, etc.)
- *   4. Writes a structured ACTIVE_CONTEXT.md checkpoint
- *   5. Appends a timestamped entry to memory/YYYY-MM-DD.md
+ *   1. For each agent, finds every session file modified within the staleness window
+ *   2. Reads every JSONL line appended since the previous run (tracked by
+ *      byte offset in checkpoint-state.json) plus the last N lines for context
+ *   3. Extracts text content and tool calls with their results (skipping thinking blocks)
+ *   4. Writes a structured ACTIVE_CONTEXT.md checkpoint with one section per conversation
+ *   5. Appends an entry covering the new messages to memory/YYYY-MM-DD.md, tagged
+ *      with an ISO timestamp and a hash of the captured range so a range is never
+ *      logged twice (at most one entry per `minIntervalMinutes`, see below)
+ *   6. Records what was written in the audit log (lib/audit-log.js)
+ *   7. When a compaction left an empty or placeholder summary
+ *      (docs/compaction-bug.md), rebuilds the compacted conversation from the
+ *      transcript into memory/YYYY-MM-DD-recovery-<session>-HHMM.md, adds a
+ *      recovery note to the conversation's ACTIVE_CONTEXT.md section and
+ *      appends a "compaction-alert" audit event that health-check.sh forwards
  *
- * Usage: node memory-checkpoint.js [--dry-run] [--verbose]
+ * Usage: node memory-checkpoint.js [--dry-run] [--verbose] [--agent <id>]
+ *        node memory-checkpoint.js --print-config [--agent <id>] [--json]
+ *
+ * --print-config shows the effective memoryInfra settings of every agent
+ * (see lib/config.js) and any problems in clawdbot.json, then exits.
+ *
+ * Config (clawdbot.json, per-agent overrides under memoryInfra.agents.<id>.checkpoint):
+ *   "memoryInfra": { "checkpoint": {
+ *     "minIntervalMinutes": 15,  // minimum time between daily log entries
+ *     "compactionRecovery": true, // step 7
+ *     "staleHours": 4,           // skip sessions idle longer (default: $SESSION_STALE_HOURS)
+ *     "maxLines": 60,            // transcript lines read for ACTIVE_CONTEXT.md
+ *     "minSessionBytes": 1024,   // skip smaller transcripts
+ *     "toolsAllow": [],          // only record these tools' calls (default: $CHECKPOINT_TOOLS_ALLOW, empty = all)
+ *     "toolsDeny": []            // never record these (default: $CHECKPOINT_TOOLS_DENY)
+ *   } }
+ *
+ * Transcripts are read through lib/transcript.js, so sessions in another
+ * format (memoryInfra.transcripts.format) are checkpointed the same way.
+ *
+ * With memoryInfra.summarizer.backend set, each conversation's working
+ * state in ACTIVE_CONTEXT.md comes from an LLM instead, falling back to the
+ * mechanical one whenever the model is unavailable (see lib/llm-summary.js).
  */
 
 import fs from "node:fs/promises";
 import path from "node:path";
-import os from "node:os";
-
-const CLAWDBOT_HOME = process.env.CLAWDBOT_HOME || path.join(os.homedir(), ".clawdbot");
-const CONFIG_PATH = path.join(CLAWDBOT_HOME, "clawdbot.json");
-
-// How many JSONL lines to read from the end of the session file
-const MAX_LINES = 60;
-// Only checkpoint sessions modified within this window (ms)
-const STALENESS_THRESHOLD_MS = (parseInt(process.env.SESSION_STALE_HOURS, 10) || 4) * 60 * 60 * 1000;
-// Minimum session size to bother checkpointing
-const MIN_SESSION_BYTES = 1024;
+import { appendAuditEvent, auditFile } from "./lib/audit-log.js";
+import { loadRedactionRules, redactText } from "./lib/redact.js";
+import {
+  appendFileSafe,
+  ensurePrivateDir,
+  updateFileLocked,
+  withFileLock,
+  writeFileAtomic,
+} from "./lib/safe-write.js";
+import {
+  buildActiveContext,
+  buildDailyEntry,
+  buildSessionSection,
+  extractMessages,
+  formatTime,
+  localDate,
+  loggedEntries,
+  rangeHash,
+} from "./lib/checkpoint.js";
+import { assessCompaction, compactedLines } from "./lib/compaction.js";
+import { clawdbotHome, configuredAgents, loadConfig, printConfig, resolveWorkspace, settingsFor } from "./lib/config.js";
+import { resolveTranscriptSettings } from "./lib/transcript.js";
+import { resolveSummarizerSettings, summarizeConversations } from "./lib/llm-summary.js";
+
+const CLAWDBOT_HOME = clawdbotHome();
+// Per-session read offsets, so each run picks up exactly where the last one stopped
+const STATE_DIR = path.join(CLAWDBOT_HOME, "memory-infra");
+const STATE_PATH = path.join(STATE_DIR, "checkpoint-state.json");
+
+// Chunk size for incremental reads
+const READ_CHUNK_SIZE = 1024 * 1024;
+// Drop offset entries for sessions untouched for this long
+const STATE_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+// Requests listed in a recovery file and in its ACTIVE_CONTEXT note
+const MAX_RECOVERY_REQUESTS = 40;
+const MAX_RECOVERY_NOTE_REQUESTS = 5;
 
 const DRY_RUN = process.argv.includes("--dry-run");
 const VERBOSE = process.argv.includes("--verbose");
+const AGENT_INDEX = process.argv.indexOf("--agent");
+const ONLY_AGENT = AGENT_INDEX >= 0 ? process.argv[AGENT_INDEX + 1] : null;
 
 function log(...args) {
   console.log(`[memory-checkpoint] ${new Date().toISOString()}`, ...args);
@@ -42,89 +100,175 @@ function verbose(...args) {
 }
 
 /**
- * Load Clawdbot config to discover agents and their workspaces.
- */
-async function loadConfig() {
-  const raw = await fs.readFile(CONFIG_PATH, "utf-8");
-  return JSON.parse(raw);
-}
-
-/**
- * Resolve workspace directory for an agent from config.
+ * Map session ids to session keys (e.g. "agent:desmond:slack:dm:U123") and
+ * token counts using the gateway's sessions.json store. Best effort: an
+ * unreadable store just means sections are labelled by session id.
  */
-function resolveWorkspace(cfg, agentId) {
-  const agents = cfg?.agents?.list || [];
-  const agentConfig = agents.find(
-    (a) => a.id === agentId || a.name?.toLowerCase() === agentId
-  );
-  if (agentConfig?.workspace) {
-    return agentConfig.workspace.replace(/^~/, os.homedir());
-  }
-  const defaults = cfg?.agents?.defaults?.workspace;
-  if (agentId === "main" && defaults) {
-    return defaults.replace(/^~/, os.homedir());
+async function loadSessionKeys(sessionsDir) {
+  const keys = new Map();
+  try {
+    const raw = await fs.readFile(path.join(sessionsDir, "sessions.json"), "utf-8");
+    const store = JSON.parse(raw);
+    for (const [key, entry] of Object.entries(store || {})) {
+      if (entry?.sessionId) keys.set(entry.sessionId, { key, totalTokens: entry.totalTokens ?? null });
+    }
+  } catch {
+    // No store — fall back to session ids
   }
-  return path.join(os.homedir(), agentId === "main" ? "clawd" : `clawd-${agentId}`);
+  return keys;
 }
 
 /**
- * Find the most recently modified .jsonl session file for an agent.
+ * Find every non-stale .jsonl session file for an agent, newest first.
  */
-async function findActiveSession(agentId) {
+async function findActiveSessions(agentId, settings) {
   const sessionsDir = path.join(CLAWDBOT_HOME, "agents", agentId, "sessions");
 
   let entries;
   try {
     entries = await fs.readdir(sessionsDir);
   } catch {
-    return null;
+    return [];
   }
 
   const jsonlFiles = entries.filter(
     (f) => f.endsWith(".jsonl") && !f.includes(".deleted") && !f.includes(".lock")
   );
 
-  if (jsonlFiles.length === 0) return null;
+  if (jsonlFiles.length === 0) return [];
 
-  // Find most recently modified
-  let newest = null;
-  let newestMtime = 0;
+  const sessionKeys = await loadSessionKeys(sessionsDir);
+  const active = [];
 
   for (const f of jsonlFiles) {
     const fp = path.join(sessionsDir, f);
+    let stat;
     try {
-      const stat = await fs.stat(fp);
-      if (stat.mtimeMs > newestMtime) {
-        newestMtime = stat.mtimeMs;
-        newest = { path: fp, mtimeMs: stat.mtimeMs, size: stat.size };
-      }
+      stat = await fs.stat(fp);
     } catch {
-      // skip
+      continue;
+    }
+
+    const sessionId = path.basename(f, ".jsonl");
+    const age = Date.now() - stat.mtimeMs;
+    if (age > settings.staleHours * 60 * 60 * 1000) {
+      verbose(`${agentId}: session ${sessionId} is ${Math.round(age / 60000)}m old, skipping`);
+      continue;
     }
+
+    if (stat.size < settings.minSessionBytes) {
+      verbose(`${agentId}: session ${sessionId} too small (${stat.size}B), skipping`);
+      continue;
+    }
+
+    active.push({
+      path: fp,
+      mtimeMs: stat.mtimeMs,
+      size: stat.size,
+      sessionId,
+      sessionKey: sessionKeys.get(sessionId)?.key || null,
+      totalTokens: sessionKeys.get(sessionId)?.totalTokens ?? null,
+    });
   }
 
-  if (!newest) return null;
+  return active.sort((a, b) => b.mtimeMs - a.mtimeMs);
+}
 
-  // Check staleness
-  const age = Date.now() - newest.mtimeMs;
-  if (age > STALENESS_THRESHOLD_MS) {
-    verbose(`${agentId}: newest session is ${Math.round(age / 60000)}m old, skipping`);
-    return null;
+/**
+ * Load the per-session offset state and each agent's last daily log entry
+ * ({ at, hash }). Missing or corrupt state means every session is read from
+ * the beginning.
+ */
+async function loadState() {
+  try {
+    const raw = await fs.readFile(STATE_PATH, "utf-8");
+    const state = JSON.parse(raw);
+    return { sessions: state?.sessions || {}, agents: state?.agents || {} };
+  } catch {
+    return { sessions: {}, agents: {} };
   }
+}
 
-  if (newest.size < MIN_SESSION_BYTES) {
-    verbose(`${agentId}: session too small (${newest.size}B), skipping`);
-    return null;
+/**
+ * Persist state, pruning sessions and agents that have gone quiet.
+ */
+async function saveState(state) {
+  const cutoff = Date.now() - STATE_RETENTION_MS;
+  for (const [key, entry] of Object.entries(state.sessions)) {
+    if (!entry.updatedAt || Date.parse(entry.updatedAt) < cutoff) {
+      delete state.sessions[key];
+    }
+  }
+  for (const [agentId, last] of Object.entries(state.agents)) {
+    if (!last?.at || Date.parse(last.at) < cutoff) delete state.agents[agentId];
+  }
+  await ensurePrivateDir(STATE_DIR);
+  await writeFileAtomic(STATE_PATH, JSON.stringify(state, null, 2) + "\n");
+}
+
+/**
+ * Read every complete line appended to a file since the previous run.
+ *
+ * `prev` is the stored { ino, size, offset } for this file. If the inode
+ * changed (file replaced) or the file shrank below the stored offset
+ * (truncated), reading restarts from byte 0. A trailing line without a
+ * newline is still being written, so it is left for the next run and the
+ * returned offset stops just before it.
+ */
+async function readNewLines(filePath, prev) {
+  const stat = await fs.stat(filePath);
+  let start = 0;
+  if (prev && prev.ino === stat.ino && stat.size >= prev.offset) {
+    start = prev.offset;
+  } else if (prev) {
+    verbose(`${path.basename(filePath)}: rotated or truncated, re-reading from start`);
+  }
+
+  const lines = [];
+  let offset = start;
+  if (stat.size > start) {
+    const fh = await fs.open(filePath, "r");
+    try {
+      let carry = Buffer.alloc(0);
+      let position = start;
+      const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+      while (position < stat.size) {
+        const length = Math.min(READ_CHUNK_SIZE, stat.size - position);
+        const { bytesRead } = await fh.read(buffer, 0, length, position);
+        if (bytesRead === 0) break;
+        position += bytesRead;
+
+        const chunk = Buffer.concat([carry, buffer.subarray(0, bytesRead)]);
+        const lastNewline = chunk.lastIndexOf(0x0a);
+        if (lastNewline < 0) {
+          carry = chunk;
+          continue;
+        }
+        const complete = chunk.subarray(0, lastNewline).toString("utf-8");
+        for (const line of complete.split("\n")) {
+          if (line.trim()) lines.push(line);
+        }
+        offset += lastNewline + 1;
+        carry = chunk.subarray(lastNewline + 1);
+      }
+    } finally {
+      await fh.close();
+    }
   }
 
-  return newest;
+  return {
+    lines,
+    position: { ino: stat.ino, size: stat.size, offset },
+  };
 }
 
 /**
  * Read the last N lines from a file efficiently.
  * For files under 1MB, reads the whole file (fast enough).
  * For larger files, reads a tail chunk from the end to avoid loading
- * multi-megabyte JSONL transcripts into memory.
+ * multi-megabyte JSONL transcripts into memory. Only complete lines are
+ * returned: a leading fragment cut by the chunk boundary and a trailing
+ * line that is still being written are both discarded.
  */
 async function readLastLines(filePath, maxLines) {
   const TAIL_CHUNK_SIZE = 512 * 1024; // 512KB — enough for ~60 JSONL lines
@@ -133,19 +277,27 @@ async function readLastLines(filePath, maxLines) {
   if (stat.size <= TAIL_CHUNK_SIZE) {
     // Small file: read all of it
     const content = await fs.readFile(filePath, "utf-8");
-    const lines = content.trim().split("\n");
-    return lines.slice(-maxLines);
+    const lines = content.split("\n");
+    // Anything after the final newline is an in-progress write
+    lines.pop();
+    return lines.filter((l) => l.trim()).slice(-maxLines);
   }
 
-  // Large file: read only the tail chunk
+  // Large file: read only the tail chunk, plus one byte before it so we can
+  // tell whether the chunk starts on a line boundary
   const fh = await fs.open(filePath, "r");
   try {
-    const buffer = Buffer.alloc(TAIL_CHUNK_SIZE);
-    const { bytesRead } = await fh.read(buffer, 0, TAIL_CHUNK_SIZE, stat.size - TAIL_CHUNK_SIZE);
-    const chunk = buffer.subarray(0, bytesRead).toString("utf-8");
-    const lines = chunk.split("\n");
-    // Drop the first line (likely partial)
-    lines.shift();
+    const start = stat.size - TAIL_CHUNK_SIZE - 1;
+    const buffer = Buffer.alloc(TAIL_CHUNK_SIZE + 1);
+    const { bytesRead } = await fh.read(buffer, 0, TAIL_CHUNK_SIZE + 1, start);
+    const chunk = buffer.subarray(0, bytesRead);
+    const firstNewline = chunk.indexOf(0x0a);
+    const lastNewline = chunk.lastIndexOf(0x0a);
+    if (firstNewline < 0 || firstNewline === lastNewline) return [];
+    const lines = chunk
+      .subarray(firstNewline + 1, lastNewline)
+      .toString("utf-8")
+      .split("\n");
     return lines.filter((l) => l.trim()).slice(-maxLines);
   } finally {
     await fh.close();
@@ -153,187 +305,271 @@ async function readLastLines(filePath, maxLines) {
 }
 
 /**
- * Extract structured message data from JSONL lines.
+ * Append an entry to the daily log, unless this range is already logged or
+ * the agent's previous entry is under `minIntervalMinutes` old. Returns
+ * { outcome, last }: outcome is "appended", "duplicate", "deferred" or
+ * "failed" (only the first two mean the range is on disk), `last` the
+ * agent's latest logged entry ({ at, hash }) afterwards. The agent writes
+ * to the same file, so this is a true append under the file's lock rather
+ * than a rewrite.
  */
-function extractMessages(lines) {
-  const messages = [];
+async function appendDailyEntry(agentId, dailyFile, dateStr, entry, last, settings) {
+  try {
+    return await withFileLock(dailyFile, () => appendDailyEntryLocked(agentId, dailyFile, dateStr, entry, last, settings));
+  } catch (err) {
+    log(`${agentId}: failed to append daily log:`, err.message);
+    return { outcome: "failed", last };
+  }
+}
 
-  for (const line of lines) {
-    try {
-      const entry = JSON.parse(line);
-      if (entry.type !== "message" || !entry.message) continue;
-
-      const msg = entry.message;
-      const role = msg.role;
-      if (role !== "user" && role !== "assistant") continue;
-
-      // Extract text content, skip thinking blocks and tool calls
-      let text = "";
-      if (typeof msg.content === "string") {
-        text = msg.content;
-      } else if (Array.isArray(msg.content)) {
-        const textParts = msg.content
-          .filter((c) => c.type === "text" && c.text)
-          .map((c) => c.text);
-        text = textParts.join("\n");
-      }
+async function appendDailyEntryLocked(agentId, dailyFile, dateStr, entry, last, settings) {
+  let existing = null;
+  try {
+    existing = await fs.readFile(dailyFile, "utf-8");
+  } catch {
+    // File doesn't exist yet — created with a header below
+  }
 
-      if (!text || text.length < 5) continue;
-      // Skip internal control messages
-      if (text === "HEARTBEAT_OK" || text === "NO_REPLY") continue;
-      if (text.startsWith("/")) continue;
+  // Entries already in today's file count too: the state may be older than
+  // the log if a previous run was interrupted after appending
+  const logged = loggedEntries(existing);
+  if (last) logged.push(last);
 
-      messages.push({
-        role,
-        text: text.slice(0, 1000), // Cap per-message length
-        timestamp: entry.timestamp || null,
-        model: msg.model || null,
-      });
-    } catch {
-      // Skip malformed lines
-    }
+  const latest = logged.reduce(
+    (a, b) => ((Date.parse(b.at) || 0) > (Date.parse(a?.at) || 0) ? b : a),
+    null
+  );
+
+  if (logged.some((e) => e.hash === entry.hash)) {
+    verbose(`${agentId}: range ${entry.hash} already in the daily log, skipping`);
+    return { outcome: "duplicate", last: latest };
+  }
+
+  const elapsedMs = entry.at.getTime() - (Date.parse(latest?.at) || 0);
+  if (elapsedMs >= 0 && elapsedMs < settings.minIntervalMinutes * 60 * 1000) {
+    verbose(
+      `${agentId}: previous entry ${Math.round(elapsedMs / 60000)}m ago (minimum ${settings.minIntervalMinutes}m), deferring daily append`
+    );
+    return { outcome: "deferred", last: latest };
   }
 
-  return messages;
+  const header = existing === null ? `# ${agentId} — ${dateStr}\n\n` : "";
+  await appendFileSafe(dailyFile, header + entry.text);
+  verbose(`${agentId}: appended to ${dateStr}.md`);
+  return { outcome: "appended", last: { at: entry.at.toISOString(), hash: entry.hash } };
 }
 
 /**
- * Build ACTIVE_CONTEXT.md content from extracted messages.
+ * Read one session: the tail for current state plus everything appended
+ * since the last run. Returns null if the session has too little content.
  */
-function buildActiveContext(agentId, messages, sessionPath) {
-  const now = new Date();
-  const timestamp = now.toISOString();
-  const sessionId = path.basename(sessionPath, ".jsonl");
-
-  const sections = [
-    `# Active Context — ${agentId}`,
-    `> Auto-generated by memory-checkpoint at ${timestamp}`,
-    `> Session: ${sessionId}`,
-    `> Messages captured: ${messages.length}`,
-    "",
-  ];
+async function readSession(agentId, session, state, rules, extract, maxLines) {
+  verbose(`${agentId}: reading ${session.path} (${session.size}B)`);
 
-  // Extract what the agent is working on (last few assistant messages)
-  const recentAssistant = messages
-    .filter((m) => m.role === "assistant")
-    .slice(-5);
-  const recentUser = messages.filter((m) => m.role === "user").slice(-5);
-
-  if (recentUser.length > 0) {
-    sections.push("## Recent Requests");
-    for (const msg of recentUser) {
-      const ts = msg.timestamp
-        ? new Date(msg.timestamp).toLocaleTimeString("en-US", {
-            hour: "2-digit",
-            minute: "2-digit",
-            hour12: false,
-          })
-        : "??:??";
-      sections.push(`- **[${ts}]** ${msg.text.slice(0, 300)}`);
-    }
-    sections.push("");
-  }
-
-  if (recentAssistant.length > 0) {
-    sections.push("## Recent Work");
-    for (const msg of recentAssistant) {
-      const ts = msg.timestamp
-        ? new Date(msg.timestamp).toLocaleTimeString("en-US", {
-            hour: "2-digit",
-            minute: "2-digit",
-            hour12: false,
-          })
-        : "??:??";
-      // Take first 400 chars of assistant message as summary
-      sections.push(`- **[${ts}]** ${msg.text.slice(0, 400)}`);
-    }
-    sections.push("");
+  const lines = await readLastLines(session.path, maxLines);
+  const { messages, actions, events, redactions } = extractMessages(lines, rules, extract);
+
+  if (messages.length < 3) {
+    verbose(`${agentId}: ${session.sessionId} has too few messages (${messages.length}), skipping`);
+    return null;
   }
 
-  // Extract file references
-  const allText = messages.map((m) => m.text).join("\n");
-  const fileRefs = new Set();
-  const filePatterns = allText.matchAll(
-    /(?:^|\s)((?:[\w./-]+\/)+[\w.-]+\.\w{1,10})(?:\s|$|[,;:)\]])/gm
+  // Everything appended since the previous run goes into the daily log
+  const prev = state.sessions[session.path];
+  const { lines: newLines, position } = await readNewLines(session.path, prev);
+  const {
+    messages: newMessages,
+    actions: newActions,
+    events: newEvents,
+    redactions: newRedactions,
+  } = extractMessages(newLines, rules, extract);
+  const newHash = rangeHash([session.sessionId, ...newLines]);
+  verbose(
+    `${agentId}: ${session.sessionId}: ${newLines.length} new lines (${newMessages.length} messages, ${newActions.length} tool calls) since offset ${prev?.offset ?? 0}`
   );
-  for (const match of filePatterns) {
-    const ref = match[1];
-    if (
-      ref.length > 5 &&
-      !ref.startsWith("http") &&
-      !ref.includes("node_modules")
-    ) {
-      fileRefs.add(ref);
-    }
-  }
-  if (fileRefs.size > 0) {
-    sections.push("## Files Referenced");
-    for (const ref of [...fileRefs].slice(0, 20)) {
-      sections.push(`- \`${ref}\``);
-    }
-    sections.push("");
-  }
 
-  return sections.join("\n");
+  return {
+    session,
+    messages,
+    actions,
+    events,
+    redactions,
+    newMessages,
+    newActions,
+    newEvents,
+    newRedactions,
+    newHash,
+    position,
+  };
 }
 
 /**
- * Build a daily log entry from extracted messages.
+ * Read a whole transcript's complete lines.
  */
-function buildDailyEntry(agentId, messages) {
-  const now = new Date();
-  const timeStr = now.toLocaleTimeString("en-US", {
-    hour: "2-digit",
-    minute: "2-digit",
-    hour12: false,
-  });
+async function readAllLines(filePath) {
+  const raw = await fs.readFile(filePath, "utf-8");
+  // Anything after the final newline is an in-progress write
+  return raw.split("\n").slice(0, -1).filter((l) => l.trim());
+}
 
+/**
+ * Recovery file for a compaction that lost context: every request from the
+ * compacted stretch of the conversation, then the usual session section.
+ */
+function buildRecoveryFile(agentId, session, event, reason, extracted, rules) {
+  const requests = extracted.messages.filter((m) => m.role === "user");
   const lines = [
-    `### Checkpoint ${timeStr} (auto)`,
+    `# Compaction Recovery — ${agentId}`,
+    `> Written by memory-checkpoint at ${new Date().toISOString()}`,
+    `> Session key: ${session.sessionKey || "unknown"}`,
+    `> Session: ${session.sessionId}`,
+    `> Compacted at: ${event.timestamp || "unknown"} | Tokens before: ${event.tokensBefore ?? "unknown"} | Summary took: ${event.durationMs ?? "?"}ms`,
+    `> Problem: ${reason}`,
     "",
+    "The gateway dropped the conversation below without summarizing it. It was rebuilt from the session transcript.",
+    "",
+    "## Requests Before Compaction",
   ];
+  if (requests.length > MAX_RECOVERY_REQUESTS) {
+    lines.push(`- _…${requests.length - MAX_RECOVERY_REQUESTS} earlier requests omitted_`);
+  }
+  for (const msg of requests.slice(-MAX_RECOVERY_REQUESTS)) {
+    lines.push(`- **[${formatTime(msg.timestamp)}]** ${msg.text.slice(0, 300).replace(/\s+/g, " ")}`);
+  }
+  if (requests.length === 0) lines.push("- _none found in the transcript_");
+  lines.push("", buildSessionSection(session, extracted.messages, extracted.actions, extracted.events));
 
-  // Summarize: count of messages, most recent topics
-  const userMsgs = messages.filter((m) => m.role === "user");
-  const assistantMsgs = messages.filter((m) => m.role === "assistant");
-
-  lines.push(
-    `- ${messages.length} messages (${userMsgs.length} user, ${assistantMsgs.length} assistant)`
+  const body = redactText(lines.join("\n"), rules);
+  return body.text.replace(
+    "\n\nThe gateway dropped",
+    `\n> Redactions: ${extracted.redactions + body.count}\n\nThe gateway dropped`
   );
+}
 
-  // Last user request as topic indicator
-  if (userMsgs.length > 0) {
-    const lastUser = userMsgs[userMsgs.length - 1];
-    lines.push(`- Last request: ${lastUser.text.slice(0, 200)}`);
+/**
+ * Short note for the top of the conversation's ACTIVE_CONTEXT.md section,
+ * so the agent knows it lost context and where to find it.
+ */
+function buildRecoveryNote(event, reason, recoveryName, extracted, rules) {
+  const requests = extracted.messages.filter((m) => m.role === "user").slice(-MAX_RECOVERY_NOTE_REQUESTS);
+  const lastOutput = extracted.messages.filter((m) => m.role === "assistant").pop();
+  const lines = [
+    "### ⚠️ Context Lost in Compaction",
+    `- **[${formatTime(event.timestamp)}]** The conversation was compacted${event.tokensBefore ? ` at ${event.tokensBefore} tokens` : ""} without a usable summary (${reason}). Everything before it is rebuilt in \`memory/${recoveryName}\` — read it before relying on earlier context.`,
+  ];
+  if (requests.length > 0) {
+    lines.push("- Last requests before compaction:");
+    for (const msg of requests) lines.push(`  - ${msg.text.slice(0, 200).replace(/\s+/g, " ")}`);
   }
+  if (lastOutput) lines.push(`- Last output before compaction: ${lastOutput.text.slice(0, 300).replace(/\s+/g, " ")}`);
+  return redactText(lines.join("\n"), rules).text;
+}
 
-  // Last assistant output as status indicator
-  if (assistantMsgs.length > 0) {
-    const lastAssistant = assistantMsgs[assistantMsgs.length - 1];
-    lines.push(`- Last output: ${lastAssistant.text.slice(0, 200)}`);
-  }
+/**
+ * Look for compactions that lost context among each conversation's new
+ * events. For each one not handled yet, write a recovery file rebuilt from
+ * the transcript lines it compacted and keep a note for the conversation's
+ * ACTIVE_CONTEXT.md section until a later compaction produces a real
+ * summary. Notes live in the session's state entry so they survive runs
+ * with nothing new. Returns the alerts to audit.
+ */
+async function recoverCompactions(agentId, conversations, state, memoryDir, rules, extract) {
+  const alerts = [];
+  for (const c of conversations) {
+    const entry = state.sessions[c.session.path];
+    let recovery = entry?.recovery || null;
+
+    for (const event of c.newEvents.filter((e) => e.kind === "compaction")) {
+      const reason = assessCompaction(event);
+      if (!reason) {
+        // A real summary since: the agent has its context back
+        recovery = null;
+        continue;
+      }
+      const at = event.timestamp || `tokens:${event.tokensBefore}`;
+      if (recovery?.at === at) continue;
+
+      const compactedAt = event.timestamp ? new Date(event.timestamp) : new Date();
+      const hhmm = `${String(compactedAt.getHours()).padStart(2, "0")}${String(compactedAt.getMinutes()).padStart(2, "0")}`;
+      const recoveryName = `${localDate(compactedAt)}-recovery-${c.session.sessionId.slice(0, 8)}-${hhmm}.md`;
+      const recoveryFile = path.join(memoryDir, recoveryName);
+
+      const lost = compactedLines(await readAllLines(c.session.path), event, extract.format);
+      const extracted = extractMessages(lost, rules, extract);
+      log(`${agentId}: ${c.session.sessionId} compaction lost context (${reason}), recovering ${extracted.messages.length} messages into ${recoveryName}`);
+
+      if (DRY_RUN) {
+        log(`${agentId}: [DRY RUN] would write ${recoveryName} and raise a compaction alert`);
+        continue;
+      }
+      try {
+        await writeFileAtomic(recoveryFile, buildRecoveryFile(agentId, c.session, event, reason, extracted, rules));
+      } catch (err) {
+        log(`${agentId}: failed to write ${recoveryName}:`, err.message);
+        continue;
+      }
+
+      recovery = { at, reason, file: recoveryName, note: buildRecoveryNote(event, reason, recoveryName, extracted, rules) };
+      alerts.push({
+        sessionKey: c.session.sessionKey,
+        sessionId: c.session.sessionId,
+        reason,
+        summary: event.summary || undefined,
+        tokensBefore: event.tokensBefore ?? undefined,
+        durationMs: event.durationMs ?? undefined,
+        compactedAt: event.timestamp || undefined,
+        recoveredMessages: extracted.messages.length,
+        recoveryFile,
+        files: [await auditFile(recoveryFile)],
+      });
+    }
 
-  lines.push("");
-  return lines.join("\n");
+    if (recovery) c.session.recoveryNote = recovery.note;
+    if (!DRY_RUN && (recovery || null) !== (entry?.recovery || null)) {
+      // Kept even if the offset doesn't advance this run
+      state.sessions[c.session.path] = {
+        ...(entry || { ino: null, size: 0, offset: 0 }),
+        updatedAt: new Date().toISOString(),
+        recovery: recovery || undefined,
+      };
+    }
+  }
+  return alerts;
 }
 
 /**
- * Process a single agent: find session, extract, write checkpoint.
+ * Process a single agent: checkpoint every active session into one merged
+ * ACTIVE_CONTEXT.md and one daily log entry.
+ * `state` holds per-session read offsets and is updated in place.
  */
-async function checkpointAgent(cfg, agentId) {
-  const session = await findActiveSession(agentId);
-  if (!session) {
+async function checkpointAgent(cfg, agentId, state) {
+  const settings = settingsFor(cfg, "checkpoint", agentId);
+  const sessions = await findActiveSessions(agentId, settings);
+  if (sessions.length === 0) {
     verbose(`${agentId}: no active session`);
     return false;
   }
 
-  verbose(`${agentId}: reading ${session.path} (${session.size}B)`);
+  const rules = loadRedactionRules(cfg);
+  // How transcripts are read and which tool calls are recorded
+  const extract = {
+    format: resolveTranscriptSettings(cfg, agentId).format,
+    toolsAllow: settings.toolsAllow,
+    toolsDeny: settings.toolsDeny,
+  };
 
-  const lines = await readLastLines(session.path, MAX_LINES);
-  const messages = extractMessages(lines);
+  const conversations = [];
+  for (const session of sessions) {
+    try {
+      const conversation = await readSession(agentId, session, state, rules, extract, settings.maxLines);
+      if (conversation) conversations.push(conversation);
+    } catch (err) {
+      log(`${agentId}: failed to read ${session.sessionId}:`, err.message);
+    }
+  }
 
-  if (messages.length < 3) {
-    verbose(`${agentId}: too few messages (${messages.length}), skipping`);
+  if (conversations.length === 0) {
+    verbose(`${agentId}: no sessions with enough content, skipping`);
     return false;
   }
 
@@ -342,73 +578,132 @@ async function checkpointAgent(cfg, agentId) {
 
   // Ensure memory directory exists
   try {
-    await fs.mkdir(memoryDir, { recursive: true });
-    await fs.chmod(memoryDir, 0o700);
+    await ensurePrivateDir(memoryDir);
   } catch {
     log(`${agentId}: failed to create memory dir ${memoryDir}`);
     return false;
   }
 
-  // Build checkpoint content
-  const activeContext = buildActiveContext(agentId, messages, session.path);
-  const dailyEntry = buildDailyEntry(agentId, messages);
+  const alerts = settings.compactionRecovery
+    ? await recoverCompactions(agentId, conversations, state, memoryDir, rules, extract)
+    : [];
+  for (const alert of alerts) {
+    const audited = await appendAuditEvent({ source: "memory-checkpoint", action: "compaction-alert", agent: agentId, ...alert });
+    if (!audited) log(`${agentId}: failed to write compaction alert for ${alert.sessionId}`);
+  }
 
+  // Optional LLM working state; conversations without a valid answer keep
+  // the mechanical one
+  const summarizer = resolveSummarizerSettings(cfg, agentId);
+  let summaries = null;
+  if (summarizer.backend !== "off") {
+    if (DRY_RUN) {
+      log(`${agentId}: [DRY RUN] would summarize ${conversations.length} conversations with the ${summarizer.backend} backend`);
+    } else {
+      summaries = await summarizeConversations(agentId, conversations, summarizer, {
+        cfg,
+        log: (message) => log(`${agentId}: ${message}`),
+      });
+      verbose(`${agentId}: summaries: ${summaries.llm} from ${summarizer.backend}, ${summaries.cached} cached, ${summaries.fallback} mechanical`);
+    }
+  }
+
+  // Build checkpoint content
   const now = new Date();
-  const dateStr = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}-${String(now.getDate()).padStart(2, "0")}`;
+  const activeContext = buildActiveContext(agentId, conversations, rules);
+  const updated = conversations.filter(
+    (c) => c.newMessages.length > 0 || c.newActions.length > 0 || c.newEvents.length > 0
+  );
+  let dailyEntry = null;
+  if (updated.length > 0) {
+    const hash = rangeHash(updated.map((c) => c.newHash));
+    const text = buildDailyEntry(
+      agentId,
+      updated.map((c) => ({
+        session: c.session,
+        messages: c.newMessages,
+        actions: c.newActions,
+        events: c.newEvents,
+        redactions: c.newRedactions,
+      })),
+      rules,
+      now,
+      hash
+    );
+    dailyEntry = { at: now, hash, text };
+  }
+
+  const dateStr = localDate(now);
   const dailyFile = path.join(memoryDir, `${dateStr}.md`);
   const activeContextFile = path.join(memoryDir, "ACTIVE_CONTEXT.md");
 
   if (DRY_RUN) {
     log(`${agentId}: [DRY RUN] would write ACTIVE_CONTEXT.md (${activeContext.length} chars)`);
-    log(`${agentId}: [DRY RUN] would append to ${dateStr}.md (${dailyEntry.length} chars)`);
+    if (dailyEntry) {
+      log(`${agentId}: [DRY RUN] would append to ${dateStr}.md (${dailyEntry.text.length} chars, range ${dailyEntry.hash})`);
+    }
     return true;
   }
 
   // Write ACTIVE_CONTEXT.md (overwrite — it's current state)
+  let activeContextError = null;
   try {
-    await fs.writeFile(activeContextFile, activeContext, "utf-8");
-    await fs.chmod(activeContextFile, 0o600);
-    verbose(`${agentId}: wrote ACTIVE_CONTEXT.md (${activeContext.length} chars)`);
+    // Locked: the rotation monitor updates sections of the same file
+    await updateFileLocked(activeContextFile, () => activeContext);
+    verbose(
+      `${agentId}: wrote ACTIVE_CONTEXT.md (${activeContext.length} chars, ${conversations.length} conversations)`
+    );
   } catch (err) {
+    activeContextError = err.message;
     log(`${agentId}: failed to write ACTIVE_CONTEXT.md:`, err.message);
   }
 
-  // Append to daily log
-  try {
-    let existing = "";
-    try {
-      existing = await fs.readFile(dailyFile, "utf-8");
-    } catch {
-      // File doesn't exist yet — create with header
-      existing = `# ${agentId} — ${dateStr}\n\n`;
-    }
-
-    // Don't append if we already have a checkpoint within the last 15 minutes.
-    // Extract the most recent checkpoint timestamp from the file and compare
-    // using epoch seconds instead of fragile locale-dependent string matching.
-    const DEDUP_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
-    let shouldAppend = true;
-    const lastCheckpointMatch = existing.match(/### Checkpoint (\d{2}:\d{2})/g);
-    if (lastCheckpointMatch && lastCheckpointMatch.length > 0) {
-      const lastTimeStr = lastCheckpointMatch[lastCheckpointMatch.length - 1]
-        .replace("### Checkpoint ", "");
-      const [hh, mm] = lastTimeStr.split(":").map(Number);
-      const lastCheckpointDate = new Date(now);
-      lastCheckpointDate.setHours(hh, mm, 0, 0);
-      if (now.getTime() - lastCheckpointDate.getTime() < DEDUP_WINDOW_MS) {
-        shouldAppend = false;
-      }
-    }
-
-    if (shouldAppend) {
-      await fs.writeFile(dailyFile, existing + dailyEntry, "utf-8");
-      await fs.chmod(dailyFile, 0o600);
-      verbose(`${agentId}: appended to ${dateStr}.md`);
-    } else {
-      verbose(`${agentId}: skipped daily append (recent checkpoint exists)`);
+  // Append to daily log. The stored offset only advances once the new
+  // messages are safely in the log (or there were none), so a deferred or
+  // failed append is retried on the next run, extended by whatever arrived
+  // in between.
+  let daily = null;
+  if (dailyEntry) {
+    const result = await appendDailyEntry(agentId, dailyFile, dateStr, dailyEntry, state.agents[agentId], settings);
+    daily = result.outcome;
+    if (result.last) state.agents[agentId] = result.last;
+  } else {
+    verbose(`${agentId}: no new messages since last checkpoint`);
+  }
+  const advanceOffset = daily === null || daily === "appended" || daily === "duplicate";
+
+  const files = activeContextError ? [] : [await auditFile(activeContextFile)];
+  if (daily === "appended") files.push(await auditFile(dailyFile));
+  const audited = await appendAuditEvent({
+    source: "memory-checkpoint",
+    action: "checkpoint",
+    agent: agentId,
+    conversations: conversations.map((c) => ({
+      sessionKey: c.session.sessionKey,
+      sessionId: c.session.sessionId,
+      tokens: c.session.totalTokens,
+      messages: c.messages.length,
+      actions: c.actions.length,
+      newMessages: c.newMessages.length,
+      newActions: c.newActions.length,
+    })),
+    summaries: summaries ? { backend: summarizer.backend, ...summaries } : undefined,
+    files,
+    dailyAppended: daily === "appended",
+    daily: daily || undefined,
+    rangeHash: dailyEntry?.hash,
+    error: activeContextError || undefined,
+  });
+  if (!audited) verbose(`${agentId}: failed to write audit event`);
+
+  if (advanceOffset) {
+    for (const { session, position } of conversations) {
+      state.sessions[session.path] = {
+        ...position,
+        updatedAt: now.toISOString(),
+        recovery: state.sessions[session.path]?.recovery,
+      };
     }
-  } catch (err) {
-    log(`${agentId}: failed to append daily log:`, err.message);
   }
 
   return true;
@@ -424,29 +719,50 @@ async function main() {
   try {
     cfg = await loadConfig();
   } catch (err) {
-    log("Failed to load config:", err.message);
+    log(err.message);
     process.exit(1);
   }
 
-  const agents = (cfg.agents?.list || []).map((a) => a.id);
+  let agents = configuredAgents(cfg);
   if (agents.length === 0) {
     log("No agents found in config");
     process.exit(0);
   }
+  if (ONLY_AGENT) {
+    if (!agents.includes(ONLY_AGENT)) {
+      log(`Agent ${ONLY_AGENT} not found in config`);
+      process.exit(1);
+    }
+    agents = [ONLY_AGENT];
+  }
+
+  const state = await loadState();
 
   let checkpointed = 0;
   for (const agentId of agents) {
     try {
-      const didCheckpoint = await checkpointAgent(cfg, agentId);
+      const didCheckpoint = await checkpointAgent(cfg, agentId, state);
       if (didCheckpoint) checkpointed++;
     } catch (err) {
       log(`${agentId}: error:`, err.message);
     }
   }
 
+  if (!DRY_RUN) {
+    try {
+      await saveState(state);
+    } catch (err) {
+      log("Failed to save checkpoint state:", err.message);
+    }
+  }
+
   log(`Done. Checkpointed ${checkpointed}/${agents.length} agents.`);
 }
 
+if (process.argv.includes("--print-config")) {
+  process.exit(await printConfig({ onlyAgent: ONLY_AGENT, json: process.argv.includes("--json") }));
+}
+
 main().catch((err) => {
   log("Fatal error:", err.message);
   process.exit(1);
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * memory-consolidate.js — Consolidate old session logs into digests
+ *
+ * For each configured agent's workspace, rolls dated memory files
+ * (YYYY-MM-DD.md daily logs, YYYY-MM-DD-<slug>.md summaries and handoffs)
+ * older than memoryInfra.retention.digestAfterDays into weekly or monthly
+ * memory/digest-<period>.md files that keep every tagged observation, and
+ * moves the originals into memory/archive/<period>/ gzipped. INDEX.md is
+ * regenerated for every workspace that changed, so it lists the digests
+ * instead of the originals. See lib/memory-consolidate.js for the format
+ * and config.
+ *
+ * Runs from regenerate-all-indexes.sh and the memory daemon; safe to run
+ * by hand at any time.
+ *
+ * Usage:
+ *   node memory-consolidate.js [--agent <id>] [--days N] [--period week|month]
+ *                              [--dry-run] [--verbose]
+ *   node memory-consolidate.js --workspace <dir> [--days N] [--period week|month] [--dry-run]
+ *   node memory-consolidate.js --print-config [--agent <id>] [--json]
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import os from "node:os";
+import { appendAuditEvent, auditFile } from "./lib/audit-log.js";
+import { configuredAgents, loadConfig, printConfig, resolveWorkspace } from "./lib/config.js";
+import { consolidateMemory, resolveRetentionSettings, RETENTION_DEFAULTS } from "./lib/memory-consolidate.js";
+import { buildMemoryIndex, formatSize } from "./lib/memory-index.js";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const VERBOSE = process.argv.includes("--verbose");
+
+function log(...args) {
+  console.log(`[memory-consolidate] ${new Date().toISOString()}`, ...args);
+}
+
+function verbose(...args) {
+  if (VERBOSE) log(...args);
+}
+
+function argValue(flag) {
+  const i = process.argv.indexOf(flag);
+  return i >= 0 ? process.argv[i + 1] : null;
+}
+
+function fail(message) {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+}
+
+/**
+ * Command-line overrides on top of the configured settings.
+ */
+function applyOverrides(settings) {
+  const days = argValue("--days");
+  if (days !== null) {
+    if (!/^\d+$/.test(days) || Number(days) < 1) fail("--days must be a positive integer");
+    settings.digestAfterDays = Number(days);
+  }
+  const period = argValue("--period");
+  if (period !== null) {
+    if (period !== "week" && period !== "month") fail("--period must be week or month");
+    settings.period = period;
+  }
+  return settings;
+}
+
+/**
+ * Consolidate one workspace and refresh its index. Returns true if
+ * anything was (or, with --dry-run, would be) consolidated.
+ */
+async function consolidateWorkspace(label, agentId, workspace, settings) {
+  const memoryDir = path.join(workspace, "memory");
+  try {
+    await fs.access(memoryDir);
+  } catch {
+    verbose(`${label}: no memory directory, skipping`);
+    return false;
+  }
+
+  verbose(`${label}: consolidating files older than ${settings.digestAfterDays} days into ${settings.period}ly digests`);
+  const result = await consolidateMemory(workspace, settings, {
+    dryRun: DRY_RUN,
+    log: (message) => verbose(`${label}: ${message}`),
+  });
+  if (result.archived === 0) {
+    verbose(`${label}: nothing old enough to consolidate`);
+    return false;
+  }
+
+  for (const digest of result.digests) {
+    log(
+      `${label}: ${DRY_RUN ? "[DRY RUN] would write" : "wrote"} ${digest.file} (${digest.files} file${digest.files === 1 ? "" : "s"}, ${digest.observations} new observation${digest.observations === 1 ? "" : "s"})`
+    );
+  }
+  log(`${label}: ${DRY_RUN ? "[DRY RUN] would archive" : "archived"} ${result.archived} files (${formatSize(result.bytes)})`);
+  if (DRY_RUN) return true;
+
+  try {
+    await buildMemoryIndex(workspace);
+    verbose(`${label}: regenerated INDEX.md`);
+  } catch (err) {
+    log(`${label}: failed to regenerate INDEX.md:`, err.message);
+  }
+
+  const audited = await appendAuditEvent({
+    source: "memory-consolidate",
+    action: "consolidate",
+    agent: agentId,
+    workspace,
+    period: settings.period,
+    digestAfterDays: settings.digestAfterDays,
+    digests: result.digests,
+    archived: result.archived,
+    archivedBytes: result.bytes,
+    files: await Promise.all(result.digests.map((d) => auditFile(path.join(memoryDir, d.file)))),
+  });
+  if (!audited) verbose(`${label}: failed to write audit event`);
+  return true;
+}
+
+async function main() {
+  log("Starting consolidation" + (DRY_RUN ? " [DRY RUN]" : ""));
+
+  const workspaceArg = argValue("--workspace");
+  if (workspaceArg) {
+    const settings = applyOverrides({ ...RETENTION_DEFAULTS });
+    await consolidateWorkspace(workspaceArg, null, path.resolve(workspaceArg.replace(/^~/, os.homedir())), settings);
+    log("Done.");
+    return;
+  }
+
+  let cfg;
+  try {
+    cfg = await loadConfig();
+  } catch (err) {
+    log(err.message);
+    process.exit(1);
+  }
+
+  let agents = configuredAgents(cfg);
+  const onlyAgent = argValue("--agent");
+  if (onlyAgent) {
+    if (!agents.includes(onlyAgent)) fail(`agent ${onlyAgent} not found in config`);
+    agents = [onlyAgent];
+  }
+
+  // Agents sharing a workspace are consolidated once, with the first one's settings
+  const seen = new Set();
+  let changed = 0;
+  for (const agentId of agents) {
+    const settings = applyOverrides(resolveRetentionSettings(cfg, agentId));
+    if (!settings.enabled) {
+      verbose(`${agentId}: retention disabled, skipping`);
+      continue;
+    }
+    const workspace = resolveWorkspace(cfg, agentId);
+    if (seen.has(workspace)) continue;
+    seen.add(workspace);
+    try {
+      if (await consolidateWorkspace(agentId, agentId, workspace, settings)) changed++;
+    } catch (err) {
+      log(`${agentId}: error:`, err.message);
+    }
+  }
+
+  log(`Done. Consolidated ${changed}/${seen.size} workspaces.`);
+}
+
+if (process.argv.includes("--print-config")) {
+  process.exit(await printConfig({ onlyAgent: argValue("--agent"), json: process.argv.includes("--json") }));
+}
+
+main().catch((err) => {
+  log("Fatal error:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,461 @@
+#!/usr/bin/env node
+/**
+ * memory-daemon.js — Long-running alternative to launchd polling
+ *
+ * Watches every configured agent's transcripts
+ * ($CLAWDBOT_HOME/agents/<id>/sessions/*.jsonl) for appended messages and
+ * runs memory-checkpoint.js for an agent as soon as it has enough new
+ * messages, its sessions go quiet, or it hasn't been checkpointed for too
+ * long. session-rotation-monitor.js and memory-consolidate.js run on fixed
+ * schedules. All of them run as child processes, one at a time, so their
+ * state files are never written concurrently and a failed run can't take
+ * the daemon down.
+ *
+ * Change detection uses fs.watch on each sessions directory, debounced per
+ * transcript, plus a periodic rescan for missed events. With --poll, or
+ * for a directory fs.watch can't handle, transcripts are stat-polled.
+ *
+ * Settings (clawdbot.json, all optional):
+ *
+ *   "memoryInfra": { "daemon": {
+ *     "checkpointMessages": 20,    // checkpoint after this many new messages,
+ *     "checkpointIdleMinutes": 5,  // or once the agent's sessions are quiet this long,
+ *     "checkpointMaxMinutes": 20,  // or at least this often while messages keep coming
+ *     "rotationMinutes": 30,       // default: memoryInfra.rotation.pollMinutes
+ *     "consolidateHours": 24,      // digest old session logs; 0 disables, at most 596
+ *     "debounceSeconds": 2,
+ *     "pollSeconds": 10            // --poll interval
+ *   } }
+ *
+ * Config is read at startup; restart the daemon after changing it.
+ *
+ * SIGINT/SIGTERM shut down cleanly: watchers stop, the running job is
+ * allowed to finish, agents with messages not yet checkpointed get a final
+ * checkpoint, then the daemon exits. A second signal exits immediately.
+ *
+ * Usage: node memory-daemon.js [--poll] [--verbose] [--dry-run]
+ *        node memory-daemon.js --print-config [--json]
+ */
+
+import fs from "node:fs/promises";
+import { watch } from "node:fs";
+import path from "node:path";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { clawdbotHome, configuredAgents, loadConfig, printConfig, settingsFor } from "./lib/config.js";
+import { isConversationLine, resolveTranscriptSettings } from "./lib/transcript.js";
+
+const CLAWDBOT_HOME = clawdbotHome();
+const SCRIPTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// How often checkpoint triggers are re-evaluated
+const TICK_MS = 15 * 1000;
+// Watch mode rescans this often in case fs.watch missed an event
+const RESCAN_MS = 60 * 1000;
+// A child run taking longer than this is killed
+const JOB_TIMEOUT_MS = 10 * 60 * 1000;
+// How long shutdown waits for a running job (and again for the final checkpoints)
+const SHUTDOWN_WAIT_MS = 60 * 1000;
+const READ_CHUNK_SIZE = 1024 * 1024;
+
+const POLL = process.argv.includes("--poll");
+const VERBOSE = process.argv.includes("--verbose");
+const DRY_RUN = process.argv.includes("--dry-run");
+
+function log(...args) {
+  console.log(`[memory-daemon] ${new Date().toISOString()}`, ...args);
+}
+
+function verbose(...args) {
+  if (VERBOSE) log(...args);
+}
+
+let settings = settingsFor(null, "daemon");
+let stopping = false;
+
+// agentId -> { dir, format, watcher, polling, lastCheckpointMs }
+const agents = new Map();
+// transcript path -> { agentId, offset, pending, lastAppendMs }
+const transcripts = new Map();
+// transcript path -> pending debounce timer
+const debounces = new Map();
+// transcript path -> in-flight scan, so scans of one file never overlap
+const scans = new Map();
+const timers = [];
+
+// Jobs run one at a time: { name, script, args, agentId, reason }
+const queue = [];
+let running = null;
+
+// ---------------------------------------------------------------------------
+// Transcript tracking
+// ---------------------------------------------------------------------------
+
+/**
+ * Count complete user/assistant message lines (read with the agent's
+ * transcript adapter, see lib/transcript.js) between byte offsets `start`
+ * and `end`.
+ * Returns { messages, offset } where offset follows the last complete line;
+ * a line still being written is counted on a later scan.
+ */
+async function countNewMessages(filePath, start, end, format) {
+  const handle = await fs.open(filePath, "r");
+  let messages = 0;
+  let offset = start;
+  let carry = Buffer.alloc(0);
+  try {
+    let pos = start;
+    while (pos < end) {
+      const length = Math.min(READ_CHUNK_SIZE, end - pos);
+      const buf = Buffer.alloc(length);
+      const { bytesRead } = await handle.read(buf, 0, length, pos);
+      if (bytesRead === 0) break;
+      pos += bytesRead;
+
+      const data = Buffer.concat([carry, buf.subarray(0, bytesRead)]);
+      let lineStart = 0;
+      let nl;
+      while ((nl = data.indexOf(0x0a, lineStart)) !== -1) {
+        if (isConversationLine(data.toString("utf-8", lineStart, nl), format)) messages++;
+        lineStart = nl + 1;
+      }
+      offset += lineStart;
+      carry = data.subarray(lineStart);
+    }
+  } finally {
+    await handle.close();
+  }
+  return { messages, offset };
+}
+
+/**
+ * Pick up whatever was appended to one transcript since the last scan.
+ * Files seen for the first time start at their current size when
+ * `baseline` is set (startup), otherwise at zero (a new session).
+ */
+async function scanTranscript(agentId, filePath, baseline = false) {
+  let stat;
+  try {
+    stat = await fs.stat(filePath);
+  } catch {
+    transcripts.delete(filePath);
+    return;
+  }
+
+  let tracked = transcripts.get(filePath);
+  if (!tracked) {
+    tracked = { agentId, offset: baseline ? stat.size : 0, pending: 0, lastAppendMs: 0 };
+    transcripts.set(filePath, tracked);
+  }
+  if (stat.size < tracked.offset) {
+    verbose(`${agentId}: ${path.basename(filePath)} shrank, rereading from the start`);
+    tracked.offset = 0;
+  }
+  if (stat.size === tracked.offset) return;
+
+  const { messages, offset } = await countNewMessages(filePath, tracked.offset, stat.size, agents.get(agentId).format);
+  tracked.offset = offset;
+  if (messages > 0) {
+    tracked.pending += messages;
+    tracked.lastAppendMs = Date.now();
+    verbose(`${agentId}: ${path.basename(filePath)} +${messages} messages (${tracked.pending} pending)`);
+    evaluateAgent(agentId);
+  }
+}
+
+function queueScan(agentId, filePath, baseline = false) {
+  const previous = scans.get(filePath) || Promise.resolve();
+  const next = previous
+    .then(() => scanTranscript(agentId, filePath, baseline))
+    .catch((err) => log(`${agentId}: failed to scan ${path.basename(filePath)}:`, err.message))
+    .finally(() => {
+      if (scans.get(filePath) === next) scans.delete(filePath);
+    });
+  scans.set(filePath, next);
+  return next;
+}
+
+function isTranscript(name) {
+  return name.endsWith(".jsonl") && !name.includes(".deleted") && !name.includes(".lock");
+}
+
+/**
+ * Scan every transcript of an agent, forgetting ones that disappeared.
+ */
+async function scanAgent(agentId, baseline = false) {
+  const { dir } = agents.get(agentId);
+  let names;
+  try {
+    names = (await fs.readdir(dir)).filter(isTranscript);
+  } catch {
+    return;
+  }
+  const present = new Set(names.map((n) => path.join(dir, n)));
+  for (const [filePath, tracked] of transcripts) {
+    if (tracked.agentId === agentId && !present.has(filePath)) transcripts.delete(filePath);
+  }
+  await Promise.all([...present].map((filePath) => queueScan(agentId, filePath, baseline)));
+}
+
+/**
+ * Watch an agent's sessions directory. Falls back to polling that agent if
+ * fs.watch isn't supported there; a missing directory is retried on the
+ * next rescan.
+ */
+function watchAgent(agentId) {
+  const agent = agents.get(agentId);
+  if (POLL || agent.watcher || agent.polling) return;
+  try {
+    agent.watcher = watch(agent.dir, (eventType, filename) => {
+      if (!filename || !isTranscript(filename.toString())) return;
+      const filePath = path.join(agent.dir, filename.toString());
+      clearTimeout(debounces.get(filePath));
+      debounces.set(
+        filePath,
+        setTimeout(() => {
+          debounces.delete(filePath);
+          queueScan(agentId, filePath);
+        }, settings.debounceSeconds * 1000)
+      );
+    });
+    agent.watcher.on("error", (err) => {
+      log(`${agentId}: watcher failed (${err.message}), polling instead`);
+      agent.watcher.close();
+      agent.watcher = null;
+      agent.polling = true;
+    });
+    verbose(`${agentId}: watching ${agent.dir}`);
+  } catch (err) {
+    if (err.code === "ENOENT") return;
+    log(`${agentId}: can't watch ${agent.dir} (${err.message}), polling instead`);
+    agent.polling = true;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Checkpoint triggers
+// ---------------------------------------------------------------------------
+
+/**
+ * Queue a checkpoint for an agent whose new messages reached a trigger.
+ */
+function evaluateAgent(agentId, now = Date.now()) {
+  if (stopping) return;
+  let pending = 0;
+  let lastAppendMs = 0;
+  for (const t of transcripts.values()) {
+    if (t.agentId !== agentId) continue;
+    pending += t.pending;
+    lastAppendMs = Math.max(lastAppendMs, t.lastAppendMs);
+  }
+  if (pending === 0) return;
+
+  let reason = null;
+  if (pending >= settings.checkpointMessages) {
+    reason = `${pending} new messages`;
+  } else if (now - lastAppendMs >= settings.checkpointIdleMinutes * 60000) {
+    reason = `${pending} new messages, quiet for ${settings.checkpointIdleMinutes}m`;
+  } else if (now - agents.get(agentId).lastCheckpointMs >= settings.checkpointMaxMinutes * 60000) {
+    reason = `${pending} new messages, ${settings.checkpointMaxMinutes}m since last checkpoint`;
+  }
+  if (reason) enqueueCheckpoint(agentId, reason);
+}
+
+function enqueueCheckpoint(agentId, reason) {
+  enqueue({
+    name: `checkpoint ${agentId}`,
+    script: "memory-checkpoint.js",
+    args: ["--agent", agentId],
+    agentId,
+    reason,
+  });
+}
+
+function enqueueRotation(reason) {
+  enqueue({ name: "rotation check", script: "session-rotation-monitor.js", args: [], reason });
+}
+
+function enqueueConsolidation(reason) {
+  if (settings.consolidateHours > 0) {
+    enqueue({ name: "consolidation", script: "memory-consolidate.js", args: [], reason });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Job runner
+// ---------------------------------------------------------------------------
+
+function enqueue(job) {
+  // Already waiting or running: the run will see the latest state anyway
+  if (running?.job.name === job.name || queue.some((j) => j.name === job.name)) return;
+  queue.push(job);
+  runNext();
+}
+
+function runNext() {
+  if (running || queue.length === 0) return;
+  const job = queue.shift();
+
+  // Messages from here on belong to the next checkpoint
+  const agentIds = job.agentId ? [job.agentId] : job.script === "memory-checkpoint.js" ? [...agents.keys()] : [];
+  for (const t of transcripts.values()) {
+    if (agentIds.includes(t.agentId)) t.pending = 0;
+  }
+  for (const agentId of agentIds) agents.get(agentId).lastCheckpointMs = Date.now();
+
+  const args = [path.join(SCRIPTS_DIR, job.script), ...job.args];
+  if (VERBOSE) args.push("--verbose");
+  if (DRY_RUN) args.push("--dry-run");
+
+  log(`Running ${job.name} (${job.reason})`);
+  const startedAt = Date.now();
+  // Own process group: a Ctrl-C meant for the daemon must not cut a run short
+  const child = spawn(process.execPath, args, { stdio: ["ignore", "inherit", "inherit"], detached: true });
+  const timeout = setTimeout(() => {
+    log(`${job.name} still running after ${JOB_TIMEOUT_MS / 60000}m, stopping it`);
+    child.kill("SIGTERM");
+  }, JOB_TIMEOUT_MS);
+  running = { job, child };
+
+  let finished = false;
+  const finish = (outcome) => {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timeout);
+    running = null;
+    const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+    if (outcome) log(`${job.name} ${outcome} after ${seconds}s`);
+    else verbose(`${job.name} finished in ${seconds}s`);
+    for (const agentId of agents.keys()) evaluateAgent(agentId);
+    runNext();
+  };
+  child.on("error", (err) => finish(`failed to start: ${err.message}`));
+  child.on("exit", (code, signal) => {
+    finish(signal ? `killed by ${signal}` : code !== 0 ? `exited with code ${code}` : null);
+  });
+}
+
+/**
+ * Wait until nothing is running or queued. Returns false on timeout.
+ */
+async function waitForIdle(timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while ((running || queue.length > 0) && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+  return !running && queue.length === 0;
+}
+
+// ---------------------------------------------------------------------------
+// Lifecycle
+// ---------------------------------------------------------------------------
+
+async function shutdown(signal) {
+  if (stopping) {
+    log(`${signal} received again, exiting now`);
+    running?.child.kill("SIGTERM");
+    process.exit(1);
+  }
+  stopping = true;
+  log(`${signal} received, shutting down`);
+
+  for (const timer of timers) clearInterval(timer);
+  for (const timer of debounces.values()) clearTimeout(timer);
+  for (const agent of agents.values()) agent.watcher?.close();
+  queue.length = 0;
+
+  if (!(await waitForIdle(SHUTDOWN_WAIT_MS))) {
+    log(`${running.job.name} didn't finish in ${SHUTDOWN_WAIT_MS / 1000}s, stopping it`);
+    running.child.kill("SIGTERM");
+    await waitForIdle(5000);
+  }
+
+  // Final checkpoint for anything appended since the last one
+  for (const agentId of agents.keys()) await scanAgent(agentId);
+  for (const agentId of agents.keys()) {
+    const pending = [...transcripts.values()]
+      .filter((t) => t.agentId === agentId)
+      .reduce((sum, t) => sum + t.pending, 0);
+    if (pending > 0) enqueueCheckpoint(agentId, `${pending} new messages, shutting down`);
+  }
+  if (!(await waitForIdle(SHUTDOWN_WAIT_MS))) {
+    log("Final checkpoints didn't finish in time");
+    running?.child.kill("SIGTERM");
+  }
+
+  log("Stopped.");
+  process.exit(0);
+}
+
+async function main() {
+  log(`Starting memory daemon (${POLL ? "polling" : "watching"})${DRY_RUN ? " [DRY RUN]" : ""}`);
+
+  let cfg;
+  try {
+    cfg = await loadConfig();
+  } catch (err) {
+    log(err.message);
+    process.exit(1);
+  }
+  settings = settingsFor(cfg, "daemon");
+
+  const agentIds = configuredAgents(cfg);
+  if (agentIds.length === 0) {
+    log("No agents found in config");
+    process.exit(0);
+  }
+
+  for (const agentId of agentIds) {
+    agents.set(agentId, {
+      dir: path.join(CLAWDBOT_HOME, "agents", agentId, "sessions"),
+      format: resolveTranscriptSettings(cfg, agentId).format,
+      watcher: null,
+      polling: false,
+      lastCheckpointMs: Date.now(),
+    });
+    await scanAgent(agentId, true);
+    watchAgent(agentId);
+  }
+  log(
+    `Tracking ${transcripts.size} transcripts for ${agentIds.length} agents; checkpoint after ${settings.checkpointMessages} messages, ${settings.checkpointIdleMinutes}m quiet or ${settings.checkpointMaxMinutes}m; rotation check every ${settings.rotationMinutes}m${settings.consolidateHours > 0 ? `; consolidation every ${settings.consolidateHours}h` : ""}`
+  );
+
+  process.on("SIGINT", () => shutdown("SIGINT"));
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+  // Catch up on anything written while the daemon wasn't running
+  enqueue({ name: "checkpoint all", script: "memory-checkpoint.js", args: [], reason: "startup" });
+  enqueueRotation("startup");
+  enqueueConsolidation("startup");
+
+  timers.push(
+    setInterval(() => {
+      for (const agentId of agents.keys()) evaluateAgent(agentId);
+    }, TICK_MS),
+    setInterval(() => {
+      for (const [agentId, agent] of agents) {
+        if (POLL || agent.polling || !agent.watcher) {
+          watchAgent(agentId);
+          scanAgent(agentId);
+        }
+      }
+    }, settings.pollSeconds * 1000),
+    setInterval(() => {
+      if (POLL) return;
+      for (const agentId of agents.keys()) scanAgent(agentId);
+    }, RESCAN_MS),
+    setInterval(() => enqueueRotation("schedule"), settings.rotationMinutes * 60000)
+  );
+  if (settings.consolidateHours > 0) {
+    timers.push(setInterval(() => enqueueConsolidation("schedule"), settings.consolidateHours * 3600000));
+  }
+}
+
+if (process.argv.includes("--print-config")) {
+  process.exit(await printConfig({ json: process.argv.includes("--json") }));
+}
+
+main().catch((err) => {
+  log("Fatal error:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,740 @@
+#!/usr/bin/env node
+/**
+ * memory-replay.js — Rebuild memory from historical session transcripts
+ *
+ * memory-checkpoint.js only sees sessions active within its staleness
+ * window, so history from before the infra was installed (or from before
+ * an extraction fix) never reaches memory. Replay walks every transcript of
+ * an agent — plain, gzipped by cleanup-sessions.sh (*.jsonl.gz) and
+ * deleted (*.deleted.*) — and writes what checkpointing would have:
+ *
+ *   1. Daily log entries in memory/YYYY-MM-DD.md, one per hour of activity,
+ *      in the same format and with the same range hashes as live entries
+ *      (lib/checkpoint.js). They are merged into existing logs in time
+ *      order; an entry whose hash is already in the log is skipped, so
+ *      replay can be re-run safely.
+ *   2. A structured summary, memory/YYYY-MM-DD-summary-<session>.md, for
+ *      every ended session (no longer current in sessions.json) that has
+ *      neither a session summary nor a rotation handoff (see
+ *      summarizedSessions for how existing ones are recognised). Observations are
+ *      rule-based (lib/observations.js); tagged ones are promoted to the
+ *      shared pool like the session-summary hook does.
+ *
+ * Nothing is logged twice:
+ *   - transcript lines up to the last successful checkpoint of their
+ *     session (from the audit log) are already in a daily log, and so are
+ *     the lines of a plain transcript below its offset in
+ *     checkpoint-state.json
+ *   - dates whose daily log has checkpoint entries without range hashes
+ *     (written before hashes existed, so they can't be matched) are left
+ *     alone unless --force is given
+ *   - dates listed in a digest's sources were consolidated and are left
+ *     alone, as are sessions modified within checkpoint.staleHours (the
+ *     live checkpoint still owns those)
+ *   - plain transcripts that were replayed get a checkpoint offset, so a
+ *     session that resumes later is picked up where replay stopped
+ *
+ * Replayed entries are hashed per hour and can't match the live entries'
+ * hashes, so a line is only known to be logged from those two records.
+ * Both are pruned: the audit log past memoryInfra.audit.keep rotated
+ * files, checkpoint offsets of sessions untouched for 30 days (and a
+ * gzipped or deleted transcript has none). Lines of a session whose
+ * records are both gone are logged again, except on consolidated dates.
+ *
+ * Each agent with changes gets a "replay" audit event and a fresh INDEX.md.
+ *
+ * Usage: node memory-replay.js [--agent <id>] [--since 30d|YYYY-MM-DD] [--force] [--dry-run] [--verbose]
+ *        node memory-replay.js --print-config [--agent <id>] [--json]
+ *
+ * --since only replays transcript lines from then on (see
+ * lib/audit-log.js parseAuditTime for the accepted forms). --force merges
+ * entries into daily logs with unhashed checkpoint entries too, which may
+ * log some lines twice.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { gunzipSync } from "node:zlib";
+import { appendAuditEvent, auditFile, parseAuditTime, streamAuditEvents } from "./lib/audit-log.js";
+import { buildDailyEntry, extractMessages, localDate, loggedEntries, rangeHash } from "./lib/checkpoint.js";
+import { clawdbotHome, configuredAgents, loadConfig, printConfig, resolveWorkspace, settingsFor } from "./lib/config.js";
+import { ARCHIVE_DIR, parseDigest } from "./lib/memory-consolidate.js";
+import { buildMemoryIndex } from "./lib/memory-index.js";
+import { classifyObservations } from "./lib/observations.js";
+import { loadRedactionRules, redactText } from "./lib/redact.js";
+import { ensurePrivateDir, updateFileLocked, withFileLock, writeFileAtomic } from "./lib/safe-write.js";
+import { buildStructuredTemplate, summarizeSession } from "./lib/session-summary.js";
+import { findPublishable, promoteObservations, resolveSharedSettings } from "./lib/shared-memory.js";
+import { parseTranscript, resolveTranscriptSettings } from "./lib/transcript.js";
+
+const CLAWDBOT_HOME = clawdbotHome();
+// memory-checkpoint.js's per-session read offsets
+const STATE_DIR = path.join(CLAWDBOT_HOME, "memory-infra");
+const STATE_PATH = path.join(STATE_DIR, "checkpoint-state.json");
+
+// Transcript lines summarized per session, as the session-summary hook does
+const SUMMARY_LINES = 80;
+// Checkpoint outcomes after which the session's lines are in a daily log
+const LOGGED_OUTCOMES = new Set([undefined, "appended", "duplicate"]);
+
+// Summary and handoff headers: "# Session: 2026-01-31 14:05:12 UTC — ..."
+// followed by "- **Session Key**: ..." and, since replay, "- **Session ID**: ..."
+const SUMMARY_TITLE_PATTERN = /^# Session: (\d{4}-\d\d-\d\d) (\d\d:\d\d:\d\d) UTC/m;
+const SESSION_KEY_PATTERN = /^- \*\*Session Key\*\*: (\S+)/m;
+const SESSION_ID_PATTERN = /^- \*\*Session ID\*\*: (\S+)/m;
+// Shortest last message worth looking for in an existing summary
+const MIN_FINGERPRINT_CHARS = 20;
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const FORCE = process.argv.includes("--force");
+const VERBOSE = process.argv.includes("--verbose");
+
+function log(...args) {
+  console.log(`[memory-replay] ${new Date().toISOString()}`, ...args);
+}
+
+function verbose(...args) {
+  if (VERBOSE) log(...args);
+}
+
+function argValue(flag) {
+  const i = process.argv.indexOf(flag);
+  return i >= 0 ? process.argv[i + 1] : null;
+}
+
+function fail(message) {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+}
+
+/**
+ * What the audit log knows about an agent's sessions, in one pass:
+ *   keys         — session id → session key, from any event
+ *   checkpointed — session id → the time up to which live checkpoints
+ *                  already logged its lines: the latest checkpoint event
+ *                  that covered it and whose daily log entry was appended
+ *                  (or had nothing new to log)
+ *   summarized   — ids of sessions with a summary, rotation or replay
+ */
+async function scanAuditLog(agentId) {
+  const keys = new Map();
+  const checkpointed = new Map();
+  const summarized = new Set();
+  for await (const event of streamAuditEvents({ agent: agentId })) {
+    if (event.sessionId && event.sessionKey) keys.set(event.sessionId, event.sessionKey);
+    for (const c of event.conversations || []) {
+      if (c.sessionId && c.sessionKey) keys.set(c.sessionId, c.sessionKey);
+    }
+
+    if (event.action === "checkpoint" && LOGGED_OUTCOMES.has(event.daily) && !event.error) {
+      const t = Date.parse(event.ts);
+      for (const c of event.conversations || []) {
+        if (c.sessionId && !(checkpointed.get(c.sessionId) >= t)) checkpointed.set(c.sessionId, t);
+      }
+    }
+    if (["summary", "rotate", "replay"].includes(event.action)) {
+      if (event.sessionId) summarized.add(event.sessionId);
+      for (const s of event.summaries || []) summarized.add(s.sessionId);
+    }
+  }
+  return { keys, checkpointed, summarized };
+}
+
+/**
+ * memory-checkpoint.js's read offsets: transcript path → { ino, offset }.
+ */
+async function loadCheckpointOffsets() {
+  try {
+    const state = JSON.parse(await fs.readFile(STATE_PATH, "utf-8"));
+    return new Map(Object.entries(state?.sessions || {}));
+  } catch {
+    return new Map();
+  }
+}
+
+/**
+ * Map session ids to session keys: the gateway's store for current
+ * sessions, `audited` keys (from scanAuditLog) for sessions that have
+ * since been reset. Returns { keys, current } where `current` holds the
+ * ids still in use.
+ */
+async function loadSessionKeys(audited, sessionsDir) {
+  const keys = new Map(audited);
+  const current = new Set();
+  try {
+    const store = JSON.parse(await fs.readFile(path.join(sessionsDir, "sessions.json"), "utf-8"));
+    for (const [key, entry] of Object.entries(store || {})) {
+      if (!entry?.sessionId) continue;
+      keys.set(entry.sessionId, key);
+      current.add(entry.sessionId);
+    }
+  } catch {
+    // No store — sessions are labelled by id and none counts as current
+  }
+  return { keys, current };
+}
+
+/**
+ * Every transcript of an agent that replay may read, oldest first:
+ * plain, gzipped and deleted, but not the ones still within the live
+ * checkpoint's staleness window or too small to checkpoint.
+ */
+async function findTranscripts(agentId, settings, since) {
+  const sessionsDir = path.join(CLAWDBOT_HOME, "agents", agentId, "sessions");
+  let entries;
+  try {
+    entries = await fs.readdir(sessionsDir);
+  } catch {
+    return [];
+  }
+
+  const transcripts = [];
+  for (const name of entries) {
+    if (!name.includes(".jsonl") || name.endsWith(".lock")) continue;
+    const fp = path.join(sessionsDir, name);
+    let stat;
+    try {
+      stat = await fs.stat(fp);
+    } catch {
+      continue;
+    }
+    if (!stat.isFile()) continue;
+
+    const sessionId = name.slice(0, name.indexOf(".jsonl"));
+    const compressed = name.endsWith(".gz");
+    if (!compressed && Date.now() - stat.mtimeMs < settings.staleHours * 60 * 60 * 1000) {
+      verbose(`${agentId}: ${name} is still active, left to memory-checkpoint`);
+      continue;
+    }
+    if (since !== null && stat.mtimeMs < since) {
+      verbose(`${agentId}: ${name} last modified before --since, skipping`);
+      continue;
+    }
+    if (!compressed && stat.size < settings.minSessionBytes) {
+      verbose(`${agentId}: ${name} too small (${stat.size}B), skipping`);
+      continue;
+    }
+    transcripts.push({ path: fp, name, sessionId, compressed, mtimeMs: stat.mtimeMs, ino: stat.ino });
+  }
+  return transcripts.sort((a, b) => a.mtimeMs - b.mtimeMs);
+}
+
+/**
+ * Complete lines of a transcript (gunzipped if needed), each with the time
+ * it was written and the byte offset just past it. Lines without a
+ * timestamp take the previous line's (or, at the start, the first one
+ * found; the file's mtime if there are none). Returns
+ * { lines: [{ line, at, end }], bytes } where `bytes` is the offset just
+ * past the last complete line.
+ */
+async function readTranscript(transcript, format) {
+  let raw = await fs.readFile(transcript.path);
+  if (transcript.compressed) raw = gunzipSync(raw);
+  const text = raw.toString("utf-8");
+  const end = text.lastIndexOf("\n") + 1;
+
+  const lines = [];
+  let at = null;
+  let offset = 0;
+  for (const line of text.slice(0, end).split("\n")) {
+    offset += Buffer.byteLength(line) + 1;
+    if (!line.trim()) continue;
+    const stamp = parseTranscript([line], { format }).events.find((e) => e.timestamp)?.timestamp;
+    const ms = stamp ? Date.parse(stamp) : NaN;
+    if (!Number.isNaN(ms)) at = ms;
+    lines.push({ line, at, end: offset });
+  }
+  const first = lines.find((l) => l.at !== null)?.at ?? transcript.mtimeMs;
+  for (const l of lines) {
+    if (l.at !== null) break;
+    l.at = first;
+  }
+  return { lines, bytes: Buffer.byteLength(text.slice(0, end)) };
+}
+
+/**
+ * The last user or assistant message of a session as a summary excerpt
+ * shows it ("user: ..."), raw and redacted, or [] if it is too short to
+ * identify the session.
+ */
+function lastMessageFingerprints(s, rules, format) {
+  const message = parseTranscript(s.lines.map((l) => l.line), { format })
+    .events.filter((e) => e.kind === "message" && (e.role === "user" || e.role === "assistant") && e.text && !e.text.startsWith("/"))
+    .pop();
+  const first = message?.text.split("\n")[0].trim().slice(0, 80);
+  if (!first || first.length < MIN_FINGERPRINT_CHARS) return [];
+  return [...new Set([first, redactText(first, rules).text])].map((text) => `${message.role}: ${text}`);
+}
+
+/**
+ * The sessions among `sessions` that already have a summary or a rotation
+ * handoff. A session counts as summarized if
+ *   - the audit log has a summary, rotation or replay of it (`audited`
+ *     holds those ids, from scanAuditLog),
+ *   - a memory file (archived ones included) is named after it, or its
+ *     header has the session's id, or
+ *   - a summary without a session id (written before they had one) is for
+ *     the session's key: it belongs to the last session of that key that
+ *     ended before it was written. When the key isn't known (the session
+ *     ended before the audit log existed) the summary's excerpt must hold
+ *     the session's last message instead.
+ * Returns { has(session) }.
+ */
+function summarizedSessions(audited, memory, sessions, rules, format) {
+  const prefixes = memory.names
+    .map((name) => name.match(/-(?:summary|handoff)-([^.]+)\.md$/)?.[1])
+    .filter(Boolean);
+
+  const done = new Set();
+  for (const s of sessions) {
+    if (audited.has(s.sessionId) || prefixes.some((p) => s.sessionId.startsWith(p))) done.add(s);
+  }
+  for (const summary of memory.summaries) {
+    if (summary.sessionId) {
+      for (const s of sessions) if (s.sessionId === summary.sessionId) done.add(s);
+      continue;
+    }
+    const ended = sessions.filter((s) => s.lines.length > 0 && s.lines[s.lines.length - 1].at <= summary.at);
+    const sameKey = summary.sessionKey ? ended.filter((s) => s.sessionKey === summary.sessionKey) : [];
+    if (sameKey.length > 0) {
+      done.add(sameKey.reduce((a, b) => (b.lines[b.lines.length - 1].at > a.lines[a.lines.length - 1].at ? b : a)));
+      continue;
+    }
+    for (const s of ended) {
+      if (s.sessionKey && summary.sessionKey && s.sessionKey !== summary.sessionKey) continue;
+      if (lastMessageFingerprints(s, rules, format).some((fp) => summary.content.includes(fp))) done.add(s);
+    }
+  }
+  return { has: (s) => done.has(s) };
+}
+
+/**
+ * Session details from a summary or handoff file's header: { at, sessionKey,
+ * sessionId, content }, or null if it has no "# Session:" title.
+ */
+function parseSummaryHeader(content) {
+  const title = content.match(SUMMARY_TITLE_PATTERN);
+  if (!title) return null;
+  return {
+    at: Date.parse(`${title[1]}T${title[2]}Z`),
+    sessionKey: content.match(SESSION_KEY_PATTERN)?.[1] || null,
+    sessionId: content.match(SESSION_ID_PATTERN)?.[1] || null,
+    content,
+  };
+}
+
+/**
+ * Names of every memory file, archived ones without their .gz suffix; the
+ * dates whose daily logs a digest has consolidated; the dates whose daily
+ * logs have checkpoint entries without a range hash (`unhashed`); and the
+ * headers of dated session files (see parseSummaryHeader).
+ */
+async function scanMemory(memoryDir) {
+  const names = [];
+  const consolidated = new Set();
+  const unhashed = new Set();
+  const summaries = [];
+  let entries = [];
+  try {
+    entries = await fs.readdir(memoryDir);
+  } catch {
+    // No memory yet
+  }
+  for (const name of entries) {
+    names.push(name);
+    const daily = name.match(/^(\d{4}-\d\d-\d\d)(-.+)?\.md$/);
+    if (daily) {
+      try {
+        const content = await fs.readFile(path.join(memoryDir, name), "utf-8");
+        if (!daily[2]) {
+          const headings = content.match(/^### Checkpoint /gm)?.length || 0;
+          if (headings > loggedEntries(content).length) unhashed.add(daily[1]);
+        } else {
+          const header = parseSummaryHeader(content);
+          if (header) summaries.push(header);
+        }
+      } catch {
+        // Unreadable — treated as absent
+      }
+      continue;
+    }
+    if (!/^digest-.+\.md$/.test(name)) continue;
+    try {
+      const digest = parseDigest(await fs.readFile(path.join(memoryDir, name), "utf-8"));
+      for (const source of digest?.sources || []) {
+        const date = source.match(/^(\d{4}-\d\d-\d\d)\.md$/)?.[1];
+        if (date) consolidated.add(date);
+      }
+    } catch {
+      // Unreadable digest — its dates are replayed
+    }
+  }
+
+  const archiveDir = path.join(memoryDir, ARCHIVE_DIR);
+  let periods = [];
+  try {
+    periods = await fs.readdir(archiveDir);
+  } catch {
+    // Nothing archived
+  }
+  for (const period of periods) {
+    let archived;
+    try {
+      archived = await fs.readdir(path.join(archiveDir, period));
+    } catch {
+      continue; // Not a directory
+    }
+    for (const name of archived) {
+      names.push(name.replace(/\.gz$/, ""));
+      if (!/^\d{4}-\d\d-\d\d-.+\.md\.gz$/.test(name)) continue;
+      try {
+        const header = parseSummaryHeader(gunzipSync(await fs.readFile(path.join(archiveDir, period, name))).toString("utf-8"));
+        if (header) summaries.push(header);
+      } catch {
+        // Unreadable archive — treated as absent
+      }
+    }
+  }
+  return { names, consolidated, unhashed, summaries };
+}
+
+/**
+ * Group the lines still to be logged into hourly daily log entries,
+ * leaving out lines on `covered` dates. `extract` holds extractMessages()
+ * options. Returns [{ date, at, hash, text }]
+ * in time order.
+ */
+function buildHourlyEntries(agentId, sessions, rules, extract, covered) {
+  const buckets = new Map();
+  for (const s of sessions) {
+    for (const { line, at } of s.pending) {
+      const when = new Date(at);
+      const date = localDate(when);
+      if (covered.has(date)) continue;
+      const bucketKey = `${date}T${String(when.getHours()).padStart(2, "0")}`;
+      if (!buckets.has(bucketKey)) buckets.set(bucketKey, { date, at, sessions: new Map() });
+      const bucket = buckets.get(bucketKey);
+      bucket.at = Math.max(bucket.at, at);
+      if (!bucket.sessions.has(s)) bucket.sessions.set(s, []);
+      bucket.sessions.get(s).push(line);
+    }
+  }
+
+  const entries = [];
+  for (const bucket of [...buckets.values()].sort((a, b) => a.at - b.at)) {
+    const conversations = [];
+    for (const [s, lines] of bucket.sessions) {
+      const { messages, actions, events, redactions } = extractMessages(lines, rules, extract);
+      if (messages.length === 0 && actions.length === 0 && events.length === 0) continue;
+      conversations.push({
+        session: { sessionId: s.sessionId, sessionKey: s.sessionKey },
+        messages,
+        actions,
+        events,
+        redactions,
+        hash: rangeHash([s.sessionId, ...lines]),
+      });
+    }
+    if (conversations.length === 0) continue;
+    const at = new Date(bucket.at);
+    const hash = rangeHash(conversations.map((c) => c.hash));
+    entries.push({ date: bucket.date, at, hash, text: buildDailyEntry(agentId, conversations, rules, at, hash, "replay") });
+  }
+  return entries;
+}
+
+/**
+ * Merge entries into a daily log in time order, skipping those whose range
+ * is already logged. Returns { content, added }, or null if nothing changed.
+ */
+function mergeDailyLog(existing, agentId, date, entries) {
+  const logged = new Set(loggedEntries(existing).map((e) => e.hash));
+  const fresh = entries.filter((e) => !logged.has(e.hash));
+  if (fresh.length === 0) return null;
+
+  const content = existing ?? `# ${agentId} — ${date}\n\n`;
+  const parts = content.split(/^(?=### Checkpoint .*\n<!-- checkpoint at=)/m);
+  const header = parts[0].startsWith("### Checkpoint ") ? "" : parts.shift();
+  const blocks = parts.map((text) => ({ at: Date.parse(loggedEntries(text)[0]?.at) || 0, text }));
+  for (const entry of fresh) blocks.push({ at: entry.at.getTime(), text: entry.text });
+  blocks.sort((a, b) => a.at - b.at);
+
+  return {
+    content: header + blocks.map((b) => (b.text.endsWith("\n") ? b.text : b.text + "\n")).join(""),
+    added: fresh.length,
+  };
+}
+
+/**
+ * Write a structured summary for an ended session from the tail of its
+ * transcript. Returns { file, observations, promoted } or null if the
+ * session has too little to summarize.
+ */
+async function writeSummary(agentId, s, memoryDir, cfg, rules, format) {
+  const session = summarizeSession(s.lines.slice(-SUMMARY_LINES).map((l) => l.line), rules, format);
+  if (session.messages.length < 3 || session.content.length < 50) return null;
+
+  const observations = classifyObservations(session.messages);
+  const endedAt = new Date(s.lines[s.lines.length - 1].at);
+  const dateStr = endedAt.toISOString().split("T")[0];
+  const timeStr = endedAt.toISOString().split("T")[1].split(".")[0];
+  const filename = `${dateStr}-summary-${s.sessionId.slice(0, 8)}.md`;
+  const filePath = path.join(memoryDir, filename);
+
+  if (DRY_RUN) {
+    log(`${agentId}: [DRY RUN] would write ${filename} (${observations.length} observations)`);
+    return { file: filename, observations: observations.length, promoted: 0 };
+  }
+
+  const structured = redactText(buildStructuredTemplate(session.content, observations), rules);
+  const header = [
+    `# Session: ${dateStr} ${timeStr} UTC — replayed`,
+    "",
+    `- **Session Key**: ${s.sessionKey || "unknown"}`,
+    `- **Session ID**: ${s.sessionId}`,
+    `- **Agent**: ${agentId}`,
+    "- **Source**: memory-replay",
+    `- **Redactions**: ${session.redactions + structured.count}`,
+    "",
+  ].join("\n");
+  const written = await withFileLock(filePath, async () => {
+    try {
+      await fs.access(filePath);
+      return false;
+    } catch {
+      await writeFileAtomic(filePath, header + structured.text);
+      return true;
+    }
+  });
+  if (!written) return null;
+  verbose(`${agentId}: wrote ${filename}`);
+
+  let promoted = 0;
+  const shared = resolveSharedSettings(cfg, agentId);
+  if (shared.enabled) {
+    try {
+      const added = await promoteObservations(
+        agentId,
+        findPublishable(header + structured.text, shared.publish, dateStr),
+        { sourceFile: filename }
+      );
+      promoted = added.length;
+    } catch (err) {
+      log(`${agentId}: shared memory promotion failed:`, err.message);
+    }
+  }
+  return { file: filename, observations: observations.length, promoted };
+}
+
+/**
+ * Record replayed plain transcripts in memory-checkpoint.js's offset state,
+ * unless the live checkpoint already tracks them. Replay takes offsets as
+ * logged, so sessions with lines on `deferred` dates (left for --force)
+ * get none.
+ */
+async function recordOffsets(sessions, deferred) {
+  const plain = sessions.filter(
+    (s) => !s.compressed && !s.name.includes(".deleted") && !s.pending.some((l) => deferred.has(localDate(new Date(l.at))))
+  );
+  if (plain.length === 0) return;
+  await ensurePrivateDir(STATE_DIR);
+  await updateFileLocked(STATE_PATH, (existing) => {
+    let state;
+    try {
+      state = JSON.parse(existing);
+    } catch {
+      state = null;
+    }
+    state = { sessions: state?.sessions || {}, agents: state?.agents || {} };
+    for (const s of plain) {
+      if (state.sessions[s.path]) continue;
+      state.sessions[s.path] = { ino: s.ino, size: s.bytes, offset: s.bytes, updatedAt: new Date().toISOString() };
+    }
+    return JSON.stringify(state, null, 2) + "\n";
+  });
+}
+
+/**
+ * Replay every transcript of one agent into its memory. Returns true if
+ * anything was (or, with --dry-run, would be) written.
+ */
+async function replayAgent(cfg, agentId, since) {
+  const settings = settingsFor(cfg, "checkpoint", agentId);
+  const { format } = resolveTranscriptSettings(cfg, agentId);
+  const rules = loadRedactionRules(cfg);
+  const workspace = resolveWorkspace(cfg, agentId);
+  const memoryDir = path.join(workspace, "memory");
+
+  const transcripts = await findTranscripts(agentId, settings, since);
+  if (transcripts.length === 0) {
+    verbose(`${agentId}: no historical transcripts`);
+    return false;
+  }
+
+  const sessionsDir = path.join(CLAWDBOT_HOME, "agents", agentId, "sessions");
+  const history = await scanAuditLog(agentId);
+  const { keys, current } = await loadSessionKeys(history.keys, sessionsDir);
+  const until = history.checkpointed;
+  const offsets = await loadCheckpointOffsets();
+  const memory = await scanMemory(memoryDir);
+
+  const sessions = [];
+  for (const t of transcripts) {
+    let read;
+    try {
+      read = await readTranscript(t, format);
+    } catch (err) {
+      log(`${agentId}: failed to read ${t.name}:`, err.message);
+      continue;
+    }
+    const logged = until.get(t.sessionId) ?? -Infinity;
+    const position = offsets.get(t.path);
+    const offset = !t.compressed && position?.ino === t.ino ? position.offset : 0;
+    const pending = read.lines.filter((l) => l.at > logged && l.end > offset && (since === null || l.at >= since));
+    verbose(`${agentId}: ${t.name}: ${read.lines.length} lines, ${pending.length} not yet logged`);
+    sessions.push({ ...t, sessionKey: keys.get(t.sessionId) || null, lines: read.lines, bytes: read.bytes, pending });
+  }
+
+  // Daily logs, grouped by date
+  const covered = new Set(memory.consolidated);
+  const deferred = new Set();
+  for (const date of memory.unhashed) {
+    if (FORCE) continue;
+    covered.add(date);
+    deferred.add(date);
+    verbose(`${agentId}: ${date}.md has checkpoint entries without hashes, left alone (--force to merge)`);
+  }
+  const extract = { format, toolsAllow: settings.toolsAllow, toolsDeny: settings.toolsDeny };
+  const entries = buildHourlyEntries(agentId, sessions, rules, extract, covered);
+  const byDate = new Map();
+  for (const entry of entries) {
+    if (!byDate.has(entry.date)) byDate.set(entry.date, []);
+    byDate.get(entry.date).push(entry);
+  }
+  if (memory.consolidated.size > 0) verbose(`${agentId}: ${memory.consolidated.size} consolidated dates left alone`);
+
+  if (!DRY_RUN) await ensurePrivateDir(memoryDir);
+  const files = [];
+  const days = [];
+  for (const [date, dayEntries] of byDate) {
+    const dailyFile = path.join(memoryDir, `${date}.md`);
+    try {
+      let merged = null;
+      if (DRY_RUN) {
+        let existing = null;
+        try {
+          existing = await fs.readFile(dailyFile, "utf-8");
+        } catch {
+          // New daily log
+        }
+        merged = mergeDailyLog(existing, agentId, date, dayEntries);
+      } else {
+        await updateFileLocked(dailyFile, (existing) => {
+          merged = mergeDailyLog(existing, agentId, date, dayEntries);
+          return merged?.content;
+        });
+      }
+      if (!merged) {
+        verbose(`${agentId}: ${date}.md already has every replayed entry`);
+        continue;
+      }
+      log(`${agentId}: ${DRY_RUN ? "[DRY RUN] would merge" : "merged"} ${merged.added} entries into ${date}.md`);
+      days.push({ date, entries: merged.added });
+      if (!DRY_RUN) files.push(await auditFile(dailyFile));
+    } catch (err) {
+      log(`${agentId}: failed to update ${date}.md:`, err.message);
+    }
+  }
+
+  // Summaries of ended sessions that never got one
+  const summarized = summarizedSessions(history.summarized, memory, sessions, rules, format);
+  const summaries = [];
+  for (const s of sessions) {
+    if (current.has(s.sessionId) || summarized.has(s) || s.lines.length === 0) continue;
+    if (since !== null && s.lines[s.lines.length - 1].at < since) continue;
+    try {
+      const summary = await writeSummary(agentId, s, memoryDir, cfg, rules, format);
+      if (!summary) continue;
+      summaries.push({ sessionId: s.sessionId, sessionKey: s.sessionKey || undefined, ...summary });
+      if (!DRY_RUN) files.push(await auditFile(path.join(memoryDir, summary.file)));
+    } catch (err) {
+      log(`${agentId}: failed to summarize ${s.sessionId}:`, err.message);
+    }
+  }
+
+  if (DRY_RUN) return days.length > 0 || summaries.length > 0;
+
+  try {
+    await recordOffsets(sessions, deferred);
+  } catch (err) {
+    log(`${agentId}: failed to record checkpoint offsets:`, err.message);
+  }
+  if (days.length === 0 && summaries.length === 0) {
+    log(`${agentId}: nothing to replay, memory already covers ${sessions.length} transcripts`);
+    return false;
+  }
+
+  try {
+    await buildMemoryIndex(workspace);
+    verbose(`${agentId}: regenerated INDEX.md`);
+  } catch (err) {
+    log(`${agentId}: failed to regenerate INDEX.md:`, err.message);
+  }
+
+  log(`${agentId}: replayed ${sessions.length} transcripts into ${days.length} daily logs and ${summaries.length} summaries`);
+  const audited = await appendAuditEvent({
+    source: "memory-replay",
+    action: "replay",
+    agent: agentId,
+    since: since !== null ? new Date(since).toISOString() : undefined,
+    transcripts: sessions.length,
+    days,
+    summaries,
+    files,
+  });
+  if (!audited) verbose(`${agentId}: failed to write audit event`);
+  return true;
+}
+
+async function main() {
+  const sinceArg = argValue("--since");
+  const since = sinceArg ? parseAuditTime(sinceArg) : null;
+  if (sinceArg && since === null) fail(`invalid --since value: ${sinceArg}`);
+
+  log("Starting replay" + (DRY_RUN ? " [DRY RUN]" : "") + (sinceArg ? ` since ${new Date(since).toISOString()}` : ""));
+
+  let cfg;
+  try {
+    cfg = await loadConfig();
+  } catch (err) {
+    log(err.message);
+    process.exit(1);
+  }
+
+  let agents = configuredAgents(cfg);
+  const onlyAgent = argValue("--agent");
+  if (onlyAgent) {
+    if (!agents.includes(onlyAgent)) fail(`agent ${onlyAgent} not found in config`);
+    agents = [onlyAgent];
+  }
+
+  let changed = 0;
+  for (const agentId of agents) {
+    try {
+      if (await replayAgent(cfg, agentId, since)) changed++;
+    } catch (err) {
+      log(`${agentId}: error:`, err.message);
+    }
+  }
+
+  log(`Done. Replayed ${changed}/${agents.length} agents.`);
+}
+
+if (process.argv.includes("--print-config")) {
+  process.exit(await printConfig({ onlyAgent: argValue("--agent"), json: process.argv.includes("--json") }));
+}
+
+main().catch((err) => {
+  log("Fatal error:", err.message);
+  process.exit(1);
+});
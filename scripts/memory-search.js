@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+/**
+ * memory-search.js — Search agent memory files from the command line
+ *
+ * Ranks heading sections and observation lines in memory/*.md with BM25,
+ * using the incrementally maintained memory/.search-index.json (see
+ * lib/memory-search.js). Searches every agent in clawdbot.json unless
+ * narrowed with --agent or --workspace.
+ *
+ * Usage:
+ *   node memory-search.js <query...> [options]
+ *
+ * Options:
+ *   --agent <id>        Only this agent's workspace
+ *   --workspace <dir>   Search this workspace directly (no config needed)
+ *   --marker <TYPE>     Only observations of this type (GOTCHA, TODO, ...)
+ *   --since <when>      Only files dated on/after YYYY-MM-DD or 36h / 7d / 2w ago
+ *   --limit <n>         Max results (default 10)
+ *   --json              Print results as JSON
+ *
+ * With --marker or --since the query may be empty, listing matches newest first.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { configuredAgents, loadConfig, resolveWorkspace } from "./lib/config.js";
+import { MARKERS } from "./lib/observations.js";
+import { normalizeMarker, parseSince, searchMemory } from "./lib/memory-search.js";
+
+const VALUE_FLAGS = new Set(["--agent", "--workspace", "--marker", "--since", "--limit"]);
+
+function usage(message) {
+  if (message) console.error(`Error: ${message}`);
+  console.error(
+    "Usage: node memory-search.js <query...> [--agent <id>] [--workspace <dir>] [--marker <TYPE>] [--since <when>] [--limit <n>] [--json]"
+  );
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const opts = { terms: [], json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--json") {
+      opts.json = true;
+    } else if (arg === "--help" || arg === "-h") {
+      usage();
+    } else if (VALUE_FLAGS.has(arg)) {
+      if (i + 1 >= argv.length) usage(`${arg} needs a value`);
+      opts[arg.slice(2)] = argv[++i];
+    } else if (arg.startsWith("--")) {
+      usage(`unknown option ${arg}`);
+    } else {
+      opts.terms.push(arg);
+    }
+  }
+  return opts;
+}
+
+/**
+ * Workspaces to search: [{ agentId, workspace }]
+ */
+async function resolveTargets(opts) {
+  if (opts.workspace) {
+    return [{ agentId: opts.agent || null, workspace: path.resolve(opts.workspace) }];
+  }
+
+  let cfg = null;
+  try {
+    cfg = await loadConfig();
+  } catch {
+    // No config: fall back to the default workspace
+  }
+
+  if (opts.agent) return [{ agentId: opts.agent, workspace: resolveWorkspace(cfg, opts.agent) }];
+
+  const ids = configuredAgents(cfg);
+  if (ids.length === 0) ids.push("main");
+  const seen = new Set();
+  return ids
+    .map((agentId) => ({ agentId, workspace: resolveWorkspace(cfg, agentId) }))
+    .filter((t) => !seen.has(t.workspace) && seen.add(t.workspace));
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const query = opts.terms.join(" ");
+
+  const marker = opts.marker ? normalizeMarker(opts.marker) : null;
+  if (opts.marker && !marker) {
+    usage(`unknown marker ${opts.marker} (expected one of ${Object.keys(MARKERS).join(", ")})`);
+  }
+  const since = opts.since ? parseSince(opts.since) : null;
+  if (opts.since && !since) usage(`invalid --since ${opts.since} (use YYYY-MM-DD or e.g. 7d)`);
+  const limit = opts.limit ? parseInt(opts.limit, 10) : 10;
+  if (!(limit > 0)) usage(`invalid --limit ${opts.limit}`);
+  if (!query.trim() && !marker && !since) usage("a query is required unless --marker or --since is given");
+
+  const targets = await resolveTargets(opts);
+  const results = [];
+  for (const { agentId, workspace } of targets) {
+    try {
+      await fs.access(path.join(workspace, "memory"));
+    } catch {
+      if (targets.length === 1) {
+        console.error(`Error: Memory directory not found: ${path.join(workspace, "memory")}`);
+        process.exit(1);
+      }
+      continue;
+    }
+    try {
+      for (const r of await searchMemory(workspace, query, { marker, since, limit })) {
+        results.push({ agent: agentId, workspace, ...r });
+      }
+    } catch (err) {
+      console.error(`Error searching ${workspace}:`, err.message);
+    }
+  }
+
+  results.sort((a, b) => b.score - a.score || b.date.localeCompare(a.date));
+  const top = results.slice(0, limit);
+
+  if (opts.json) {
+    console.log(JSON.stringify(top, null, 2));
+    return;
+  }
+
+  if (top.length === 0) {
+    console.log("No matches.");
+    return;
+  }
+  top.forEach((r, i) => {
+    const where = `${r.agent ? `${r.agent}:` : ""}${r.file}:${r.line}`;
+    const score = query.trim() ? ` (${r.score})` : "";
+    console.log(`${i + 1}. ${where}${score}${r.heading ? ` — ${r.heading}` : ""}`);
+    console.log(`   ${r.snippet}`);
+  });
+}
+
+main().catch((err) => {
+  console.error("Error:", err.message);
+  process.exit(1);
+});
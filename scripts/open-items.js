@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+/**
+ * open-items.js — Report open observations per agent
+ *
+ * Lists the observations in each configured agent's memory/*.md that are
+ * still open — not resolved, superseded or expired (see
+ * lib/observation-lifecycle.js) — with their id, age and source file.
+ * TODOs by default; close one by appending "⚪ [TODO:<id> DONE]" to any
+ * memory file.
+ *
+ * Usage:
+ *   node open-items.js [--agent <id>] [--type TODO,GOTCHA|all] [--closed] [--json]
+ *   node open-items.js --workspace <dir> [--type ...] [--closed] [--json]
+ *
+ *   --closed   also list closed items, with their status and where they were closed
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import os from "node:os";
+import { configuredAgents, loadConfig, resolveWorkspace } from "./lib/config.js";
+import { MARKERS } from "./lib/observations.js";
+import {
+  itemAgeDays,
+  loadObservationLedger,
+  LIFECYCLE_DEFAULTS,
+  resolveLifecycleSettings,
+} from "./lib/observation-lifecycle.js";
+
+const MAX_TEXT_CHARS = 100;
+
+function argValue(flag) {
+  const i = process.argv.indexOf(flag);
+  return i >= 0 ? process.argv[i + 1] : null;
+}
+
+function fail(message) {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? "" : "s"}`;
+}
+
+function parseTypes() {
+  const value = argValue("--type") || "TODO";
+  if (value === "all") return Object.keys(MARKERS);
+  const types = value.split(",").map((t) => t.trim().toUpperCase());
+  for (const type of types) {
+    if (!MARKERS[type]) fail(`unknown type ${type} (expected ${Object.keys(MARKERS).join(", ")} or all)`);
+  }
+  return types;
+}
+
+function clip(text) {
+  return text.length > MAX_TEXT_CHARS ? text.slice(0, MAX_TEXT_CHARS - 1) + "…" : text;
+}
+
+/**
+ * Print one agent's items, open first (oldest first), then closed ones.
+ */
+function printReport(label, workspace, items, now) {
+  const open = items.filter((i) => !i.status);
+  const closed = items.filter((i) => i.status);
+  console.log(`\n── ${label} (${workspace}) — ${plural(open.length, "open item")} ──`);
+  if (items.length === 0) {
+    console.log("  nothing open");
+    return;
+  }
+  for (const item of open) {
+    console.log(
+      `  ${MARKERS[item.type]} [${item.type}:${item.id}]  ${String(itemAgeDays(item, now)).padStart(3)}d  ${clip(item.text)}  — ${item.file}`
+    );
+  }
+  for (const item of closed) {
+    const where = item.closedIn ? ` in ${item.closedIn}` : ` after ${itemAgeDays(item, now)}d`;
+    console.log(`  ${MARKERS[item.type]} [${item.type}:${item.id} ${item.status}]${where}  ${clip(item.text)}  — ${item.file}`);
+  }
+}
+
+async function main() {
+  const types = parseTypes();
+  const includeClosed = process.argv.includes("--closed");
+  const now = new Date();
+
+  const targets = [];
+  const workspaceArg = argValue("--workspace");
+  if (workspaceArg) {
+    const workspace = path.resolve(workspaceArg.replace(/^~/, os.homedir()));
+    targets.push({ agent: null, label: workspaceArg, workspace, expireDays: LIFECYCLE_DEFAULTS.expireDays });
+  } else {
+    let cfg;
+    try {
+      cfg = await loadConfig();
+    } catch (err) {
+      fail(err.message);
+    }
+    let agents = configuredAgents(cfg);
+    const onlyAgent = argValue("--agent");
+    if (onlyAgent) {
+      if (!agents.includes(onlyAgent)) fail(`agent ${onlyAgent} not found in config`);
+      agents = [onlyAgent];
+    }
+    for (const agentId of agents) {
+      targets.push({
+        agent: agentId,
+        label: agentId,
+        workspace: resolveWorkspace(cfg, agentId),
+        expireDays: resolveLifecycleSettings(cfg, agentId).expireDays,
+      });
+    }
+  }
+
+  const reports = [];
+  for (const target of targets) {
+    const ledger = await loadObservationLedger(path.join(target.workspace, "memory"), {
+      expireDays: target.expireDays,
+      now,
+    });
+    const items = ledger
+      .filter((i) => types.includes(i.type) && (includeClosed || !i.status))
+      .sort((a, b) => a.date.localeCompare(b.date));
+    reports.push({ ...target, items });
+  }
+
+  if (process.argv.includes("--json")) {
+    const json = reports.map(({ agent, workspace, items }) => ({
+      agent,
+      workspace,
+      items: items.map((i) => ({ ...i, ageDays: itemAgeDays(i, now) })),
+    }));
+    console.log(JSON.stringify(json, null, 2));
+    return;
+  }
+
+  const totalOpen = reports.reduce((n, r) => n + r.items.filter((i) => !i.status).length, 0);
+  console.log(`${plural(totalOpen, "open item")} (${types.length === Object.keys(MARKERS).length ? "all types" : types.join(", ")}) across ${plural(reports.length, "workspace")}`);
+  for (const report of reports) printReport(report.label, report.workspace, report.items, now);
+}
+
+main().catch((err) => {
+  console.error("Error:", err.message);
+  process.exit(1);
+});
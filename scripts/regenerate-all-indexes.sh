@@ -1,12 +1,16 @@
 #!/usr/bin/env bash
 # regenerate-all-indexes.sh — Regenerate INDEX.md for all agent workspaces
-# Runs generate-memory-index.sh for each workspace with a memory/ directory
+# First consolidates old session logs into digests (memory-consolidate.js),
+# then runs generate-memory-index.js (INDEX.md + INDEX.json) for each workspace
+# with a memory/ directory, falling back to generate-memory-index.sh
 # Intended to be called by launchd every 6 hours
 
 set -euo pipefail
 
 SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
 INDEX_SCRIPT="$SCRIPT_DIR/generate-memory-index.sh"
+INDEX_SCRIPT_JS="$SCRIPT_DIR/generate-memory-index.js"
+CONSOLIDATE_SCRIPT="$SCRIPT_DIR/memory-consolidate.js"
 CONFIG="${CLAWDBOT_HOME:-$HOME/.clawdbot}/clawdbot.json"
 MEMORY_SIZE_THRESHOLD="${MEMORY_SIZE_THRESHOLD:-50}"
 LOG_PREFIX="[index-regen] $(date -u +%Y-%m-%dT%H:%M:%SZ)"
@@ -21,6 +25,11 @@ if [ ! -f "$CONFIG" ]; then
   exit 1
 fi
 
+# Roll session logs past their retention into digests before indexing
+if [ -f "$CONSOLIDATE_SCRIPT" ] && command -v node &>/dev/null; then
+  node "$CONSOLIDATE_SCRIPT" 2>&1 || echo "$LOG_PREFIX WARN: memory consolidation failed"
+fi
+
 # Extract workspace paths from config using python3 (available on macOS)
 WORKSPACES=$(python3 -c "
 import json, sys, os
@@ -60,7 +69,11 @@ while IFS= read -r ws; do
   fi
 
   echo "$LOG_PREFIX Regenerating INDEX for $ws (${MEMSIZE}KB)"
-  bash "$INDEX_SCRIPT" "$ws" 2>&1
+  if [ -f "$INDEX_SCRIPT_JS" ] && command -v node &>/dev/null; then
+    node "$INDEX_SCRIPT_JS" "$ws" 2>&1
+  else
+    bash "$INDEX_SCRIPT" "$ws" 2>&1
+  fi
   GENERATED=$((GENERATED + 1))
 done <<< "$WORKSPACES"
 
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * rotation-report.js — Token growth and rotation report
+ *
+ * Reads the per-session token history kept by session-rotation-monitor.js
+ * and prints, for each session key: a growth curve of the current
+ * session's samples (scaled to the compaction limit), its growth rate, the
+ * projection for the next poll, and how past rotations were triggered —
+ * predictively (growth forecast), reactively (threshold) or by the hard
+ * ceiling. Doesn't need the gateway.
+ *
+ * Usage: node rotation-report.js [--key <regex>] [--json]
+ */
+
+import { agentIdFromSessionKey, loadConfig } from "./lib/config.js";
+import { resolveRotationPolicy } from "./lib/rotation-policy.js";
+import { growthRate, loadTokenHistory, projectTokens } from "./lib/token-history.js";
+
+const SPARK = "▁▂▃▄▅▆▇█";
+const MODES = ["predictive", "reactive", "ceiling"];
+
+function argValue(flag) {
+  const i = process.argv.indexOf(flag);
+  return i >= 0 ? process.argv[i + 1] : null;
+}
+
+/**
+ * One character per sample, scaled from 0 to `max`.
+ */
+function sparkline(samples, max) {
+  return samples
+    .map((s) => SPARK[Math.min(SPARK.length - 1, Math.floor((s.tokens / max) * SPARK.length))])
+    .join("");
+}
+
+function formatSpan(ms) {
+  const minutes = Math.round(ms / 60000);
+  return minutes >= 120 ? `${Math.round(minutes / 60)}h` : `${minutes}m`;
+}
+
+function countModes(rotations) {
+  const counts = Object.fromEntries(MODES.map((m) => [m, 0]));
+  for (const r of rotations) counts[r.mode] = (counts[r.mode] || 0) + 1;
+  return counts;
+}
+
+async function main() {
+  let cfg = null;
+  try {
+    cfg = await loadConfig();
+  } catch {
+    // Without config, defaults set the poll interval and compaction limit
+  }
+
+  let keyFilter = null;
+  if (argValue("--key")) {
+    try {
+      keyFilter = new RegExp(argValue("--key"));
+    } catch (err) {
+      console.error(`Error: invalid --key pattern: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  const history = await loadTokenHistory();
+  const rows = [];
+  for (const [key, entry] of Object.entries(history.sessions)) {
+    if (keyFilter && !keyFilter.test(key)) continue;
+    const policy = resolveRotationPolicy(cfg, agentIdFromSessionKey(key), key);
+    const samples = entry.samples;
+    rows.push({
+      key,
+      sessionId: entry.sessionId,
+      samples,
+      tokens: samples.at(-1)?.tokens ?? null,
+      ratePerMinute: growthRate(samples),
+      projected: projectTokens(samples, policy.pollMinutes),
+      pollMinutes: policy.pollMinutes,
+      compactionLimit: policy.compactionLimit,
+      rotations: entry.rotations,
+      modes: countModes(entry.rotations),
+    });
+  }
+  rows.sort((a, b) => (b.tokens ?? 0) - (a.tokens ?? 0));
+
+  if (process.argv.includes("--json")) {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+
+  if (rows.length === 0) {
+    console.log("No token history yet — it is recorded on each session-rotation-monitor run.");
+    return;
+  }
+
+  const totals = countModes(rows.flatMap((r) => r.rotations));
+  console.log(`Token history: ${rows.length} session keys`);
+  console.log(`Rotations: ${MODES.map((m) => `${totals[m]} ${m}`).join(", ")}`);
+
+  for (const r of rows) {
+    console.log("");
+    console.log(`${r.key}  (session ${r.sessionId || "unknown"})`);
+    if (r.samples.length === 0) {
+      console.log("  No samples since the last rotation");
+    } else {
+      const first = r.samples[0];
+      const last = r.samples.at(-1);
+      const rate = r.ratePerMinute !== null ? ` | +${Math.round(r.ratePerMinute)}/min` : "";
+      const projection = r.projected !== null ? ` | ~${r.projected} in ${r.pollMinutes}m` : "";
+      const warning = r.projected !== null && r.projected >= r.compactionLimit ? " ⚠ past compaction limit" : "";
+      console.log(
+        `  ${sparkline(r.samples, r.compactionLimit)}  ${first.tokens} → ${last.tokens} tokens over ${formatSpan(last.t - first.t)}${rate}${projection}${warning}`
+      );
+    }
+    if (r.rotations.length > 0) {
+      const last = r.rotations.at(-1);
+      const projected = last.projected !== null && last.projected !== undefined ? `, projected ${last.projected}` : "";
+      console.log(
+        `  Rotations: ${r.rotations.length} (${MODES.map((m) => `${r.modes[m]} ${m}`).join(", ")}); last ${new Date(last.t).toISOString()} ${last.mode} at ${last.tokens}${projected}`
+      );
+    }
+  }
+}
+
+main().catch((err) => {
+  console.error("Error:", err.message);
+  process.exit(1);
+});
@@ -7,59 +7,99 @@
  * from being the primary recovery path — sessions rotate cleanly and agents
  * read ACTIVE_CONTEXT.md on fresh start.
  *
+ * When to rotate is decided per session by the policy in
+ * memoryInfra.rotation (see lib/rotation-policy.js): per-agent and
+ * per-key-pattern thresholds, waiting for the session to go idle, quiet
+ * hours, a hard ceiling, and allow/deny key patterns. --dry-run prints the
+ * rule and decision for every session.
+ *
+ * Each poll's token counts are kept per session key (lib/token-history.js).
+ * A session whose growth rate projects it past the compaction limit before
+ * the next poll is rotated early ("predictive"); rotation-report.js shows
+ * the growth curves and how each rotation was triggered.
+ *
+ * Before each rotation the monitor checkpoints the exact session it is about
+ * to rotate: it reads the full transcript, writes a handoff file
+ * (memory/YYYY-MM-DD-handoff-<session>.md) and updates that conversation's
+ * section of ACTIVE_CONTEXT.md. sessions.reset is only called once both
+ * writes have succeeded; the new session id is then recorded in the
+ * handoff so the next bootstrap can reference it.
+ *
+ * Rotations and failed attempts are recorded in the audit log
+ * (lib/audit-log.js); query it with memory-audit.js.
+ *
  * Uses Clawdbot's callGateway() to communicate with the gateway WebSocket API.
+ * --gateway-client <module> (or CLAWDBOT_GATEWAY_CLIENT) swaps in another
+ * client with the same interface, e.g. the test suite's mock gateway.
  *
  * Usage: node session-rotation-monitor.js [--dry-run] [--verbose] [--threshold N]
+ *          [--gateway-client <module>]
+ *        node session-rotation-monitor.js --print-config [--agent <id>] [--json]
+ *
+ * --print-config shows the effective settings, including each agent's
+ * rotation policy, without contacting the gateway (see lib/config.js).
  */
 
+import fs from "node:fs/promises";
 import path from "node:path";
-import os from "node:os";
+import { appendAuditEvent, auditFile } from "./lib/audit-log.js";
+import { agentIdFromSessionKey, clawdbotHome, loadConfig, printConfig, resolveWorkspace, settingsFor } from "./lib/config.js";
+import { loadGatewayClient } from "./lib/gateway-client.js";
+import { loadRedactionRules, redactText } from "./lib/redact.js";
+import { ensurePrivateDir, updateFileLocked, writeFileAtomic } from "./lib/safe-write.js";
+import { evaluateRotation, resolveRotationPolicy } from "./lib/rotation-policy.js";
+import {
+  loadTokenHistory,
+  projectTokens,
+  recordRotation,
+  recordSample,
+  saveTokenHistory,
+} from "./lib/token-history.js";
+import {
+  buildSessionSection,
+  contextEntry,
+  extractMessages,
+  formatTime,
+  localDate,
+  upsertConversationSection,
+} from "./lib/checkpoint.js";
+import { resolveTranscriptSettings } from "./lib/transcript.js";
+
+const CLAWDBOT_HOME = clawdbotHome();
 
-// Resolve callGateway from Clawdbot distribution
-const CLAWDBOT_DIST = process.env.CLAWDBOT_DIST || "";
+if (process.argv.includes("--print-config")) {
+  const agentIdx = process.argv.indexOf("--agent");
+  process.exit(await printConfig({
+    onlyAgent: agentIdx >= 0 ? process.argv[agentIdx + 1] : null,
+    json: process.argv.includes("--json"),
+  }));
+}
+
+// Resolve callGateway: --gateway-client / CLAWDBOT_GATEWAY_CLIENT, else the
+// Clawdbot distribution (see lib/gateway-client.js)
+const clientIdx = process.argv.indexOf("--gateway-client");
 let callGateway;
 try {
-  if (CLAWDBOT_DIST) {
-    ({ callGateway } = await import(path.join(CLAWDBOT_DIST, "gateway", "call.js")));
-  } else {
-    // Try common install locations
-    const candidates = [
-      path.join(os.homedir(), ".npm-global/lib/node_modules/clawdbot/dist/gateway/call.js"),
-      "/usr/local/lib/node_modules/clawdbot/dist/gateway/call.js",
-      "/usr/lib/node_modules/clawdbot/dist/gateway/call.js",
-    ];
-    for (const candidate of candidates) {
-      try {
-        ({ callGateway } = await import(candidate));
-        break;
-      } catch { continue; }
-    }
-  }
-  if (!callGateway) throw new Error("Could not locate callGateway");
+  callGateway = await loadGatewayClient(clientIdx >= 0 ? { client: process.argv[clientIdx + 1] } : {});
 } catch (err) {
   console.error("[session-rotation] Cannot import callGateway:", err.message);
-  console.error("Set CLAWDBOT_DIST to the clawdbot dist/ directory path");
+  console.error("Set CLAWDBOT_DIST to the clawdbot dist/ directory path, or --gateway-client to a module exporting callGateway");
   process.exit(1);
 }
 
-// Default rotation threshold: 150K tokens (~75% of typical 200K context window)
-// Leaves room for the post-rotation bootstrap + memory loading
-const DEFAULT_THRESHOLD = parseInt(process.env.ROTATION_THRESHOLD, 10) || 150000;
-
-// Sessions matching these patterns should never be auto-rotated
-// (cron sessions are ephemeral and will be cleaned up naturally)
-const SKIP_PATTERNS = [
-  /^agent:.*:cron:/,     // Cron job sessions (ephemeral)
-  /^agent:.*:subagent:/, // Sub-agent sessions (managed by parent)
-];
+// Placeholder for the new session id until sessions.reset returns it
+const PENDING_SESSION = "(pending rotation)";
+// Cap on requests listed in a handoff file (most recent kept)
+const MAX_HANDOFF_REQUESTS = 50;
 
 // Parse args
 const DRY_RUN = process.argv.includes("--dry-run");
 const VERBOSE = process.argv.includes("--verbose");
 const thresholdIdx = process.argv.indexOf("--threshold");
-const THRESHOLD = thresholdIdx >= 0 && process.argv[thresholdIdx + 1]
+// An explicit --threshold overrides every configured threshold
+const CLI_THRESHOLD = thresholdIdx >= 0 && process.argv[thresholdIdx + 1]
   ? parseInt(process.argv[thresholdIdx + 1], 10)
-  : DEFAULT_THRESHOLD;
+  : null;
 
 function log(...args) {
   console.log(`[session-rotation] ${new Date().toISOString()}`, ...args);
@@ -69,8 +109,194 @@ function verbose(...args) {
   if (VERBOSE) log(...args);
 }
 
+/**
+ * Load Clawdbot config. Without it, workspaces fall back to the defaults
+ * and redaction uses the built-in rules.
+ */
+async function loadConfigOrNull() {
+  try {
+    return await loadConfig();
+  } catch (err) {
+    verbose("Could not load config:", err.message);
+    return null;
+  }
+}
+
+function transcriptPath(s) {
+  return s.sessionFile ||
+    path.join(CLAWDBOT_HOME, "agents", agentIdFromSessionKey(s.key), "sessions", `${s.sessionId}.jsonl`);
+}
+
+/**
+ * Last activity of a session (ms): the gateway's updatedAt when it reports
+ * one, otherwise the transcript's mtime. Null if neither is available.
+ */
+async function lastActivityMs(s) {
+  const updatedAt = typeof s.updatedAt === "number" ? s.updatedAt : Date.parse(s.updatedAt);
+  if (Number.isFinite(updatedAt)) return updatedAt;
+  try {
+    return (await fs.stat(transcriptPath(s))).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the handoff file for a session about to be rotated: every request
+ * in the session plus its final state (recent work, actions, errors, files).
+ */
+function buildHandoff(agentId, s, session, { messages, actions, events, redactions }, rules) {
+  const requests = messages.filter((m) => m.role === "user");
+  const lines = [
+    `# Session Handoff — ${agentId}`,
+    `> Written by session-rotation-monitor at ${new Date().toISOString()}`,
+    `> Session key: ${s.key}`,
+    `> Previous session: ${s.sessionId}`,
+    `> Next session: ${PENDING_SESSION}`,
+    `> Tokens at rotation: ${s.totalTokens} | Messages: ${messages.length} | Tool calls: ${actions.length}`,
+    "",
+    "## Requests in This Session",
+  ];
+  if (requests.length > MAX_HANDOFF_REQUESTS) {
+    lines.push(`- _…${requests.length - MAX_HANDOFF_REQUESTS} earlier requests omitted_`);
+  }
+  for (const msg of requests.slice(-MAX_HANDOFF_REQUESTS)) {
+    lines.push(`- **[${formatTime(msg.timestamp)}]** ${msg.text.slice(0, 300).replace(/\s+/g, " ")}`);
+  }
+  lines.push("", buildSessionSection(session, messages, actions, events));
+
+  const body = redactText(lines.join("\n"), rules);
+  return body.text.replace(
+    "\n\n## Requests in This Session",
+    `\n> Redactions: ${redactions + body.count}\n\n## Requests in This Session`
+  );
+}
+
+/**
+ * Checkpoint a session synchronously before rotating it: read its full
+ * transcript, write the handoff file and update ACTIVE_CONTEXT.md.
+ * Throws if the transcript can't be read or either write fails.
+ * Returns { handoffPath, activeContextPath }.
+ */
+async function captureHandoff(cfg, s) {
+  const agentId = agentIdFromSessionKey(s.key);
+  const raw = await fs.readFile(transcriptPath(s), "utf-8");
+  // Anything after the final newline is an in-progress write
+  const lines = raw.split("\n").slice(0, -1).filter((l) => l.trim());
+  const stat = await fs.stat(transcriptPath(s));
+
+  const rules = loadRedactionRules(cfg);
+  const { toolsAllow, toolsDeny } = settingsFor(cfg, "checkpoint", agentId);
+  const extracted = extractMessages(lines, rules, { ...resolveTranscriptSettings(cfg, agentId), toolsAllow, toolsDeny });
+  const session = { sessionKey: s.key, sessionId: s.sessionId, mtimeMs: stat.mtimeMs };
+
+  const memoryDir = path.join(resolveWorkspace(cfg, agentId), "memory");
+  const handoffName = `${localDate(new Date())}-handoff-${s.sessionId.slice(0, 8)}.md`;
+  const handoffPath = path.join(memoryDir, handoffName);
+  const activeContextPath = path.join(memoryDir, "ACTIVE_CONTEXT.md");
+
+  const handoff = buildHandoff(agentId, s, session, extracted, rules);
+  // The conversation's ACTIVE_CONTEXT section points at the handoff;
+  // `section` is kept to take that back if the reset fails
+  const section = redactText(buildSessionSection(session, extracted.messages, extracted.actions, extracted.events), rules).text;
+  const rotatedSection = section.replace(
+    /^(> Session: .*)$/m,
+    `$1\n> Rotated: handoff in memory/${handoffName} | Next session: ${PENDING_SESSION}`
+  );
+  const entry = contextEntry(session, extracted.messages, extracted.actions);
+  const result = { agentId, key: s.key, handoffPath, activeContextPath, section, entry };
+
+  if (DRY_RUN) {
+    log(`  [DRY RUN] Would write ${handoffName} (${handoff.length} chars, ${extracted.messages.length} messages) and update ACTIVE_CONTEXT.md`);
+    return result;
+  }
+
+  await ensurePrivateDir(memoryDir);
+  await writeFileAtomic(handoffPath, handoff);
+
+  // No checkpoint yet (null) starts one
+  await updateFileLocked(activeContextPath, (existing) =>
+    upsertConversationSection(existing || "", agentId, s.key, rotatedSection, "session-rotation-monitor", entry)
+  );
+
+  verbose(`  Handoff written: ${handoffPath} (${extracted.messages.length} messages, ${extracted.actions.length} tool calls)`);
+  return result;
+}
+
+/**
+ * Record the new session id in the handoff and in the rotated
+ * conversation's ACTIVE_CONTEXT.md section once the rotation went through.
+ * Other conversations may still be waiting for their own reset.
+ */
+async function recordNewSession({ key, handoffPath, activeContextPath }, newSessionId) {
+  const heading = `## Conversation: ${key}`;
+  const updates = [
+    [handoffPath, (content) => content.replaceAll(PENDING_SESSION, newSessionId)],
+    [
+      activeContextPath,
+      (content) =>
+        content
+          .split(/^(?=## Conversation: )/m)
+          .map((part) => (part.split("\n")[0] === heading ? part.replaceAll(PENDING_SESSION, newSessionId) : part))
+          .join(""),
+    ],
+  ];
+  for (const [file, update] of updates) {
+    await updateFileLocked(file, (content) => {
+      if (content === null) throw new Error(`${path.basename(file)} is missing`);
+      return update(content);
+    });
+  }
+}
+
+/**
+ * After a failed reset, drop the "Rotated" line from the conversation's
+ * ACTIVE_CONTEXT.md section again. The handoff stays, still pending.
+ */
+async function withdrawRotation({ agentId, key, activeContextPath, section, entry }) {
+  if (DRY_RUN) return;
+  try {
+    await updateFileLocked(activeContextPath, (existing) =>
+      upsertConversationSection(existing || "", agentId, key, section, "session-rotation-monitor", entry)
+    );
+  } catch (err) {
+    log(`  Failed to restore ACTIVE_CONTEXT.md for ${key}:`, err.message);
+  }
+}
+
+/**
+ * Append an event about session `s` to the audit log (skipped on dry runs).
+ */
+async function audit(s, action, fields = {}) {
+  if (DRY_RUN) return;
+  const written = await appendAuditEvent({
+    source: "session-rotation-monitor",
+    action,
+    agent: agentIdFromSessionKey(s.key),
+    sessionKey: s.key,
+    sessionId: s.sessionId,
+    tokens: s.totalTokens || 0,
+    ...fields,
+  });
+  if (!written) log(`  Failed to write audit event for ${s.key}`);
+}
+
+/**
+ * Save token history unless this is a dry run. A failed save only costs
+ * forecasting accuracy, so it is logged rather than fatal.
+ */
+async function persistHistory(history) {
+  if (DRY_RUN) return;
+  try {
+    await saveTokenHistory(history);
+  } catch (err) {
+    log("Failed to save token history:", err.message);
+  }
+}
+
 async function main() {
-  log(`Starting rotation check (threshold: ${THRESHOLD} tokens)${DRY_RUN ? " [DRY RUN]" : ""}`);
+  const cfg = await loadConfigOrNull();
+  log(`Starting rotation check (default threshold: ${CLI_THRESHOLD ?? settingsFor(cfg, "rotation").threshold} tokens)${DRY_RUN ? " [DRY RUN]" : ""}`);
 
   // 1. List all sessions
   let sessions;
@@ -88,32 +314,61 @@ async function main() {
 
   verbose(`Found ${sessions.length} total sessions`);
 
-  // 2. Find sessions exceeding threshold
-  const candidates = sessions.filter((s) => {
-    if (!s.totalTokens || s.totalTokens < THRESHOLD) return false;
-    if (!s.key) return false;
-    // Skip patterns
-    for (const pattern of SKIP_PATTERNS) {
-      if (pattern.test(s.key)) return false;
-    }
-    return true;
-  });
+  // 2. Record token counts and apply the rotation policy to each session
+  const history = await loadTokenHistory();
+  const now = new Date();
+  const candidates = [];
+  let waiting = 0;
+  for (const s of sessions) {
+    if (!s.key) continue;
+    const entry = recordSample(history, s, now.getTime());
 
-  if (candidates.length === 0) {
-    log("No sessions exceed threshold. Done.");
-    process.exit(0);
+    const policy = resolveRotationPolicy(
+      cfg,
+      agentIdFromSessionKey(s.key),
+      s.key,
+      CLI_THRESHOLD ? { threshold: CLI_THRESHOLD } : {}
+    );
+
+    const projected = projectTokens(entry.samples, policy.pollMinutes);
+    const decision = evaluateRotation(s, policy, {
+      now,
+      lastActivityMs: await lastActivityMs(s),
+      projectedTokens: projected,
+    });
+    const forecast = projected !== null ? `, ~${projected} next poll` : "";
+    const line = `  ${s.key} — ${s.totalTokens || 0} tokens${forecast}: ${decision.action} (${decision.reason}) [rule: ${policy.rule}]`;
+    if (DRY_RUN) log(line);
+    else if (decision.action === "skip") verbose(line);
+    else log(line);
+
+    if (decision.action === "rotate") candidates.push({ s, decision, projected, rule: policy.rule });
+    else if (decision.action === "wait") waiting++;
   }
 
-  log(`Found ${candidates.length} session(s) exceeding ${THRESHOLD} tokens:`);
-  for (const s of candidates) {
-    log(`  ${s.key} — ${s.totalTokens} tokens (session: ${s.sessionId?.slice(0, 8)})`);
+  if (candidates.length === 0) {
+    await persistHistory(history);
+    log(`No sessions due for rotation${waiting > 0 ? ` (${waiting} waiting)` : ""}. Done.`);
+    return;
   }
 
-  // 3. Rotate each candidate
+  log(`Rotating ${candidates.length} session(s)${waiting > 0 ? `, ${waiting} waiting` : ""}`);
+
+  // 3. Checkpoint, then rotate each candidate
   let rotated = 0;
-  for (const s of candidates) {
+  for (const { s, decision, projected, rule } of candidates) {
+    // The handoff must be on disk before the session is reset
+    let handoff;
+    try {
+      handoff = await captureHandoff(cfg, s);
+    } catch (err) {
+      log(`  Handoff capture failed for ${s.key}, not rotating:`, err.message);
+      await audit(s, "handoff-failed", { mode: decision.mode, reason: decision.reason, rule, error: err.message });
+      continue;
+    }
+
     if (DRY_RUN) {
-      log(`  [DRY RUN] Would rotate: ${s.key} (${s.totalTokens} tokens)`);
+      log(`  [DRY RUN] Would rotate (${decision.mode}): ${s.key} (${s.totalTokens} tokens)`);
       rotated++;
       continue;
     }
@@ -126,17 +381,48 @@ async function main() {
       });
 
       if (result?.ok || result?.entry) {
-        const newId = result.entry?.sessionId?.slice(0, 8) || "unknown";
-        log(`  Rotated: ${s.key} — ${s.totalTokens} tokens → new session ${newId}`);
+        const newSessionId = result.entry?.sessionId || "unknown";
+        log(`  Rotated (${decision.mode}): ${s.key} — ${s.totalTokens} tokens → new session ${newSessionId.slice(0, 8)}`);
         rotated++;
+        recordRotation(history, s.key, {
+          t: Date.now(),
+          sessionId: s.sessionId,
+          newSessionId,
+          tokens: s.totalTokens,
+          projected,
+          mode: decision.mode,
+        });
+        try {
+          await recordNewSession(handoff, newSessionId);
+          log(`  Handoff: ${handoff.handoffPath} (${s.sessionId.slice(0, 8)} → ${newSessionId.slice(0, 8)})`);
+        } catch (err) {
+          log(`  Failed to record new session id in handoff:`, err.message);
+        }
+        await audit(s, "rotate", {
+          newSessionId,
+          projected,
+          mode: decision.mode,
+          reason: decision.reason,
+          rule,
+          files: [await auditFile(handoff.handoffPath), await auditFile(handoff.activeContextPath)],
+        });
       } else {
         log(`  Failed to rotate ${s.key}: unexpected response`, JSON.stringify(result).slice(0, 200));
+        await withdrawRotation(handoff);
+        await audit(s, "rotate-failed", {
+          mode: decision.mode,
+          error: `unexpected response: ${JSON.stringify(result).slice(0, 200)}`,
+          files: [await auditFile(handoff.handoffPath)],
+        });
       }
     } catch (err) {
       log(`  Error rotating ${s.key}:`, err.message);
+      await withdrawRotation(handoff);
+      await audit(s, "rotate-failed", { mode: decision.mode, error: err.message, files: [await auditFile(handoff.handoffPath)] });
     }
   }
 
+  await persistHistory(history);
   log(`Done. Rotated ${rotated}/${candidates.length} sessions.`);
 }
 
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * share-memory.js — Promote observations into the shared team memory pool
+ *
+ * Scans each agent's memory/*.md for observations selected by its publish
+ * rules (memoryInfra.shared.publish: marker types and/or #tags) and adds
+ * new ones to $CLAWDBOT_HOME/shared-memory/entries.jsonl with provenance.
+ * Already-promoted observations are skipped, so it is safe to run on a
+ * schedule. See lib/shared-memory.js for the config format.
+ *
+ * Usage:
+ *   node share-memory.js [--agent <id>] [--dry-run]   Promote observations
+ *   node share-memory.js --list [--for <id>]          Show the pool (or what <id> receives)
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { configuredAgents, loadConfig, resolveWorkspace } from "./lib/config.js";
+import {
+  findPublishable,
+  formatSharedEntry,
+  loadSharedEntries,
+  promoteObservations,
+  resolveSharedSettings,
+  selectSubscribed,
+  sharedMemoryDir,
+} from "./lib/shared-memory.js";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const LIST = process.argv.includes("--list");
+
+function log(...args) {
+  console.log(`[share-memory] ${new Date().toISOString()}`, ...args);
+}
+
+function argValue(flag) {
+  const i = process.argv.indexOf(flag);
+  return i >= 0 ? process.argv[i + 1] : null;
+}
+
+/**
+ * Promote one agent's publishable observations. Returns the number added.
+ */
+async function promoteAgent(cfg, agentId) {
+  const settings = resolveSharedSettings(cfg, agentId);
+  if (!settings.enabled) {
+    log(`${agentId}: shared memory disabled, skipping`);
+    return 0;
+  }
+
+  const memoryDir = path.join(resolveWorkspace(cfg, agentId), "memory");
+  let files;
+  try {
+    files = (await fs.readdir(memoryDir)).filter(
+      (f) => f.endsWith(".md") && f !== "INDEX.md" && f !== "ACTIVE_CONTEXT.md"
+    );
+  } catch {
+    log(`${agentId}: no memory directory, skipping`);
+    return 0;
+  }
+
+  let added = 0;
+  for (const f of files.sort()) {
+    const filePath = path.join(memoryDir, f);
+    let content, stat;
+    try {
+      [content, stat] = await Promise.all([fs.readFile(filePath, "utf-8"), fs.stat(filePath)]);
+    } catch {
+      continue;
+    }
+    const fallbackDate = f.match(/^(20\d\d-\d\d-\d\d)/)?.[1] || new Date(stat.mtimeMs).toISOString().split("T")[0];
+    const publishable = findPublishable(content, settings.publish, fallbackDate);
+    if (publishable.length === 0) continue;
+
+    const entries = await promoteObservations(agentId, publishable, { sourceFile: f, dryRun: DRY_RUN });
+    for (const entry of entries) log(`${agentId}: ${DRY_RUN ? "would promote" : "promoted"} ${formatSharedEntry(entry)}`);
+    added += entries.length;
+  }
+  return added;
+}
+
+async function main() {
+  let cfg = null;
+  try {
+    cfg = await loadConfig();
+  } catch (err) {
+    if (!LIST) {
+      log(err.message);
+      process.exit(1);
+    }
+  }
+
+  if (LIST) {
+    const forAgent = argValue("--for");
+    let entries = await loadSharedEntries();
+    if (forAgent) {
+      entries = selectSubscribed(entries, forAgent, resolveSharedSettings(cfg, forAgent).subscribe);
+    }
+    if (entries.length === 0) {
+      console.log(`No shared entries${forAgent ? ` for ${forAgent}` : ""} in ${sharedMemoryDir()}`);
+      return;
+    }
+    for (const entry of entries) console.log(formatSharedEntry(entry));
+    return;
+  }
+
+  log("Starting promotion run" + (DRY_RUN ? " [DRY RUN]" : ""));
+  const only = argValue("--agent");
+  const agents = only ? [only] : configuredAgents(cfg);
+
+  let total = 0;
+  for (const agentId of agents) {
+    try {
+      total += await promoteAgent(cfg, agentId);
+    } catch (err) {
+      log(`${agentId}: error:`, err.message);
+    }
+  }
+  log(`Done. ${DRY_RUN ? "Would promote" : "Promoted"} ${total} observations from ${agents.length} agents.`);
+}
+
+main().catch((err) => {
+  log("Fatal error:", err.message);
+  process.exit(1);
+});
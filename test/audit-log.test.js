@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { appendAuditEvent } from "../scripts/lib/audit-log.js";
+import { createFixtureHome, runScript } from "./helpers/fixtures.js";
+
+test("a full audit log is rotated, and readers stream the rotated logs too", async (t) => {
+  const fx = await createFixtureHome({ config: { memoryInfra: { audit: { maxMB: 0.001, keep: 2 } } } });
+  t.after(fx.cleanup);
+  const previousHome = process.env.CLAWDBOT_HOME;
+  process.env.CLAWDBOT_HOME = fx.home;
+  t.after(() => {
+    if (previousHome === undefined) delete process.env.CLAWDBOT_HOME;
+    else process.env.CLAWDBOT_HOME = previousHome;
+  });
+
+  // ~120 bytes each, so about eight to a 1 KiB log
+  for (let seq = 0; seq < 40; seq++) {
+    assert.equal(await appendAuditEvent({ source: "test", action: "checkpoint", agent: "desmond", seq, note: "x".repeat(40) }), true);
+  }
+
+  const dir = path.join(fx.home, "memory-infra");
+  const logs = (await fs.readdir(dir)).filter((name) => name.startsWith("audit.jsonl")).sort();
+  assert.deepEqual(logs, ["audit.jsonl", "audit.jsonl.1", "audit.jsonl.2"]);
+  for (const name of logs) assert.ok((await fs.stat(path.join(dir, name))).size <= 0.001 * 1024 * 1024);
+
+  const run = await runScript("memory-audit.js", ["--json", "--limit", "100"], { home: fx.home });
+  assert.equal(run.code, 0, run.stderr);
+  const seqs = JSON.parse(run.stdout).map((e) => e.seq);
+  assert.ok(seqs.length > 16 && seqs[0] > 0, `kept ${seqs.length} events from ${seqs[0]}`);
+  assert.deepEqual(seqs, Array.from({ length: seqs.length }, (_, i) => 40 - seqs.length + i));
+
+  const limited = await runScript("memory-audit.js", ["--limit", "3"], { home: fx.home });
+  assert.match(limited.stdout, /^3 events \(\d+ earlier omitted, use --limit\)/);
+});
@@ -0,0 +1,160 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { appendEntries, createFixtureHome, memoryFiles, readAudit, runScript } from "./helpers/fixtures.js";
+import { parseActiveContext } from "../scripts/lib/checkpoint.js";
+import { summarizeConversation } from "../scripts/lib/context-summary.js";
+
+const AGENTS = [
+  {
+    id: "desmond",
+    sessions: [
+      { key: "agent:desmond:slack:dm:U1", sessionId: "sess-dm", topic: "invoice" },
+      { key: "agent:desmond:slack:channel:C1", sessionId: "sess-chan", topic: "deploy", turns: 4 },
+    ],
+  },
+];
+const CONFIG = { memoryInfra: { checkpoint: { minIntervalMinutes: 0 } } };
+
+function localDate(date = new Date()) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+test("checkpoint writes ACTIVE_CONTEXT.md and a daily entry for every active session", async (t) => {
+  const fx = await createFixtureHome({ agents: AGENTS, config: CONFIG });
+  t.after(fx.cleanup);
+
+  const run = await runScript("memory-checkpoint.js", ["--agent", "desmond"], { home: fx.home });
+  assert.equal(run.code, 0, run.stderr);
+
+  const active = await fs.readFile(path.join(fx.memoryDir("desmond"), "ACTIVE_CONTEXT.md"), "utf-8");
+  assert.match(active, /## Conversation: agent:desmond:slack:dm:U1/);
+  assert.match(active, /## Conversation: agent:desmond:slack:channel:C1/);
+  assert.match(active, /Please handle invoice number 5/);
+  assert.match(active, /### Actions Taken\n/);
+  assert.match(active, /\*\*\[\d\d:\d\d\]\*\* write: `src\/invoice-5\.js`/);
+
+  const daily = await fs.readFile(path.join(fx.memoryDir("desmond"), `${localDate()}.md`), "utf-8");
+  assert.match(daily, /### Checkpoint \d\d:\d\d \(auto\)/);
+  // Every request in the range, not just the tail
+  for (let i = 0; i < 6; i++) assert.match(daily, new RegExp(`Please handle invoice number ${i} `));
+
+  const [event] = await readAudit(fx.home, "checkpoint");
+  assert.equal(event.agent, "desmond");
+  assert.equal(event.daily, "appended");
+  assert.equal(event.conversations.length, 2);
+});
+
+test("a run with nothing new leaves the daily log alone", async (t) => {
+  const fx = await createFixtureHome({ agents: AGENTS, config: CONFIG });
+  t.after(fx.cleanup);
+
+  await runScript("memory-checkpoint.js", [], { home: fx.home });
+  const dailyFile = path.join(fx.memoryDir("desmond"), `${localDate()}.md`);
+  const first = await fs.readFile(dailyFile, "utf-8");
+
+  const run = await runScript("memory-checkpoint.js", [], { home: fx.home });
+  assert.equal(run.code, 0, run.stderr);
+  assert.equal(await fs.readFile(dailyFile, "utf-8"), first);
+  const events = await readAudit(fx.home, "checkpoint");
+  assert.equal(events.length, 2);
+  assert.equal(events[1].daily, undefined);
+});
+
+test("--dry-run writes nothing", async (t) => {
+  const fx = await createFixtureHome({ agents: AGENTS, config: CONFIG });
+  t.after(fx.cleanup);
+
+  const run = await runScript("memory-checkpoint.js", ["--dry-run"], { home: fx.home });
+  assert.equal(run.code, 0, run.stderr);
+  assert.match(run.stdout, /\[DRY RUN\] would write ACTIVE_CONTEXT\.md/);
+  assert.deepEqual(await memoryFiles(fx, "desmond"), []);
+  assert.deepEqual(await readAudit(fx.home), []);
+});
+
+test("a compaction without a summary gets a recovery file, a note and one alert", async (t) => {
+  const fx = await createFixtureHome({ agents: AGENTS, config: CONFIG });
+  t.after(fx.cleanup);
+
+  await appendEntries(fx.sessionFile("desmond", "sess-dm"), [
+    { type: "compaction", timestamp: new Date().toISOString(), summary: "Summary unavailable", tokensBefore: 182000, durationMs: 18 },
+  ]);
+  const run = await runScript("memory-checkpoint.js", [], { home: fx.home });
+  assert.equal(run.code, 0, run.stderr);
+
+  const recovery = (await memoryFiles(fx, "desmond")).find((f) => f.includes("-recovery-sess-dm-"));
+  assert.ok(recovery, "recovery file written");
+  const content = await fs.readFile(path.join(fx.memoryDir("desmond"), recovery), "utf-8");
+  assert.match(content, /> Problem: placeholder summary: Summary unavailable/);
+  assert.match(content, /Please handle invoice number 0 /);
+
+  const active = await fs.readFile(path.join(fx.memoryDir("desmond"), "ACTIVE_CONTEXT.md"), "utf-8");
+  assert.match(active, new RegExp(`### ⚠️ Context Lost in Compaction\\n.*memory/${recovery}`));
+
+  const [alert] = await readAudit(fx.home, "compaction-alert");
+  assert.equal(alert.sessionKey, "agent:desmond:slack:dm:U1");
+  assert.equal(alert.recoveredMessages, 12);
+
+  // Already handled: no second alert, the note stays
+  await runScript("memory-checkpoint.js", [], { home: fx.home });
+  assert.equal((await readAudit(fx.home, "compaction-alert")).length, 1);
+  assert.match(await fs.readFile(path.join(fx.memoryDir("desmond"), "ACTIVE_CONTEXT.md"), "utf-8"), /Context Lost in Compaction/);
+});
+
+test("each conversation opens with its working state, readable and as JSON", async (t) => {
+  const fx = await createFixtureHome({ agents: AGENTS, config: CONFIG });
+  t.after(fx.cleanup);
+  const at = (s) => new Date(Date.now() + s * 1000).toISOString();
+  await appendEntries(fx.sessionFile("desmond", "sess-dm"), [
+    { type: "message", timestamp: at(0), message: { role: "user", content: [{ type: "text", text: "Migrate the invoice table to Postgres" }] } },
+    {
+      type: "message",
+      timestamp: at(1),
+      message: { role: "assistant", content: [{ type: "toolCall", id: "call-db", name: "exec", arguments: { command: "psql -f migrate.sql" } }] },
+    },
+    { type: "message", timestamp: at(2), message: { role: "toolResult", toolCallId: "call-db", isError: true, content: [{ type: "text", text: "connection refused" }] } },
+    {
+      type: "message",
+      timestamp: at(3),
+      message: {
+        role: "assistant",
+        content: [{ type: "text", text: "I can't reach the staging database. Should I use the replica instead?\n- [ ] Re-run the export\nNext, I'll retry the migration." }],
+      },
+    },
+  ]);
+
+  const run = await runScript("memory-checkpoint.js", [], { home: fx.home });
+  assert.equal(run.code, 0, run.stderr);
+  const active = await fs.readFile(path.join(fx.memoryDir("desmond"), "ACTIVE_CONTEXT.md"), "utf-8");
+  assert.match(active, /### Current Goal\n- \*\*\[\d\d:\d\d\]\*\* Migrate the invoice table to Postgres\n/);
+  assert.match(active, /### Open Questions\n- Should I use the replica instead\?\n/);
+  assert.match(active, /### Blockers\n- exec `psql -f migrate\.sql` failed: connection refused\n- I can't reach the staging database\.\n/);
+  assert.match(active, /### Next Steps\n- Re-run the export\n- Next, I'll retry the migration\.\n/);
+  // The channel's requests were all reported done
+  assert.match(active, /### Current Goal\n- _None open/);
+
+  // Conversations are ordered by transcript mtime, which can tie
+  const { conversations } = parseActiveContext(active);
+  assert.equal(conversations.length, 2);
+  const context = conversations.find((c) => c.key === "agent:desmond:slack:dm:U1");
+  assert.equal(context.goal, "Migrate the invoice table to Postgres");
+  assert.deepEqual(context.openQuestions, ["Should I use the replica instead?"]);
+  assert.equal(context.blockers.length, 2);
+});
+
+test("a reply saying the work is not done leaves the request open", () => {
+  const goal = (reply) =>
+    summarizeConversation(
+      [
+        { role: "user", text: "Fix the invoice export", timestamp: "2026-01-31T10:00:00.000Z" },
+        { role: "assistant", text: reply, timestamp: "2026-01-31T10:05:00.000Z" },
+      ],
+      []
+    ).goal?.text || null;
+
+  assert.equal(goal("The export is fixed and deployed."), null);
+  assert.equal(goal("The export is not done yet."), "Fix the invoice export");
+  assert.equal(goal("The export couldn't be fixed: the bucket is read-only."), "Fix the invoice export");
+  assert.equal(goal("The CSV part is fixed, but the PDF part hasn't been deployed."), "Fix the invoice export");
+});
@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveWorkspace, settingsFor, validateConfig } from "../scripts/lib/config.js";
+import { createFixtureHome, runScript } from "./helpers/fixtures.js";
+
+const AGENTS = [{ id: "desmond", sessions: [] }, { id: "max", sessions: [] }];
+
+test("per-agent overrides layer over global settings and defaults", (t) => {
+  t.mock.method(console, "error", () => {});
+  const cfg = {
+    agents: { list: [{ id: "max" }] },
+    memoryInfra: {
+      checkpoint: { minIntervalMinutes: 5 },
+      shared: { publish: { types: ["GOTCHA"] } },
+      agents: { max: { checkpoint: { staleHours: 8, toolsDeny: ["exec"] }, shared: { publish: { tags: ["ops"] } } } },
+    },
+  };
+  // Environment variables stand in for defaults, comma-separated for lists
+  const previousDeny = process.env.CHECKPOINT_TOOLS_DENY;
+  process.env.CHECKPOINT_TOOLS_DENY = "read, memory_get";
+  t.after(() => {
+    if (previousDeny === undefined) delete process.env.CHECKPOINT_TOOLS_DENY;
+    else process.env.CHECKPOINT_TOOLS_DENY = previousDeny;
+  });
+
+  assert.deepEqual(settingsFor(cfg, "checkpoint", "max"), {
+    minIntervalMinutes: 5,
+    compactionRecovery: true,
+    staleHours: 8,
+    maxLines: 60,
+    minSessionBytes: 1024,
+    toolsAllow: [],
+    toolsDeny: ["exec"],
+  });
+  assert.equal(settingsFor(cfg, "checkpoint", "desmond").staleHours, 4);
+  assert.deepEqual(settingsFor(cfg, "checkpoint", "desmond").toolsDeny, ["read", "memory_get"]);
+  assert.deepEqual(settingsFor(cfg, "shared", "max").publish, { types: ["GOTCHA"], tags: ["ops"] });
+  assert.equal(settingsFor({}, "daemon").rotationMinutes, 30);
+  assert.equal(settingsFor({ memoryInfra: { rotation: { pollMinutes: 10 } } }, "daemon").rotationMinutes, 10);
+});
+
+test("invalid values fall back to the layer below and are reported with their path", (t) => {
+  const reported = [];
+  t.mock.method(console, "error", (...args) => reported.push(args.join(" ")));
+  const cfg = {
+    agents: { list: [{ id: "max" }] },
+    memoryInfra: {
+      rotation: { threshold: 120000, deny: ["^agent:.*:cron:", "(unclosed"] },
+      daemon: { consolidateHours: 720 },
+      agents: { max: { rotation: { threshold: "170k" }, daemon: { pollSeconds: 5 } }, ghost: {} },
+      inject: { tokenBudgett: 8000 },
+    },
+  };
+
+  const rotation = settingsFor(cfg, "rotation", "max");
+  assert.equal(rotation.threshold, 120000);
+  assert.deepEqual(rotation.deny, ["^agent:.*:cron:"]);
+  assert.ok(reported.some((l) => l.includes('memoryInfra.agents.max.rotation.threshold: expected an integer ≥ 1, got "170k"; using 120000')));
+
+  // Past the timer limit an interval would fire every millisecond
+  assert.equal(settingsFor(cfg, "daemon").consolidateHours, 24);
+
+  assert.deepEqual(
+    validateConfig(cfg).map((p) => p.path),
+    [
+      "memoryInfra.rotation.deny",
+      "memoryInfra.daemon.consolidateHours",
+      "memoryInfra.inject.tokenBudgett",
+      "memoryInfra.agents.max.rotation.threshold",
+      "memoryInfra.agents.max.daemon",
+      "memoryInfra.agents.ghost",
+    ]
+  );
+});
+
+test("workspaces resolve the same way for every caller", () => {
+  const cfg = { agents: { defaults: { workspace: "/srv/main" }, list: [{ id: "max", name: "Max", workspace: "/srv/max" }] } };
+  assert.equal(resolveWorkspace(cfg, "max"), "/srv/max");
+  assert.equal(resolveWorkspace(cfg, " MAX "), "/srv/max");
+  assert.equal(resolveWorkspace(cfg, "main"), "/srv/main");
+  assert.match(resolveWorkspace(cfg, "reggie"), /clawd-reggie$/);
+  assert.match(resolveWorkspace(null, "main"), /clawd$/);
+});
+
+test("--print-config shows effective settings per agent and fails on problems", async (t) => {
+  const fx = await createFixtureHome({
+    agents: AGENTS,
+    config: { memoryInfra: { retention: { period: "month" }, agents: { max: { retention: { digestAfterDays: 0 } } } } },
+  });
+  t.after(fx.cleanup);
+
+  const run = await runScript("memory-checkpoint.js", ["--print-config", "--agent", "max"], { home: fx.home });
+  assert.equal(run.code, 1);
+  assert.match(run.stdout, /── max ──\n {2}workspace: .*clawd-max/);
+  assert.match(run.stdout, /period: "month" {3}# memoryInfra\.retention/);
+  assert.match(run.stdout, /digestAfterDays: 30\n/);
+  assert.match(run.stdout, /✗ memoryInfra\.agents\.max\.retention\.digestAfterDays: expected a number ≥ 1, got 0/);
+  assert.doesNotMatch(run.stdout, /── desmond ──/);
+
+  const json = await runScript("session-rotation-monitor.js", ["--print-config", "--json"], { home: fx.home });
+  const doc = JSON.parse(json.stdout);
+  assert.deepEqual(Object.keys(doc.agents), ["desmond", "max"]);
+  assert.equal(doc.agents.desmond.retention.settings.period, "month");
+  assert.equal(doc.agents.desmond.rotation.sources.threshold, "default");
+});
@@ -0,0 +1,144 @@
+/**
+ * fixtures.js — Synthetic CLAWDBOT_HOME trees for the test suite
+ *
+ * createFixtureHome() builds a throwaway home in the system temp dir:
+ *
+ *   <root>/home/clawdbot.json                       agents.list + memoryInfra
+ *   <root>/home/agents/<id>/sessions/<sid>.jsonl     Clawdbot-format transcripts
+ *   <root>/home/agents/<id>/sessions/sessions.json   the gateway's session store
+ *   <root>/clawd-<id>/memory/                        each agent's workspace
+ *
+ * Transcripts come from transcriptLines(): numbered user requests, each
+ * answered by a write tool call, its result and an assistant reply, so
+ * every script sees messages, actions and file references. Scripts run in
+ * a child process against the fixture (runScript); nothing touches the
+ * real ~/.clawdbot.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import os from "node:os";
+import { execFile } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+export const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+export const MOCK_GATEWAY = path.join(REPO_ROOT, "test", "helpers", "mock-gateway.js");
+
+const SCRIPT_TIMEOUT_MS = 30000;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Clawdbot JSONL lines for one session: `turns` request/tool/reply rounds
+ * on `topic`, a minute apart from `start`.
+ */
+export function transcriptLines({ sessionId, turns = 6, topic = "task", start = Date.now() - turns * MINUTE_MS }) {
+  const at = (i, offsetSeconds = 0) => new Date(start + i * MINUTE_MS + offsetSeconds * 1000).toISOString();
+  const lines = [{ type: "session", id: sessionId, timestamp: at(0) }];
+  for (let i = 0; i < turns; i++) {
+    const file = `src/${topic}-${i}.js`;
+    lines.push(
+      { type: "message", timestamp: at(i), message: { role: "user", content: [{ type: "text", text: `Please handle ${topic} number ${i} in ${file}` }] } },
+      {
+        type: "message",
+        timestamp: at(i, 10),
+        message: { role: "assistant", content: [{ type: "toolCall", id: `call-${i}`, name: "write", arguments: { path: file, content: "// ok" } }] },
+      },
+      { type: "message", timestamp: at(i, 11), message: { role: "toolResult", toolCallId: `call-${i}`, content: [{ type: "text", text: `Wrote ${file}` }] } },
+      { type: "message", timestamp: at(i, 20), message: { role: "assistant", content: [{ type: "text", text: `Finished ${topic} ${i}, updated ${file}` }] } }
+    );
+  }
+  return lines.map((line) => JSON.stringify(line));
+}
+
+/**
+ * Build a fixture home. `agents` is a list of
+ * { id, sessions: [{ key, sessionId, turns, topic, totalTokens, idleMinutes }] };
+ * `config` is merged into clawdbot.json (e.g. { memoryInfra: {...} }).
+ */
+export async function createFixtureHome({ agents = [], config = {} } = {}) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "clawdbot-test-"));
+  const home = path.join(root, "home");
+  const workspace = (agentId) => path.join(root, `clawd-${agentId}`);
+
+  await fs.mkdir(home, { recursive: true });
+  const cfg = {
+    ...config,
+    agents: { list: agents.map((a) => ({ id: a.id, workspace: workspace(a.id) })) },
+  };
+  await fs.writeFile(path.join(home, "clawdbot.json"), JSON.stringify(cfg, null, 2) + "\n");
+
+  for (const agent of agents) {
+    await fs.mkdir(path.join(workspace(agent.id), "memory"), { recursive: true });
+    const sessionsDir = path.join(home, "agents", agent.id, "sessions");
+    await fs.mkdir(sessionsDir, { recursive: true });
+
+    const store = {};
+    for (const s of agent.sessions || []) {
+      await fs.writeFile(path.join(sessionsDir, `${s.sessionId}.jsonl`), transcriptLines(s).join("\n") + "\n");
+      store[s.key] = {
+        sessionId: s.sessionId,
+        totalTokens: s.totalTokens ?? 20000,
+        updatedAt: Date.now() - (s.idleMinutes ?? 10) * MINUTE_MS,
+      };
+    }
+    await fs.writeFile(path.join(sessionsDir, "sessions.json"), JSON.stringify(store, null, 2) + "\n");
+  }
+
+  return {
+    root,
+    home,
+    cfg,
+    workspace,
+    memoryDir: (agentId) => path.join(workspace(agentId), "memory"),
+    sessionFile: (agentId, sessionId) => path.join(home, "agents", agentId, "sessions", `${sessionId}.jsonl`),
+    store: async (agentId) =>
+      JSON.parse(await fs.readFile(path.join(home, "agents", agentId, "sessions", "sessions.json"), "utf-8")),
+    cleanup: () => fs.rm(root, { recursive: true, force: true }),
+  };
+}
+
+/**
+ * Append transcript entries (objects) to a session file.
+ */
+export async function appendEntries(filePath, entries) {
+  await fs.appendFile(filePath, entries.map((e) => JSON.stringify(e) + "\n").join(""));
+}
+
+/**
+ * Run a script from scripts/ against a fixture home. Resolves with
+ * { code, stdout, stderr } whatever the exit code.
+ */
+export function runScript(script, args, { home, env = {} }) {
+  return new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      [path.join(REPO_ROOT, "scripts", script), ...args],
+      {
+        env: { ...process.env, CLAWDBOT_HOME: home, CLAWDBOT_DIST: "", CLAWDBOT_GATEWAY_CLIENT: "", ...env },
+        timeout: SCRIPT_TIMEOUT_MS,
+      },
+      (err, stdout, stderr) => resolve({ code: err ? err.code ?? 1 : 0, stdout, stderr })
+    );
+  });
+}
+
+/**
+ * Events in a fixture home's audit log, optionally only those of `action`.
+ */
+export async function readAudit(home, action = null) {
+  let raw;
+  try {
+    raw = await fs.readFile(path.join(home, "memory-infra", "audit.jsonl"), "utf-8");
+  } catch {
+    return [];
+  }
+  const events = raw.split("\n").filter(Boolean).map((line) => JSON.parse(line));
+  return action ? events.filter((e) => e.action === action) : events;
+}
+
+/**
+ * Names of the files in an agent's memory directory.
+ */
+export async function memoryFiles(fixture, agentId) {
+  return (await fs.readdir(fixture.memoryDir(agentId))).sort();
+}
@@ -0,0 +1,117 @@
+/**
+ * mock-gateway.js — Local stand-in for the gateway's callGateway()
+ *
+ * Implements sessions.list and sessions.reset with the same call interface
+ * as Clawdbot's dist/gateway/call.js, backed by the session stores under
+ * $CLAWDBOT_HOME/agents/<id>/sessions/sessions.json — the same files the
+ * real gateway keeps, so a fixture home is all it needs:
+ *
+ *   sessions.list                 → { sessions: [{ key, sessionId, totalTokens, updatedAt, ... }] }
+ *   sessions.reset { key }        → { ok: true, key, entry: { sessionId, ... } }
+ *                                   (new session id, empty transcript, tokens reset to 0)
+ *
+ * State lives on disk, so it carries across processes: the rotation monitor
+ * loads this module with --gateway-client and the test reads the result.
+ * Every call is appended to $CLAWDBOT_HOME/mock-gateway/calls.jsonl.
+ *
+ * Env: MOCK_GATEWAY_FAIL — comma-separated methods that throw instead.
+ *      MOCK_GATEWAY_FAIL_KEYS — comma-separated session keys whose
+ *      sessions.reset throws.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import os from "node:os";
+import { randomUUID } from "node:crypto";
+
+function home() {
+  return process.env.CLAWDBOT_HOME || path.join(os.homedir(), ".clawdbot");
+}
+
+export function callLogPath() {
+  return path.join(home(), "mock-gateway", "calls.jsonl");
+}
+
+async function recordCall(method, params) {
+  await fs.mkdir(path.dirname(callLogPath()), { recursive: true, mode: 0o700 });
+  await fs.appendFile(callLogPath(), JSON.stringify({ ts: new Date().toISOString(), method, params }) + "\n");
+}
+
+/**
+ * Every agent's session store: [{ agentId, storePath, store }].
+ */
+async function loadStores() {
+  const agentsDir = path.join(home(), "agents");
+  let agentIds;
+  try {
+    agentIds = await fs.readdir(agentsDir);
+  } catch {
+    return [];
+  }
+  const stores = [];
+  for (const agentId of agentIds.sort()) {
+    const storePath = path.join(agentsDir, agentId, "sessions", "sessions.json");
+    try {
+      stores.push({ agentId, storePath, store: JSON.parse(await fs.readFile(storePath, "utf-8")) });
+    } catch {
+      // Agent without a store — no sessions
+    }
+  }
+  return stores;
+}
+
+async function listSessions() {
+  const sessions = [];
+  for (const { store } of await loadStores()) {
+    for (const [key, entry] of Object.entries(store)) sessions.push({ key, ...entry });
+  }
+  return { sessions };
+}
+
+async function resetSession(params) {
+  const key = params?.key;
+  const failing = (process.env.MOCK_GATEWAY_FAIL_KEYS || "").split(",").map((k) => k.trim());
+  if (failing.includes(key)) throw new Error(`mock gateway: sessions.reset ${key} failed`);
+  for (const { agentId, storePath, store } of await loadStores()) {
+    if (!store[key]) continue;
+    const sessionId = randomUUID();
+    const now = Date.now();
+    const transcript = path.join(home(), "agents", agentId, "sessions", `${sessionId}.jsonl`);
+    await fs.writeFile(
+      transcript,
+      JSON.stringify({ type: "session", id: sessionId, timestamp: new Date(now).toISOString() }) + "\n",
+      { mode: 0o600 }
+    );
+    const { sessionFile, ...previous } = store[key];
+    store[key] = { ...previous, sessionId, totalTokens: 0, updatedAt: now };
+    await fs.writeFile(storePath, JSON.stringify(store, null, 2) + "\n", { mode: 0o600 });
+    return { ok: true, key, entry: store[key] };
+  }
+  throw new Error(`unknown session key ${key}`);
+}
+
+const METHODS = {
+  "sessions.list": listSessions,
+  "sessions.reset": resetSession,
+};
+
+export async function callGateway({ method, params = {} } = {}) {
+  await recordCall(method, params);
+  const failing = (process.env.MOCK_GATEWAY_FAIL || "").split(",").map((m) => m.trim());
+  if (failing.includes(method)) throw new Error(`mock gateway: ${method} failed`);
+  const handler = METHODS[method];
+  if (!handler) throw new Error(`mock gateway: unknown method ${method}`);
+  return handler(params);
+}
+
+/**
+ * Calls recorded so far, oldest first.
+ */
+export async function readCalls() {
+  try {
+    const raw = await fs.readFile(callLogPath(), "utf-8");
+    return raw.split("\n").filter(Boolean).map((line) => JSON.parse(line));
+  } catch {
+    return [];
+  }
+}
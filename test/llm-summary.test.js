@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import http from "node:http";
+import path from "node:path";
+import { createFixtureHome, readAudit, runScript } from "./helpers/fixtures.js";
+
+const AGENTS = [{ id: "desmond", sessions: [{ key: "agent:desmond:slack:dm:U1", sessionId: "sess-dm", topic: "invoice" }] }];
+
+/**
+ * An OpenAI-compatible endpoint answering every request with `content`.
+ * Resolves with { url, requests }; the server closes when the test ends.
+ */
+async function mockEndpoint(t, content) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ auth: req.headers.authorization, body: JSON.parse(body) });
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ choices: [{ message: { role: "assistant", content } }], usage: { total_tokens: 900 } }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}/v1/chat/completions`, requests };
+}
+
+async function checkpoint(t, endpoint, summarizer = {}) {
+  const fx = await createFixtureHome({
+    agents: AGENTS,
+    config: { memoryInfra: { summarizer: { backend: "openai", endpoint: endpoint.url, apiKeyEnv: "TEST_LLM_KEY", ...summarizer } } },
+  });
+  t.after(fx.cleanup);
+  const run = await runScript("memory-checkpoint.js", [], { home: fx.home, env: { TEST_LLM_KEY: "sk-test" } });
+  assert.equal(run.code, 0, run.stderr);
+  return { fx, run, active: () => fs.readFile(path.join(fx.memoryDir("desmond"), "ACTIVE_CONTEXT.md"), "utf-8") };
+}
+
+test("a valid model answer becomes the working state and is cached by range", async (t) => {
+  const endpoint = await mockEndpoint(
+    t,
+    "```json\n" +
+      JSON.stringify({
+        goal: "Finish the invoice cleanup",
+        summary: "Six invoice files were updated one by one.",
+        inProgress: [],
+        openQuestions: ["Should archived invoices be included?"],
+        blockers: [],
+        nextSteps: ["Run the invoice tests"],
+      }) +
+      "\n```"
+  );
+  const { fx, active } = await checkpoint(t, endpoint);
+
+  const content = await active();
+  assert.match(content, /"source":"llm","goal":"Finish the invoice cleanup"/);
+  assert.match(content, /### Current Goal\n- Finish the invoice cleanup\n\n### Summary\nSix invoice files were updated one by one\.\n/);
+  assert.match(content, /### Open Questions\n- Should archived invoices be included\?\n/);
+  assert.equal(endpoint.requests.length, 1);
+  assert.equal(endpoint.requests[0].auth, "Bearer sk-test");
+  assert.match(endpoint.requests[0].body.messages[1].content, /user \[\S+\]: Please handle invoice number 5/);
+
+  // Nothing new in the conversation: the cached answer is reused
+  await runScript("memory-checkpoint.js", [], { home: fx.home, env: { TEST_LLM_KEY: "sk-test" } });
+  assert.equal(endpoint.requests.length, 1);
+  assert.match(await active(), /### Summary\n/);
+  const events = await readAudit(fx.home, "checkpoint");
+  assert.deepEqual(events.map((e) => e.summaries), [
+    { backend: "openai", llm: 1, cached: 0, fallback: 0 },
+    { backend: "openai", llm: 0, cached: 1, fallback: 0 },
+  ]);
+});
+
+test("an invalid answer or a spent daily limit falls back to the mechanical summary", async (t) => {
+  const endpoint = await mockEndpoint(t, JSON.stringify({ goal: 42, summary: "" }));
+  const { fx, run, active } = await checkpoint(t, endpoint);
+
+  assert.match(run.stdout, /openai summary unavailable \(goal must be a string or null\), using the mechanical summary/);
+  const content = await active();
+  assert.match(content, /"source":"heuristic"/);
+  assert.match(content, /### Recent Requests\n/);
+  assert.doesNotMatch(content, /### Summary/);
+  assert.deepEqual((await readAudit(fx.home, "checkpoint"))[0].summaries, { backend: "openai", llm: 0, cached: 0, fallback: 1 });
+
+  const limited = await checkpoint(t, endpoint, { dailyTokenLimit: 100 });
+  assert.match(limited.run.stdout, /daily token limit \(100\) reached/);
+  assert.equal(endpoint.requests.length, 1);
+});
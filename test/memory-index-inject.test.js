@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { MOCK_GATEWAY, createFixtureHome, readAudit, runScript } from "./helpers/fixtures.js";
+import memoryIndexInject from "../hooks/memory-index-inject/handler.js";
+import { packIndex } from "../scripts/lib/bootstrap-pack.js";
+
+const KEY = "agent:desmond:slack:dm:U1";
+const AGENTS = [{ id: "desmond", sessions: [{ key: KEY, sessionId: "sess-1", topic: "billing", totalTokens: 160000 }] }];
+
+/**
+ * Fill the memory pool past the hook's 50KB threshold with dated logs.
+ */
+async function fillMemory(fx, days = 6) {
+  for (let d = 1; d <= days; d++) {
+    const lines = [`# desmond — 2026-01-${String(d).padStart(2, "0")}`, "", "🔴 [GOTCHA] The billing export silently drops rows over 10MB", ""];
+    for (let i = 0; i < 150; i++) lines.push(`- Reviewed billing ledger entry ${d}-${i} and reconciled it with the export`);
+    await fs.writeFile(path.join(fx.memoryDir("desmond"), `2026-01-${String(d).padStart(2, "0")}.md`), lines.join("\n") + "\n");
+  }
+}
+
+/**
+ * Run the hook for an agent:bootstrap, as the gateway would. Returns the
+ * bootstrap files it added.
+ */
+async function runHook(t, fx) {
+  const previousHome = process.env.CLAWDBOT_HOME;
+  process.env.CLAWDBOT_HOME = fx.home;
+  t.after(() => {
+    if (previousHome === undefined) delete process.env.CLAWDBOT_HOME;
+    else process.env.CLAWDBOT_HOME = previousHome;
+  });
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+
+  const context = { workspaceDir: fx.workspace("desmond"), bootstrapFiles: [], cfg: fx.cfg, agentId: "desmond", sessionId: "sess-2" };
+  await memoryIndexInject({ type: "agent", action: "bootstrap", sessionKey: KEY, context });
+  return Object.fromEntries(context.bootstrapFiles.map((f) => [f.name, f.content]));
+}
+
+test("a small memory pool is left to the default bootstrap", async (t) => {
+  const fx = await createFixtureHome({ agents: AGENTS });
+  t.after(fx.cleanup);
+  await fillMemory(fx, 1);
+
+  assert.deepEqual(await runHook(t, fx), {});
+  assert.deepEqual(await readAudit(fx.home), []);
+});
+
+test("checkpoint, rotation and bootstrap hand context to the next session", async (t) => {
+  const fx = await createFixtureHome({ agents: AGENTS });
+  t.after(fx.cleanup);
+  await fillMemory(fx);
+
+  const checkpoint = await runScript("memory-checkpoint.js", [], { home: fx.home });
+  assert.equal(checkpoint.code, 0, checkpoint.stderr);
+  const rotation = await runScript("session-rotation-monitor.js", ["--gateway-client", MOCK_GATEWAY], { home: fx.home });
+  assert.equal(rotation.code, 0, rotation.stderr);
+  const newSessionId = (await fx.store("desmond"))[KEY].sessionId;
+
+  const files = await runHook(t, fx);
+  assert.deepEqual(Object.keys(files), ["MEMORY_INDEX.md", "ACTIVE_CONTEXT.md"]);
+  assert.match(files["MEMORY_INDEX.md"], /## Progressive Memory Disclosure/);
+  assert.match(files["MEMORY_INDEX.md"], new RegExp(`-handoff-sess-1\\.md\` — ${KEY} \\(session sess-1 → ${newSessionId}\\)`));
+  assert.match(files["MEMORY_INDEX.md"], /2026-01-06\.md/);
+  assert.match(files["MEMORY_INDEX.md"], /\[GOTCHA:[0-9a-f]{6}\] The billing export silently drops rows over 10MB/);
+  assert.match(files["ACTIVE_CONTEXT.md"], /Please handle billing number 5/);
+  await fs.access(path.join(fx.memoryDir("desmond"), "INDEX.md"));
+
+  const [event] = await readAudit(fx.home, "inject");
+  assert.equal(event.sessionKey, KEY);
+  assert.equal(event.sessionId, "sess-2");
+  assert.ok(event.injectedTokens > 0 && event.injectedTokens <= event.budget);
+});
+
+test("an index that can't fit even without rows costs nothing", () => {
+  const observations = { DECISION: 0, GOTCHA: 0, SOLUTION: 0, PATTERN: 0, TODO: 0 };
+  const indexJson = {
+    generated: "2026-01-31T12:00:00.000Z",
+    totals: { files: 1, bytes: 2048, tokens: 512, observations },
+    files: [{ file: "2026-01-31.md", category: "daily", modified: "2026-01-31T11:00:00.000Z", bytes: 2048, tokens: 512, observations }],
+  };
+  const packed = packIndex({ indexMarkdown: "x".repeat(4000), indexJson }, 10);
+  assert.deepEqual([packed.text, packed.tokens, packed.included], ["", 0, []]);
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { searchMemory } from "../scripts/lib/memory-search.js";
+
+async function workspace(t, files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "memory-search-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  await fs.mkdir(path.join(dir, "memory"));
+  for (const [name, content] of Object.entries(files)) await fs.writeFile(path.join(dir, "memory", name), content);
+  return dir;
+}
+
+test("search ranks by BM25, including terms that are Object.prototype keys", async (t) => {
+  const dir = await workspace(t, {
+    "2026-01-30.md": [
+      "# desmond — 2026-01-30",
+      "",
+      "## Deploy",
+      "Ran the staging deploy after the invoice migration.",
+      "",
+      "## Refactor",
+      "The InvoiceExporter constructor now takes the storage client; the constructor used to build its own.",
+      "",
+    ].join("\n"),
+    "2026-01-31.md": "# desmond — 2026-01-31\n\n🔴 [GOTCHA] The deploy script ignores the --dry-run flag\n",
+  });
+
+  const byTerm = await searchMemory(dir, "constructor");
+  assert.deepEqual(byTerm.map((r) => [r.file, r.heading]), [["2026-01-30.md", "desmond — 2026-01-30 › Refactor"]]);
+  assert.ok(Number.isFinite(byTerm[0].score) && byTerm[0].score > 0);
+
+  const mixed = await searchMemory(dir, "deploy constructor");
+  assert.ok(mixed.every((r) => Number.isFinite(r.score)));
+  assert.deepEqual(mixed.map((r) => r.score), mixed.map((r) => r.score).sort((a, b) => b - a));
+  assert.equal(mixed[0].heading, "desmond — 2026-01-30 › Refactor");
+
+  const gotchas = await searchMemory(dir, "deploy", { marker: "GOTCHA" });
+  assert.deepEqual(gotchas.map((r) => [r.kind, r.line]), [["observation", 3]]);
+
+  // The index is reused and still free of prototype keys
+  assert.deepEqual(await searchMemory(dir, "constructor"), byTerm);
+  assert.deepEqual(await searchMemory(dir, "prototype"), []);
+});
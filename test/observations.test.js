@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { collectObservations } from "../scripts/lib/bootstrap-pack.js";
+import { consolidateMemory } from "../scripts/lib/memory-consolidate.js";
+import { loadObservationLedger } from "../scripts/lib/observation-lifecycle.js";
+import { buildStructuredTemplate } from "../scripts/lib/session-summary.js";
+
+// A session summary with nothing extracted, as the hook wrote it before
+// observation ids existed: placeholder markers inside an HTML comment
+const TEMPLATE_SUMMARY = [
+  "# Session: 2026-01-30 09:00:00 UTC",
+  "",
+  "## Session Conversation",
+  "user: Can you check the staging logs?",
+  "",
+  "<!-- Add observations as you review:",
+  "🟤 [DECISION] ...",
+  "🔴 [GOTCHA] ...",
+  "🟡 [SOLUTION] ...",
+  "🔵 [PATTERN] ...",
+  "🟢 [FACT] ...",
+  "-->",
+  "",
+].join("\n");
+
+/**
+ * A throwaway workspace with `files` in its memory/ directory. Returns
+ * the memory directory.
+ */
+async function memoryDir(t, files) {
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), "memory-obs-"));
+  t.after(() => fs.rm(workspace, { recursive: true, force: true }));
+  const dir = path.join(workspace, "memory");
+  await fs.mkdir(dir);
+  for (const [name, content] of Object.entries(files)) await fs.writeFile(path.join(dir, name), content);
+  return dir;
+}
+
+test("template placeholders are not read as observations", async (t) => {
+  const dir = await memoryDir(t, {
+    "2026-01-30-staging-logs.md": TEMPLATE_SUMMARY,
+    "2026-01-31-billing.md": "🔴 [GOTCHA] The billing export silently drops rows over 10MB\n🟡 [SOLUTION] ...\n",
+  });
+
+  const found = await collectObservations(dir, ["GOTCHA", "SOLUTION", "DECISION", "PATTERN", "FACT"]);
+  assert.deepEqual(found.map((o) => o.text), ["The billing export silently drops rows over 10MB"]);
+
+  // Summaries written now carry no markers in their placeholder at all
+  const template = buildStructuredTemplate("user: Can you check the staging logs?");
+  assert.doesNotMatch(template, /\[(?:DECISION|GOTCHA|SOLUTION|PATTERN|FACT)\]/);
+});
+
+test("a template-only summary adds nothing to the open-items ledger", async (t) => {
+  const dir = await memoryDir(t, {
+    "2026-01-30-staging-logs.md": TEMPLATE_SUMMARY,
+    "2026-01-31.md": "⚪ [TODO] ...\n<!-- ⚪ [TODO] Rotate the staging keys -->\n⚪ [TODO] Re-run the invoice export\n",
+  });
+
+  const ledger = await loadObservationLedger(dir);
+  assert.deepEqual(ledger.map((item) => [item.type, item.text, item.line]), [["TODO", "Re-run the invoice export", 3]]);
+});
+
+test("an undated item in a digest keeps its source file's date", async (t) => {
+  const dir = await memoryDir(t, {
+    "2026-01-30.md": "# desmond — 2026-01-30\n\n### Pending\n⚪ [TODO] Rotate the staging keys\n",
+  });
+  await consolidateMemory(path.dirname(dir), { digestAfterDays: 30, period: "week" }, { now: new Date(2026, 2, 15) });
+  assert.deepEqual((await fs.readdir(dir)).sort(), ["archive", "digest-2026-W05.md"]);
+
+  // The digest was just written, but the TODO dates from January
+  const [item] = await loadObservationLedger(dir, { expireDays: { TODO: 90 } });
+  assert.deepEqual([item.text, item.file, item.date, item.status], ["Rotate the staging keys", "digest-2026-W05.md", "2026-01-30", "EXPIRED"]);
+});
+
+test("digests keep real observations and drop template placeholders", async (t) => {
+  const dir = await memoryDir(t, {
+    "2026-01-30-staging-logs.md": TEMPLATE_SUMMARY,
+    "2026-01-31.md": "# desmond — 2026-01-31\n\n🔴 [GOTCHA] The billing export silently drops rows over 10MB\n",
+  });
+  const result = await consolidateMemory(path.dirname(dir), { digestAfterDays: 30, period: "week" }, { now: new Date(2026, 2, 15) });
+  assert.deepEqual(result.digests.map((d) => [d.file, d.files, d.observations]), [["digest-2026-W05.md", 2, 1]]);
+  const digest = await fs.readFile(path.join(dir, "digest-2026-W05.md"), "utf-8");
+  assert.match(digest, /\*\*Observations\*\*: 1\n/);
+  assert.doesNotMatch(digest, /\[GOTCHA\] \.\.\./);
+});
@@ -0,0 +1,151 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { gzipSync } from "node:zlib";
+import { createFixtureHome, memoryFiles, readAudit, runScript, transcriptLines } from "./helpers/fixtures.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Local noon three days ago, so every replayed turn lands on the same date
+const START = new Date(new Date(Date.now() - 3 * DAY_MS).setHours(12, 0, 0, 0)).getTime();
+const DATE = new Date(START).toLocaleDateString("en-CA");
+
+/**
+ * A fixture with one current session and two that have ended: one plain
+ * transcript and one gzipped by cleanup-sessions.sh, all idle for days.
+ */
+async function historyHome(t) {
+  const fx = await createFixtureHome({
+    agents: [{ id: "desmond", sessions: [{ key: "agent:desmond:slack:dm:U1", sessionId: "sess-now", topic: "billing", start: START }] }],
+  });
+  t.after(fx.cleanup);
+  const sessionsDir = path.dirname(fx.sessionFile("desmond", "sess-now"));
+  await fs.writeFile(fx.sessionFile("desmond", "sess-old"), transcriptLines({ sessionId: "sess-old", topic: "migration", start: START + 90 * 60000 }).join("\n") + "\n");
+  await fs.writeFile(
+    path.join(sessionsDir, "sess-gz.jsonl.gz"),
+    gzipSync(transcriptLines({ sessionId: "sess-gz", topic: "invoices", start: START - DAY_MS }).join("\n") + "\n")
+  );
+  const old = new Date(START + 2 * 60 * 60000);
+  for (const name of await fs.readdir(sessionsDir)) await fs.utimes(path.join(sessionsDir, name), old, old);
+  return fx;
+}
+
+test("replay rebuilds daily logs and summaries from plain and gzipped transcripts, once", async (t) => {
+  const fx = await historyHome(t);
+
+  const run = await runScript("memory-replay.js", [], { home: fx.home });
+  assert.equal(run.code, 0, run.stderr);
+  const daily = await fs.readFile(path.join(fx.memoryDir("desmond"), `${DATE}.md`), "utf-8");
+  assert.match(daily, new RegExp(`^# desmond — ${DATE}`));
+  assert.match(daily, /### Checkpoint 12:\d\d \(replay\)\n<!-- checkpoint at=\S+ hash=[0-9a-f]+ -->/);
+  assert.match(daily, /#### agent:desmond:slack:dm:U1\n- 12 messages/);
+  assert.match(daily, /#### sess-old\n[^#]*Please handle migration number 0/);
+  assert.ok(daily.indexOf("billing number 0") < daily.indexOf("migration number 0"), "entries in time order");
+
+  const files = await memoryFiles(fx, "desmond");
+  const summaries = files.filter((f) => f.includes("-summary-"));
+  assert.deepEqual(summaries.map((f) => f.replace(/^\d{4}-\d\d-\d\d/, "")).sort(), ["-summary-sess-gz.md", "-summary-sess-old.md"]);
+  const summary = await fs.readFile(path.join(fx.memoryDir("desmond"), summaries[0]), "utf-8");
+  assert.match(summary, /- \*\*Session ID\*\*: sess-/);
+  assert.match(summary, /## Session Conversation/);
+
+  const [event] = await readAudit(fx.home, "replay");
+  assert.equal(event.transcripts, 3);
+  assert.equal(event.summaries.length, 2);
+
+  const again = await runScript("memory-replay.js", [], { home: fx.home });
+  assert.equal(again.code, 0, again.stderr);
+  assert.equal(await fs.readFile(path.join(fx.memoryDir("desmond"), `${DATE}.md`), "utf-8"), daily);
+  assert.equal((await readAudit(fx.home, "replay")).length, 1);
+});
+
+test("lines a live checkpoint already logged, --since and --dry-run are respected", async (t) => {
+  const fx = await historyHome(t);
+  await fs.mkdir(path.join(fx.home, "memory-infra"), { recursive: true });
+  await fs.writeFile(
+    path.join(fx.home, "memory-infra", "audit.jsonl"),
+    JSON.stringify({
+      ts: new Date(START + DAY_MS).toISOString(),
+      source: "memory-checkpoint",
+      action: "checkpoint",
+      agent: "desmond",
+      conversations: [{ sessionKey: "agent:desmond:slack:dm:U1", sessionId: "sess-now" }],
+      daily: "appended",
+    }) + "\n"
+  );
+
+  const dry = await runScript("memory-replay.js", ["--dry-run", "--since", DATE], { home: fx.home });
+  assert.equal(dry.code, 0, dry.stderr);
+  assert.match(dry.stdout, new RegExp(`\\[DRY RUN\\] would merge 1 entries into ${DATE}\\.md`));
+  assert.match(dry.stdout, /\[DRY RUN\] would write \S+-summary-sess-old\.md/);
+  assert.doesNotMatch(dry.stdout, /sess-gz/);
+  assert.deepEqual(await memoryFiles(fx, "desmond"), []);
+
+  const run = await runScript("memory-replay.js", ["--agent", "desmond", "--since", DATE], { home: fx.home });
+  assert.equal(run.code, 0, run.stderr);
+  const daily = await fs.readFile(path.join(fx.memoryDir("desmond"), `${DATE}.md`), "utf-8");
+  assert.doesNotMatch(daily, /billing/);
+  assert.match(daily, /migration number 5/);
+});
+
+test("memory from before hashes and session ids is recognised, unless --force", async (t) => {
+  const fx = await historyHome(t);
+  // A daily log and a session summary in the format written before the
+  // audit log, range hashes and session ids existed
+  const dailyFile = path.join(fx.memoryDir("desmond"), `${DATE}.md`);
+  const legacyDaily = `# desmond — ${DATE}\n\n### Checkpoint 12:20 (auto)\n\n- 24 messages (6 user, 6 assistant)\n- Last request: Please handle billing number 5 in src/billing-5.js\n\n`;
+  await fs.writeFile(dailyFile, legacyDaily);
+  const written = new Date(START + 2 * 60 * 60000).toISOString();
+  const summaryName = `${written.slice(0, 10)}-migration-work.md`;
+  await fs.writeFile(
+    path.join(fx.memoryDir("desmond"), summaryName),
+    [
+      `# Session: ${written.slice(0, 10)} ${written.slice(11, 19)} UTC — migration work`,
+      "",
+      "- **Session Key**: agent:desmond:slack:dm:U2",
+      "- **Agent**: desmond",
+      "- **Source**: slack",
+      "",
+      "## Session Conversation",
+      "",
+      "user: Please handle migration number 5 in src/migration-5.js",
+      "",
+      "assistant: Finished migration 5, updated src/migration-5.js",
+      "",
+    ].join("\n")
+  );
+
+  const run = await runScript("memory-replay.js", [], { home: fx.home });
+  assert.equal(run.code, 0, run.stderr);
+  assert.equal(await fs.readFile(dailyFile, "utf-8"), legacyDaily);
+  const summaries = (await memoryFiles(fx, "desmond")).filter((f) => f.includes("-summary-"));
+  assert.deepEqual(summaries.map((f) => f.replace(/^\d{4}-\d\d-\d\d/, "")), ["-summary-sess-gz.md"]);
+
+  const forced = await runScript("memory-replay.js", ["--force"], { home: fx.home });
+  assert.equal(forced.code, 0, forced.stderr);
+  const daily = await fs.readFile(dailyFile, "utf-8");
+  assert.ok(daily.startsWith(legacyDaily));
+  assert.match(daily, /### Checkpoint 13:\d\d \(replay\)\n[^]*#### sess-old\n[^#]*migration number 5/);
+  assert.deepEqual((await memoryFiles(fx, "desmond")).filter((f) => f.includes("-summary-")), summaries);
+});
+
+test("lines below a live checkpoint's offset stay logged once the audit log is pruned", async (t) => {
+  const fx = await historyHome(t);
+  // The checkpoint logged sess-old's first three turns; its audit events
+  // have since been rotated away
+  const transcript = fx.sessionFile("desmond", "sess-old");
+  const lines = (await fs.readFile(transcript, "utf-8")).split("\n");
+  const offset = Buffer.byteLength(lines.slice(0, 1 + 3 * 4).join("\n") + "\n");
+  const { ino, size } = await fs.stat(transcript);
+  await fs.mkdir(path.join(fx.home, "memory-infra"), { recursive: true });
+  await fs.writeFile(
+    path.join(fx.home, "memory-infra", "checkpoint-state.json"),
+    JSON.stringify({ sessions: { [transcript]: { ino, size, offset, updatedAt: new Date(START).toISOString() } }, agents: {} })
+  );
+
+  const run = await runScript("memory-replay.js", [], { home: fx.home });
+  assert.equal(run.code, 0, run.stderr);
+  const daily = await fs.readFile(path.join(fx.memoryDir("desmond"), `${DATE}.md`), "utf-8");
+  assert.match(daily, /#### sess-old\n[^#]*migration number 3/);
+  assert.doesNotMatch(daily, /migration number [0-2]\b/);
+});
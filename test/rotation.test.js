@@ -0,0 +1,123 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { readCalls } from "./helpers/mock-gateway.js";
+import { MOCK_GATEWAY, createFixtureHome, memoryFiles, readAudit, runScript } from "./helpers/fixtures.js";
+import { parseActiveContext } from "../scripts/lib/checkpoint.js";
+
+const AGENTS = [
+  {
+    id: "desmond",
+    sessions: [
+      { key: "agent:desmond:slack:dm:U1", sessionId: "sess-big", topic: "migration", totalTokens: 160000 },
+      { key: "agent:desmond:slack:dm:U2", sessionId: "sess-small", topic: "typo", totalTokens: 40000 },
+      { key: "agent:desmond:cron:nightly", sessionId: "sess-cron", topic: "report", totalTokens: 190000 },
+    ],
+  },
+];
+
+function rotate(fx, args = [], env = {}) {
+  return runScript("session-rotation-monitor.js", ["--gateway-client", MOCK_GATEWAY, ...args], { home: fx.home, env });
+}
+
+async function calls(fx) {
+  process.env.CLAWDBOT_HOME = fx.home;
+  return (await readCalls()).map((c) => `${c.method}${c.params.key ? ` ${c.params.key}` : ""}`);
+}
+
+test("a session over the threshold is handed off, then reset through the gateway", async (t) => {
+  const fx = await createFixtureHome({ agents: AGENTS });
+  t.after(fx.cleanup);
+
+  const run = await rotate(fx);
+  assert.equal(run.code, 0, run.stderr);
+  assert.deepEqual(await calls(fx), ["sessions.list", "sessions.reset agent:desmond:slack:dm:U1"]);
+
+  const store = await fx.store("desmond");
+  const newSessionId = store["agent:desmond:slack:dm:U1"].sessionId;
+  assert.notEqual(newSessionId, "sess-big");
+  assert.equal(store["agent:desmond:slack:dm:U1"].totalTokens, 0);
+  assert.equal(store["agent:desmond:slack:dm:U2"].sessionId, "sess-small");
+  assert.equal(store["agent:desmond:cron:nightly"].sessionId, "sess-cron");
+
+  const handoff = (await memoryFiles(fx, "desmond")).find((f) => f.endsWith("-handoff-sess-big.md"));
+  assert.ok(handoff, "handoff written");
+  const content = await fs.readFile(path.join(fx.memoryDir("desmond"), handoff), "utf-8");
+  assert.match(content, new RegExp(`> Next session: ${newSessionId}`));
+  assert.match(content, /Please handle migration number 5/);
+  const active = await fs.readFile(path.join(fx.memoryDir("desmond"), "ACTIVE_CONTEXT.md"), "utf-8");
+  assert.match(active, new RegExp(`Rotated: handoff in memory/${handoff} \\| Next session: ${newSessionId}`));
+  assert.deepEqual(
+    parseActiveContext(active).conversations.map((c) => [c.key, c.session]),
+    [["agent:desmond:slack:dm:U1", "sess-big"]]
+  );
+
+  const [event] = await readAudit(fx.home, "rotate");
+  assert.equal(event.sessionKey, "agent:desmond:slack:dm:U1");
+  assert.equal(event.newSessionId, newSessionId);
+});
+
+test("--dry-run lists decisions without resetting anything", async (t) => {
+  const fx = await createFixtureHome({ agents: AGENTS });
+  t.after(fx.cleanup);
+
+  const run = await rotate(fx, ["--dry-run"]);
+  assert.equal(run.code, 0, run.stderr);
+  assert.match(run.stdout, /agent:desmond:slack:dm:U1 — 160000 tokens: rotate/);
+  assert.match(run.stdout, /agent:desmond:cron:nightly — 190000 tokens: skip/);
+  assert.deepEqual(await calls(fx), ["sessions.list"]);
+  assert.deepEqual(await memoryFiles(fx, "desmond"), []);
+  assert.equal((await fx.store("desmond"))["agent:desmond:slack:dm:U1"].sessionId, "sess-big");
+});
+
+test("a failed reset keeps the session and the handoff, and is audited", async (t) => {
+  const fx = await createFixtureHome({ agents: AGENTS });
+  t.after(fx.cleanup);
+
+  const run = await rotate(fx, [], { MOCK_GATEWAY_FAIL: "sessions.reset" });
+  assert.equal(run.code, 0, run.stderr);
+  assert.equal((await fx.store("desmond"))["agent:desmond:slack:dm:U1"].sessionId, "sess-big");
+
+  const handoff = (await memoryFiles(fx, "desmond")).find((f) => f.endsWith("-handoff-sess-big.md"));
+  assert.match(await fs.readFile(path.join(fx.memoryDir("desmond"), handoff), "utf-8"), /> Next session: \(pending rotation\)/);
+
+  const [event] = await readAudit(fx.home, "rotate-failed");
+  assert.equal(event.error, "mock gateway: sessions.reset failed");
+  assert.deepEqual(await readAudit(fx.home, "rotate"), []);
+});
+
+test("a reset that fails leaves its conversation unrotated while another one rotates", async (t) => {
+  const [desmond] = AGENTS;
+  const fx = await createFixtureHome({
+    agents: [{ ...desmond, sessions: desmond.sessions.map((s) => (s.sessionId === "sess-small" ? { ...s, totalTokens: 170000 } : s)) }],
+  });
+  t.after(fx.cleanup);
+
+  const run = await rotate(fx, [], { MOCK_GATEWAY_FAIL_KEYS: "agent:desmond:slack:dm:U1" });
+  assert.equal(run.code, 0, run.stderr);
+  const store = await fx.store("desmond");
+  assert.equal(store["agent:desmond:slack:dm:U1"].sessionId, "sess-big");
+  const newSessionId = store["agent:desmond:slack:dm:U2"].sessionId;
+  assert.notEqual(newSessionId, "sess-small");
+
+  const active = await fs.readFile(path.join(fx.memoryDir("desmond"), "ACTIVE_CONTEXT.md"), "utf-8");
+  const section = (key) => active.split(/^(?=## Conversation: )/m).find((part) => part.startsWith(`## Conversation: ${key}\n`));
+  assert.doesNotMatch(section("agent:desmond:slack:dm:U1"), /Rotated:|Next session/);
+  assert.match(section("agent:desmond:slack:dm:U2"), new RegExp(`> Rotated: handoff in memory/\\S+ \\| Next session: ${newSessionId}\n`));
+  assert.equal(active.split(newSessionId).length, 2);
+
+  const failedHandoff = (await memoryFiles(fx, "desmond")).find((f) => f.endsWith("-handoff-sess-big.md"));
+  assert.match(await fs.readFile(path.join(fx.memoryDir("desmond"), failedHandoff), "utf-8"), /> Next session: \(pending rotation\)/);
+  assert.deepEqual((await readAudit(fx.home, "rotate-failed")).map((e) => e.sessionKey), ["agent:desmond:slack:dm:U1"]);
+  assert.deepEqual((await readAudit(fx.home, "rotate")).map((e) => e.sessionKey), ["agent:desmond:slack:dm:U2"]);
+});
+
+test("the monitor exits when no gateway client can be loaded", async (t) => {
+  const fx = await createFixtureHome({ agents: AGENTS });
+  t.after(fx.cleanup);
+
+  const run = await runScript("session-rotation-monitor.js", ["--gateway-client", path.join(fx.root, "missing.js")], { home: fx.home });
+  assert.equal(run.code, 1);
+  assert.match(run.stderr, /Cannot import callGateway/);
+});
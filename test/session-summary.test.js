@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { observationId } from "../scripts/lib/observations.js";
+import { appendEntries, createFixtureHome, memoryFiles, readAudit } from "./helpers/fixtures.js";
+import sessionSummary from "../hooks/session-summary/handler.js";
+
+const KEY = "agent:desmond:slack:dm:U1";
+const AGENTS = [{ id: "desmond", sessions: [{ key: KEY, sessionId: "sess-1", topic: "billing" }] }];
+// Fixed so the fallback file name (date + HHMM) is known
+const TIMESTAMP = Date.parse("2026-02-03T14:05:00Z");
+
+/**
+ * Run the hook against a fixture home, as the gateway would on /new.
+ */
+async function runHook(t, fx, event = {}) {
+  const previousHome = process.env.CLAWDBOT_HOME;
+  process.env.CLAWDBOT_HOME = fx.home;
+  t.after(() => {
+    if (previousHome === undefined) delete process.env.CLAWDBOT_HOME;
+    else process.env.CLAWDBOT_HOME = previousHome;
+  });
+  const logged = [];
+  t.mock.method(console, "log", (...args) => logged.push(args.join(" ")));
+  t.mock.method(console, "error", (...args) => logged.push(args.join(" ")));
+
+  await sessionSummary({
+    type: "command",
+    action: "new",
+    sessionKey: KEY,
+    timestamp: TIMESTAMP,
+    context: {
+      cfg: fx.cfg,
+      commandSource: "slack",
+      previousSessionEntry: { sessionId: "sess-1", sessionFile: fx.sessionFile("desmond", "sess-1"), totalTokens: 42000 },
+    },
+    ...event,
+  });
+  return logged;
+}
+
+test("/new writes a structured summary with observations and audits it", async (t) => {
+  const fx = await createFixtureHome({ agents: AGENTS });
+  t.after(fx.cleanup);
+  await appendEntries(fx.sessionFile("desmond", "sess-1"), [
+    { type: "message", message: { role: "assistant", content: [{ type: "text", text: "We decided to keep invoices in Postgres." }] } },
+  ]);
+
+  const logged = await runHook(t, fx);
+  assert.ok(logged.some((l) => l.includes("Structured summary written: 2026-02-03-1405.md")), logged.join("\n"));
+
+  const summary = await fs.readFile(path.join(fx.memoryDir("desmond"), "2026-02-03-1405.md"), "utf-8");
+  assert.match(summary, /- \*\*Session Key\*\*: agent:desmond:slack:dm:U1/);
+  assert.match(summary, /- \*\*Session ID\*\*: sess-1\n/);
+  assert.match(summary, /- \*\*Source\*\*: slack/);
+  assert.match(summary, /Please handle billing number 5/);
+  assert.match(summary, /\[DECISION:[0-9a-f]{6}\] We decided to keep invoices in Postgres\./);
+
+  const [event] = await readAudit(fx.home, "summary");
+  assert.equal(event.sessionId, "sess-1");
+  assert.equal(event.tokens, 42000);
+  assert.equal(event.observations, 1);
+});
+
+test("a completed item closes the matching open TODO", async (t) => {
+  const fx = await createFixtureHome({ agents: AGENTS });
+  t.after(fx.cleanup);
+  const todo = "Rotate the staging API key";
+  const id = observationId("TODO", todo);
+  // Dated today so the TODO hasn't expired
+  const today = new Date().toISOString().slice(0, 10);
+  await fs.writeFile(path.join(fx.memoryDir("desmond"), `${today}.md`), `⚪ [TODO:${id}] ${todo}\n`);
+  await appendEntries(fx.sessionFile("desmond", "sess-1"), [
+    { type: "message", message: { role: "assistant", content: [{ type: "text", text: `Done:\n- [x] ${todo}` }] } },
+  ]);
+
+  await runHook(t, fx);
+  const summary = await fs.readFile(path.join(fx.memoryDir("desmond"), "2026-02-03-1405.md"), "utf-8");
+  assert.match(summary, new RegExp(`\\[TODO:${id} DONE\\] ${todo}`));
+  assert.deepEqual((await readAudit(fx.home, "summary"))[0].closedTodos, [id]);
+});
+
+test("other commands and sessions without a transcript are ignored", async (t) => {
+  const fx = await createFixtureHome({ agents: AGENTS });
+  t.after(fx.cleanup);
+
+  await runHook(t, fx, { action: "reset" });
+  await runHook(t, fx, { context: { cfg: fx.cfg, previousSessionEntry: {} } });
+  assert.deepEqual(await memoryFiles(fx, "desmond"), []);
+  assert.deepEqual(await readAudit(fx.home), []);
+});
@@ -4,7 +4,8 @@ set -euo pipefail
 # uninstall.sh — Remove clawdbot-memory-infra components
 # Usage: ./uninstall.sh [--dry-run]
 #
-# Removes scripts, hooks, and launchd agents installed by this package.
+# Removes scripts, hooks, launchd agents and the systemd user service
+# installed by this package.
 # Does NOT touch config, memory files, or session data.
 
 DRY_RUN=false
@@ -12,6 +13,7 @@ CLAWDBOT_HOME="${CLAWDBOT_HOME:-$HOME/.clawdbot}"
 
 # Counters
 LAUNCHD_REMOVED=0
+SYSTEMD_REMOVED=0
 SCRIPTS_REMOVED=0
 HOOKS_REMOVED=0
 WARNINGS=()
@@ -23,7 +25,7 @@ for arg in "$@"; do
     -h|--help)
       echo "Usage: ./uninstall.sh [--dry-run]"
       echo ""
-      echo "Removes scripts, hooks, and launchd agents installed by clawdbot-memory-infra."
+      echo "Removes scripts, hooks, launchd agents and the systemd service installed by clawdbot-memory-infra."
       echo "Does NOT touch config, memory files, or session data."
       echo ""
       echo "Options:"
@@ -70,16 +72,48 @@ LAUNCHD_LABELS=(
   "com.clawdbot.healthcheck"
 )
 
+# Systemd user unit (Linux)
+SYSTEMD_UNIT="clawdbot-memory-daemon.service"
+
 # Scripts installed by this package (basename only)
 PACKAGE_SCRIPTS=(
   "memory-checkpoint.js"
   "session-rotation-monitor.js"
   "generate-memory-index.sh"
+  "generate-memory-index.js"
+  "memory-search.js"
+  "share-memory.js"
+  "rotation-report.js"
+  "memory-audit.js"
+  "memory-daemon.js"
+  "memory-consolidate.js"
+  "memory-replay.js"
+  "open-items.js"
   "regenerate-all-indexes.sh"
   "backup-config.sh"
   "cleanup-sessions.sh"
   "health-check.sh"
   "validate-config.sh"
+  "lib/redact.js"
+  "lib/observations.js"
+  "lib/memory-index.js"
+  "lib/checkpoint.js"
+  "lib/rotation-policy.js"
+  "lib/bootstrap-pack.js"
+  "lib/memory-search.js"
+  "lib/shared-memory.js"
+  "lib/token-history.js"
+  "lib/audit-log.js"
+  "lib/safe-write.js"
+  "lib/memory-consolidate.js"
+  "lib/observation-lifecycle.js"
+  "lib/transcript.js"
+  "lib/compaction.js"
+  "lib/gateway-client.js"
+  "lib/config.js"
+  "lib/session-summary.js"
+  "lib/context-summary.js"
+  "lib/llm-summary.js"
 )
 
 # Hooks installed by this package (directory names)
@@ -129,6 +163,33 @@ else
   done
 fi
 
+# ---------------------------------------------------------------------------
+# Step 1b: Stop and remove the systemd user service
+# ---------------------------------------------------------------------------
+if [ "$(uname)" != "Darwin" ]; then
+  header "Removing Systemd Service"
+
+  unit_path="$HOME/.config/systemd/user/$SYSTEMD_UNIT"
+  if [ ! -f "$unit_path" ]; then
+    info "$SYSTEMD_UNIT — not installed, skipping"
+  elif $DRY_RUN; then
+    dry "Would run: systemctl --user disable --now $SYSTEMD_UNIT"
+    dry "Would remove: $unit_path"
+    SYSTEMD_REMOVED=$((SYSTEMD_REMOVED + 1))
+  else
+    if command -v systemctl &>/dev/null; then
+      info "Stopping: $SYSTEMD_UNIT"
+      systemctl --user disable --now "$SYSTEMD_UNIT" 2>/dev/null || true
+    fi
+    rm -f "$unit_path"
+    if command -v systemctl &>/dev/null; then
+      systemctl --user daemon-reload 2>/dev/null || true
+    fi
+    success "Removed: $SYSTEMD_UNIT"
+    SYSTEMD_REMOVED=$((SYSTEMD_REMOVED + 1))
+  fi
+fi
+
 # ---------------------------------------------------------------------------
 # Step 2: Remove installed scripts from $CLAWDBOT_HOME/scripts/
 # ---------------------------------------------------------------------------
@@ -154,6 +215,11 @@ for script_name in "${PACKAGE_SCRIPTS[@]}"; do
   fi
 done
 
+# Remove the shared module directory if nothing else lives there
+if ! $DRY_RUN && [ -d "$SCRIPTS_DIR/lib" ]; then
+  rmdir "$SCRIPTS_DIR/lib" 2>/dev/null || true
+fi
+
 # ---------------------------------------------------------------------------
 # Step 3: Remove installed hooks from $CLAWDBOT_HOME/hooks/
 # ---------------------------------------------------------------------------
@@ -192,11 +258,12 @@ fi
 echo -e "${BOLD}clawdbot-memory-infra${NC}${MODE_LABEL}"
 echo ""
 echo "  LaunchD agents: $LAUNCHD_REMOVED removed"
+echo "  Systemd units:  $SYSTEMD_REMOVED removed"
 echo "  Scripts:        $SCRIPTS_REMOVED removed"
 echo "  Hooks:          $HOOKS_REMOVED removed"
 echo ""
 
-TOTAL=$((LAUNCHD_REMOVED + SCRIPTS_REMOVED + HOOKS_REMOVED))
+TOTAL=$((LAUNCHD_REMOVED + SYSTEMD_REMOVED + SCRIPTS_REMOVED + HOOKS_REMOVED))
 if [ "$TOTAL" -eq 0 ]; then
   info "Nothing to remove — clawdbot-memory-infra does not appear to be installed."
 fi